@@ -3,19 +3,30 @@
  *
  * 这是扩展的核心后台脚本，作为 Service Worker 运行在独立的上下文中。
  * 主要职责：
- * 1. 维护所有媒体会话的中央状态存储（内存缓存）
+ * 1. 维护所有媒体会话的中央状态存储（内存缓存 + chrome.storage.session 持久化）
  * 2. 作为消息中转站，协调 content script 和 popup 之间的通信
  * 3. 管理与 popup 的持久连接，实时推送状态更新
  * 4. 处理标签页生命周期事件，自动清理失效会话
+ * 5. 发现 DLNA 渲染器，并把媒体会话投送到电视等设备（blob:/MSE 源经本地中转）
+ * 6. 响应全局快捷键，无需打开 popup 即可控制媒体
+ * 7. 运行睡眠定时器，到时暂停所有媒体
+ * 8. 在工具栏图标上显示播放状态（角标、提示文字、播放 / 暂停图标）
  */
 
 // 导入共享的消息类型常量，确保各组件使用统一的消息协议
-importScripts('utils/messageTypes.js');
+// 以及会话排序 / 比较工具、用户设置、DLNA/UPnP 客户端（渲染器发现与 AVTransport 控制）与本地媒体中转客户端
+importScripts(
+  'utils/messageTypes.js',
+  'utils/sessionUtils.js',
+  'utils/settings.js',
+  'background/dlna.js',
+  'background/relayClient.js'
+);
 
 /**
  * 媒体会话缓存 - 核心数据结构
  *
- * 使用 Map 存储所有活跃的媒体会话，键为 sessionId（格式：tabId:elementId）
+ * 使用 Map 存储所有活跃的媒体会话，键为 sessionId（格式：tabId:frameId:elementId）
  * 每个会话包含完整的媒体状态快照：播放状态、进度、元数据等
  *
  * 为什么使用 Map：
@@ -27,10 +38,10 @@ importScripts('utils/messageTypes.js');
 const mediaSessions = new Map(); // sessionId -> session snapshot
 
 /**
- * Popup 端口集合 - 管理所有活跃的 popup 连接
+ * Popup 端口集合 - 管理所有活跃的媒体控制界面连接
  *
- * 使用 Set 存储当前已连接的 popup 端口引用
- * 支持多个 popup 同时打开的场景（虽然 Chrome 通常只允许一个）
+ * 使用 Set 存储当前已连接的端口引用：popup、各窗口的侧边栏与迷你播放器
+ * 共用同一套协议（ui/mediaHub.js），可以同时打开多个
  *
  * 为什么使用 Set：
  * - 自动去重，防止同一端口被重复添加
@@ -39,20 +50,262 @@ const mediaSessions = new Map(); // sessionId -> session snapshot
  */
 const popupPorts = new Set();
 
+/**
+ * 最近一次向 popup 广播的会话版本 - sessionId -> session
+ *
+ * 广播时与 mediaSessions 比较，只发送新增、变化的字段和移除的会话
+ */
+const broadcastedSessions = new Map();
+
+// 会话增量消息的序号，每条 SESSION_ADDED / PATCHED / REMOVED 加一
+let sessionsSeq = 0;
+
+// 合并广播的最小间隔（毫秒）：timeupdate 驱动的更新再频繁，每秒最多广播 4 次
+const BROADCAST_INTERVAL_MS = 250;
+
+// 待执行的广播定时器与上次广播时间
+let broadcastTimer = null;
+let lastBroadcastAt = 0;
+
+/**
+ * 已知的 DLNA 渲染器 - rendererId(UDN) -> 渲染器描述
+ *
+ * 来源有两种：native messaging 宿主完成的 SSDP 发现，以及用户手动填写的设备描述地址。
+ * 持久化到 chrome.storage.local，worker 重启后无需重新发现即可投屏。
+ */
+const castRenderers = new Map();
+
+/**
+ * 渲染器发现状态，随 RENDERERS_UPDATED 一起推送给 popup
+ */
+const castDiscovery = { discovering: false, error: null };
+
+// chrome.storage.local 中保存渲染器列表的键名
+const RENDERERS_STORAGE_KEY = 'castRenderers';
+
+// SSDP 搜索等待设备响应的时间（毫秒）
+const SSDP_SEARCH_TIMEOUT_MS = 3000;
+
+// 投屏会话中由渲染器决定的字段：本地 content script 的快照不能覆盖它们
+const REMOTE_PLAYBACK_FIELDS = ['isPlaying', 'isEnded', 'currentTime', 'duration', 'volume', 'muted'];
+
+// 轮询渲染器播放状态的间隔（毫秒）
+const CAST_POLL_INTERVAL_MS = 1000;
+
+// 连续轮询失败多少次后认为渲染器已离线
+const CAST_POLL_MAX_FAILURES = 3;
+
+// 轮询定时器，没有活跃投屏时为 null
+let castPollTimer = null;
+
+/**
+ * 进行中的媒体中转 - relayId -> { relayId, sessionId, tabId, mode, port, ready, backlog, mutedTab }
+ *
+ * blob:/MSE 源投屏时由 native messaging 宿主提供电视可拉取的本地地址（见 background/relayClient.js）。
+ * capture 模式下 content script 经 PORT_NAMES.MEDIA_RELAY 端口发来录制分片：
+ * 宿主确认之前的分片暂存在 backlog 中（第一个分片带 WebM 头，不能丢）。
+ * 会话的 castTarget.relay 记录 { relayId, mode, mutedTab }。
+ */
+const mediaRelays = new Map();
+
+// 中转错误码对应的提示（显示在媒体卡片的投屏状态中）
+const RELAY_ERROR_MESSAGES = {
+  'capture-unsupported': 'This browser cannot record the media for relaying',
+  'capture-no-tracks': 'Start playback before casting this media',
+  SecurityError: 'The page does not allow recording this media',
+  'unknown-element': 'The media element is no longer on the page',
+  'chunk-encode-failed': 'Failed to encode a recorded chunk'
+};
+
+// chrome.storage.session 中保存会话注册表的键名
+const SESSIONS_STORAGE_KEY = 'mediaSessions';
+
+// 会话注册表写入存储的防抖间隔（毫秒），timeupdate 驱动的更新很频繁
+const SESSIONS_PERSIST_DELAY_MS = 500;
+
+// 待执行的持久化定时器
+let persistSessionsTimer = null;
+
+// 等待命令执行结果的最长时间（毫秒），超时后向 popup 报告 timeout
+const COMMAND_TIMEOUT_MS = 5000;
+
+/**
+ * 播放历史 - historyKey -> 条目，按 updatedAt 倒序保存在 chrome.storage.local
+ *
+ * 标签页关闭后会话随之删除，历史让用户还能找回并从上次的位置继续
+ */
+const playbackHistory = new Map();
+
+// chrome.storage.local 中保存播放历史的键名
+const HISTORY_STORAGE_KEY = 'playbackHistory';
+
+// 最多保留的历史条目数
+const HISTORY_LIMIT = 50;
+
+// 播放历史写入存储（并通知 popup）的防抖间隔（毫秒）
+const HISTORY_PERSIST_DELAY_MS = 2000;
+
+// 待执行的历史持久化定时器
+let persistHistoryTimer = null;
+
+/**
+ * 从历史重新打开、等待跳转的标签页 - tabId -> { entry, expiresAt }
+ *
+ * 新标签页中的 content script 上报匹配的媒体后发送 seek-absolute
+ */
+const pendingResumes = new Map();
+
+// 等待页面上报媒体的最长时间（毫秒）
+const RESUME_TIMEOUT_MS = 60000;
+
+// 保存的位置小于该秒数，或距结尾不足该秒数时不跳转（从头播放即可 / 已经看完）
+const RESUME_MARGIN_SECONDS = 5;
+
+/**
+ * 位置记忆 - "url\nelementSrc" -> { url, elementSrc, currentTime, duration, savedAt }
+ *
+ * content script 为长媒体定期保存播放位置，重新打开同一页面时据此恢复。
+ * 与播放历史不同，这里不关心标题、不在 popup 中展示，按需从 chrome.storage.local 读入
+ */
+let savedPositions = null;
+
+// 读入位置记忆的 Promise，首次使用时创建
+let savedPositionsLoading = null;
+
+// chrome.storage.local 中保存位置记忆的键名
+const SAVED_POSITIONS_STORAGE_KEY = 'savedPositions';
+
+// 最多保留的位置记录数，超出时删除最久未保存的
+const SAVED_POSITIONS_LIMIT = 200;
+
+// 位置记忆写入存储的防抖间隔（毫秒）
+const SAVED_POSITIONS_PERSIST_DELAY_MS = 2000;
+
+// 待执行的位置记忆持久化定时器
+let persistSavedPositionsTimer = null;
+
+/**
+ * 跨标签页播放队列，保存在 chrome.storage.local
+ *
+ * items 中每一项对应一个页面：{ id, pageUrl, tabId, title, artist, artwork, origin, duration, addedAt }。
+ * tabId 是页面最近所在的标签页（已关闭时为 null，轮到它时重新打开 pageUrl）。
+ * currentId 为正在播放的条目；playedIds 记录随机模式下本轮已播放的条目。
+ */
+const playQueue = { items: [], currentId: null, repeat: 'off', shuffle: false, playedIds: [] };
+
+// 队列的循环模式：不循环 / 整个队列循环 / 单项循环
+const QUEUE_REPEAT_MODES = ['off', 'all', 'one'];
+
+// chrome.storage.local 中保存播放队列的键名
+const QUEUE_STORAGE_KEY = 'playQueue';
+
+/**
+ * 为播放队列新打开、等待开始播放的标签页 - tabId -> expiresAt
+ *
+ * 页面中的 content script 首次上报媒体后发送 play
+ */
+const pendingQueueStarts = new Map();
+
+/**
+ * 睡眠定时器，未设置时为 null
+ *
+ * { mode: 'duration' | 'end-of-item', endsAt, sessionId, fade, fading, volumes }
+ * - endsAt: 预计结束时刻；"本集结束"模式按目标会话的进度推算，暂停时为 null
+ * - sessionId: "本集结束"模式等待播放结束的会话
+ * - volumes: 渐弱开始时各会话的原音量（sessionId -> volume），结束后恢复
+ *
+ * 保存在 chrome.storage.session 中，配合 chrome.alarms 在 worker 被回收后继续生效
+ */
+let sleepTimer = null;
+
+// chrome.storage.session 中保存睡眠定时器的键名
+const SLEEP_TIMER_STORAGE_KEY = 'sleepTimer';
+
+// 定时结束与开始渐弱的 alarm 名称
+const SLEEP_ALARM = 'sleep-timer';
+const SLEEP_FADE_ALARM = 'sleep-timer-fade';
+
+// 结束前渐弱的时长与音量调整间隔（毫秒）
+const SLEEP_FADE_MS = 30000;
+const SLEEP_FADE_STEP_MS = 1000;
+
+// 渐弱过程中的音量调整定时器
+let sleepFadeTimer = null;
+
+// 媒体控制界面使用的端口名称：popup、侧边栏、迷你播放器
+const HUB_PORT_NAMES = [PORT_NAMES.POPUP, PORT_NAMES.SIDE_PANEL, PORT_NAMES.MINI_PLAYER];
+
+// chrome.storage.session 中保存迷你播放器窗口 ID 的键名（worker 重启后仍能找到已打开的窗口）
+const MINI_PLAYER_STORAGE_KEY = 'miniPlayerWindowId';
+
+// 迷你播放器窗口的初始尺寸
+const MINI_PLAYER_SIZE = { width: 420, height: 640 };
+
+// 工具栏提示文字的第一行（manifest 中的 default_title）
+const ACTION_TITLE = 'CastToTV Media Hub';
+
+// 角标背景色，与 popup 的强调色一致
+const ACTION_BADGE_COLOR = '#5c7cfa';
+
+// 生成播放 / 暂停图标的尺寸（工具栏使用 16 与 32，分别对应普通与高分屏）
+const ACTION_ICON_SIZES = [16, 32];
+
+// 上次设置到工具栏的状态，没有变化时不重复调用 chrome.action
+const actionIndicator = { badge: null, title: null, icon: null };
+
+// 按状态缓存生成好的图标 ImageData：'playing' | 'paused' -> { 16: ImageData, 32: ImageData }
+const actionIconCache = new Map();
+
+// 启动时恢复上次保存的渲染器列表
+restoreRenderers();
+
+/**
+ * 当前用户设置（独占播放等），启动时读取，设置页保存后同步更新
+ */
+let userSettings = { ...Settings.SETTINGS_DEFAULTS };
+
+Settings.loadSettings()
+  .then((settings) => {
+    userSettings = settings;
+  })
+  .catch((error) => console.warn('[CastToTV] Failed to load settings', error));
+
+Settings.onSettingsChanged((settings) => {
+  userSettings = settings;
+});
+
+/**
+ * 会话注册表恢复完成的 Promise
+ *
+ * MV3 的 service worker 空闲时会被回收，内存中的 mediaSessions 随之丢失。
+ * 重启后先从 chrome.storage.session 恢复，再向存活标签页索取最新快照；
+ * 所有读写会话的事件处理都要等待它完成，避免恢复结果覆盖更新的数据。
+ * 播放历史、播放队列与睡眠定时器同样在此时读回，会话更新会写入历史、驱动队列前进。
+ */
+const registryReady = Promise.all([restoreSessions(), restoreHistory(), restoreQueue(), restoreSleepTimer()]);
+
+// worker 重启后按恢复的注册表重新设置工具栏图标（内存中的 actionIndicator 已丢失）
+registryReady.then(updateActionIndicator);
+
 /**
  * 监听来自 content script 的一次性消息
  *
  * content script 使用 chrome.runtime.sendMessage() 发送状态更新
- * 这是单向通信，不需要回复，适合频繁的状态同步场景
+ * 状态同步是单向通信，不需要回复，适合频繁的状态同步场景；
+ * 只有 POSITION_LOOKUP 需要异步回复查询结果
  *
  * 支持的消息类型：
  * - MEDIA_UPDATE: 媒体状态变化（播放/暂停/进度/音量等）
  * - MEDIA_REMOVED: 媒体元素从 DOM 中移除
+ * - POSITION_SAVE / POSITION_CLEAR: 保存 / 删除长媒体的播放位置
+ * - POSITION_LOOKUP: 查询保存的播放位置，回复 { entry }
  *
  * @param {Object} message - 消息对象，包含 type 和 payload
  * @param {Object} sender - 发送者信息，包含 tab.id、url 等
+ * @param {Function} sendResponse - 回复函数（仅 POSITION_LOOKUP 使用）
+ * @returns {boolean|undefined} 需要异步回复时返回 true
  */
-chrome.runtime.onMessage.addListener((message, sender) => {
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // 防御性检查：确保消息格式正确
   if (!message || !message.type) {
     return;
@@ -61,12 +314,22 @@ chrome.runtime.onMessage.addListener((message, sender) => {
   switch (message.type) {
     case MESSAGE_TYPES.MEDIA_UPDATE:
       // 处理媒体状态更新：更新缓存并广播给所有 popup
-      handleMediaUpdate(message.payload, sender);
+      registryReady.then(() => handleMediaUpdate(message.payload, sender));
       break;
     case MESSAGE_TYPES.MEDIA_REMOVED:
       // 处理媒体移除：清理缓存并通知 popup 刷新列表
-      handleMediaRemoved(message.payload, sender);
+      registryReady.then(() => handleMediaRemoved(message.payload, sender));
+      break;
+    case MESSAGE_TYPES.POSITION_SAVE:
+      savePosition(message.payload);
       break;
+    case MESSAGE_TYPES.POSITION_CLEAR:
+      clearSavedPosition(message.payload);
+      break;
+    case MESSAGE_TYPES.POSITION_LOOKUP:
+      lookupSavedPosition(message.payload).then((entry) => sendResponse({ entry }));
+      // 返回 true 保持消息通道，等待异步回复
+      return true;
     default:
       // 忽略未知消息类型，保持向前兼容
       break;
@@ -74,8 +337,9 @@ chrome.runtime.onMessage.addListener((message, sender) => {
 });
 
 /**
- * 监听 popup 建立的持久连接
+ * 监听 popup（以及侧边栏、迷你播放器）建立的持久连接
  *
+ * 三种界面加载同一个 ui/mediaHub.js，只是端口名称不同，下文统称 popup。
  * popup 使用 chrome.runtime.connect() 建立长连接，用于：
  * 1. 接收实时的会话列表更新（background -> popup）
  * 2. 发送用户的媒体控制命令（popup -> background -> content script）
@@ -88,9 +352,15 @@ chrome.runtime.onMessage.addListener((message, sender) => {
  * @param {chrome.runtime.Port} port - 连接端口对象
  */
 chrome.runtime.onConnect.addListener((port) => {
-  // 验证端口名称，确保是来自 popup 的连接
+  // 录制中转的分片端口由 content script 建立，协议与媒体控制界面无关
+  if (port.name === PORT_NAMES.MEDIA_RELAY) {
+    attachRelayPort(port);
+    return;
+  }
+
+  // 验证端口名称，确保是来自媒体控制界面的连接
   // 这是一种简单的连接类型识别机制
-  if (port.name !== PORT_NAMES.POPUP) {
+  if (!HUB_PORT_NAMES.includes(port.name)) {
     return;
   }
 
@@ -114,34 +384,155 @@ chrome.runtime.onConnect.addListener((port) => {
    *
    * 用户在 popup 中点击按钮或拖动进度条时，
    * popup 会发送 MEDIA_COMMAND 消息，包含：
+   * - requestId: popup 生成的请求 ID，执行结果通过 COMMAND_RESULT 按它回传
    * - sessionId: 目标媒体会话
-   * - command: 操作类型（toggle-play/seek-relative/seek-absolute）
+   * - command: 操作类型（play/pause/seek-relative/seek-absolute 等）
    * - delta/time: 操作参数
    *
    * background 负责将命令路由到正确的 tab
    */
-  port.onMessage.addListener((message) => {
-    if (message?.type === MESSAGE_TYPES.MEDIA_COMMAND) {
-      // 异步分发命令，使用 catch 处理可能的错误
-      dispatchMediaCommand(message).catch((error) => {
-        console.warn('[CastToTV] Failed to dispatch command', error);
-      });
+  port.onMessage.addListener(async (message) => {
+    await registryReady;
+
+    switch (message?.type) {
+      case MESSAGE_TYPES.MEDIA_COMMAND:
+        // 异步分发命令，结果（成功 / 失败 / 超时）回传给发出命令的 popup
+        runPopupCommand(port, message);
+        break;
+      case MESSAGE_TYPES.SESSIONS_RESYNC:
+        port.postMessage(buildSessionsSnapshot());
+        break;
+      case MESSAGE_TYPES.HISTORY_RESUME:
+        resumeFromHistory(message.key);
+        break;
+      case MESSAGE_TYPES.HISTORY_REMOVE:
+        removeHistoryEntry(message.key);
+        break;
+      case MESSAGE_TYPES.QUEUE_ADD:
+        addToQueue(message);
+        break;
+      case MESSAGE_TYPES.QUEUE_REMOVE:
+        removeFromQueue(message.itemId);
+        break;
+      case MESSAGE_TYPES.QUEUE_MOVE:
+        moveQueueItem(message.itemId, message.toIndex);
+        break;
+      case MESSAGE_TYPES.QUEUE_PLAY:
+        playQueueItem(message.itemId);
+        break;
+      case MESSAGE_TYPES.QUEUE_SET_MODE:
+        setQueueMode(message);
+        break;
+      case MESSAGE_TYPES.QUEUE_CLEAR:
+        clearQueue();
+        break;
+      case MESSAGE_TYPES.SLEEP_TIMER_SET:
+        startSleepTimer(message);
+        break;
+      case MESSAGE_TYPES.SLEEP_TIMER_CANCEL:
+        cancelSleepTimer();
+        break;
+      case MESSAGE_TYPES.MINI_PLAYER_OPEN:
+        openMiniPlayer();
+        break;
+      case MESSAGE_TYPES.PAUSE_ALL:
+        pauseSessions(() => true);
+        break;
+      case MESSAGE_TYPES.SHORTCUT_PIN:
+        pinShortcutTarget(message.sessionId);
+        break;
+      case MESSAGE_TYPES.CAST_DISCOVER:
+        discoverRenderers();
+        break;
+      case MESSAGE_TYPES.CAST_ADD_RENDERER:
+        addRenderer(message.location);
+        break;
+      case MESSAGE_TYPES.CAST_START:
+        startCast(message.sessionId, message.rendererId);
+        break;
+      case MESSAGE_TYPES.CAST_STOP:
+        stopCast(message.sessionId);
+        break;
+      default:
+        break;
     }
   });
 
   /**
-   * 立即发送当前会话列表
+   * 恢复完成后立即发送当前会话列表
    *
-   * popup 刚打开时需要立即看到所有媒体
+   * popup 刚打开（或在 worker 重启后重新连接）时需要立即看到所有媒体
    * 不需要等待下一次状态变化
    * 这提供了即时的用户体验
    */
-  port.postMessage({
-    type: MESSAGE_TYPES.SESSIONS_UPDATED,
-    sessions: serializeSessions()
+  registryReady.then(() => {
+    // 等待期间 popup 可能已关闭
+    if (!popupPorts.has(port)) return;
+
+    port.postMessage(buildSessionsSnapshot());
+    port.postMessage(buildRenderersMessage());
+    port.postMessage(buildHistoryMessage());
+    port.postMessage(buildQueueMessage());
+    port.postMessage(buildSleepTimerMessage());
+
+    // 顺带清理内嵌播放器已被移除的会话（有变化时会再次广播）
+    pruneDetachedFrames();
   });
 });
 
+/**
+ * 监听 manifest 中声明的快捷键
+ *
+ * 快捷键作用于"快捷键目标"会话：用户固定的会话优先，
+ * 否则取 serializeSessions() 的第一项（正在播放或最近更新的）。
+ * 控制类命令复用 dispatchMediaCommand，因此投屏会话同样会路由到电视。
+ *
+ * @param {string} command - SHORTCUT_COMMANDS 中的值
+ */
+chrome.commands.onCommand.addListener(async (command) => {
+  await registryReady;
+
+  const session = resolveShortcutTarget();
+  if (!session) {
+    return;
+  }
+
+  const mediaCommand = {
+    [SHORTCUT_COMMANDS.TOGGLE_PLAY]: { command: MEDIA_COMMANDS.TOGGLE_PLAY },
+    [SHORTCUT_COMMANDS.SEEK_BACKWARD]: { command: MEDIA_COMMANDS.SEEK_RELATIVE, delta: -10 },
+    [SHORTCUT_COMMANDS.SEEK_FORWARD]: { command: MEDIA_COMMANDS.SEEK_RELATIVE, delta: 10 },
+    [SHORTCUT_COMMANDS.NEXT_TRACK]: { command: MEDIA_COMMANDS.MEDIA_SESSION_ACTION, action: 'nexttrack' }
+  }[command];
+
+  if (mediaCommand) {
+    dispatchMediaCommand({ ...mediaCommand, sessionId: session.sessionId }).catch((error) => {
+      console.warn('[CastToTV] Failed to dispatch shortcut', error);
+    });
+    return;
+  }
+
+  if (command === SHORTCUT_COMMANDS.FOCUS_TAB) {
+    focusSessionTab(session);
+  }
+});
+
+/**
+ * 监听睡眠定时器的 alarm
+ *
+ * worker 被回收后 alarm 仍会按时唤醒它，定时器状态从 chrome.storage.session 恢复
+ *
+ * @param {chrome.alarms.Alarm} alarm - 到期的 alarm
+ */
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  await registryReady;
+
+  if (alarm.name === SLEEP_ALARM) {
+    finishSleepTimer();
+  } else if (alarm.name === SLEEP_FADE_ALARM) {
+    startSleepFade();
+  }
+});
+
 /**
  * 监听标签页关闭事件
  *
@@ -153,12 +544,47 @@ chrome.runtime.onConnect.addListener((port) => {
  *
  * @param {number} tabId - 被关闭的标签页 ID
  */
-chrome.tabs.onRemoved.addListener((tabId) => {
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await registryReady;
+  pendingResumes.delete(tabId);
+  pendingQueueStarts.delete(tabId);
+  detachQueueTab(tabId);
+  removeSessionsWhere((session) => session.tabId === tabId);
+});
+
+/**
+ * 监听 frame 导航提交事件
+ *
+ * frame 导航到新文档后，旧文档中的媒体元素全部失效：
+ * - 主 frame（frameId 0）导航会销毁所有子 frame，清理整个标签页的会话
+ * - 子 frame（如内嵌的 YouTube 播放器）导航只清理该 frame 的会话
+ *
+ * 旧文档的 pagehide 也会发送 MEDIA_REMOVED，但卸载中的页面发消息并不可靠，这里兜底
+ *
+ * @param {Object} details - 导航详情，包含 tabId、frameId
+ */
+chrome.webNavigation.onCommitted.addListener(async ({ tabId, frameId }) => {
+  await registryReady;
+  removeSessionsWhere(
+    (session) => session.tabId === tabId && (frameId === 0 || session.frameId === frameId)
+  );
+});
+
+/**
+ * 删除满足条件的会话，并在确有删除时广播
+ *
+ * @param {Function} predicate - (session) => boolean
+ * @returns {boolean} 是否删除了会话
+ */
+function removeSessionsWhere(predicate) {
   let hasChanges = false;
 
-  // 遍历所有会话，找出属于该标签页的
+  // 遍历所有会话，找出满足条件的
   for (const [sessionId, session] of mediaSessions.entries()) {
-    if (session.tabId === tabId) {
+    if (predicate(session)) {
+      // 删除前记下最终位置，之后可以从历史中继续
+      recordHistory(session);
+      stopSessionRelay(session);
       mediaSessions.delete(sessionId);
       hasChanges = true;
     }
@@ -167,25 +593,54 @@ chrome.tabs.onRemoved.addListener((tabId) => {
   // 只有在确实删除了会话时才广播更新
   // 避免不必要的消息发送
   if (hasChanges) {
+    checkSleepTargetRemoved();
     broadcastSessions();
   }
-});
+  return hasChanges;
+}
+
+/**
+ * 清理所在 frame 已被移除的会话
+ *
+ * 从 DOM 中删除 iframe 不会触发任何导航事件，
+ * 因此在 popup 连接或命令发送失败时，用 getAllFrames 核对 frame 是否还存在
+ *
+ * @param {number} [tabId] - 只检查指定标签页；省略时检查所有有会话的标签页
+ */
+async function pruneDetachedFrames(tabId) {
+  const tabIds = tabId !== undefined
+    ? [tabId]
+    : Array.from(new Set(Array.from(mediaSessions.values(), (session) => session.tabId)));
+
+  for (const id of tabIds) {
+    let frames = null;
+    try {
+      frames = await chrome.webNavigation.getAllFrames({ tabId: id });
+    } catch {
+      // 标签页已不存在，getAllFrames 抛错，视为没有任何 frame
+    }
+
+    const liveFrameIds = new Set((frames || []).map((frame) => frame.frameId));
+    removeSessionsWhere((session) => session.tabId === id && !liveFrameIds.has(session.frameId));
+  }
+}
 
 /**
  * 构建唯一的会话标识符
  *
- * sessionId 的格式为 "tabId:elementId"
+ * sessionId 的格式为 "tabId:frameId:elementId"
  * 这种设计确保了：
  * - 同一标签页内的多个媒体元素可以被区分
- * - 不同标签页的媒体不会冲突
+ * - 不同标签页、不同 frame（如内嵌播放器）的媒体不会冲突
  * - 字符串格式便于序列化和调试
  *
  * @param {number} tabId - Chrome 标签页 ID
+ * @param {number} frameId - 媒体元素所在 frame 的 ID（主 frame 为 0）
  * @param {string} elementId - 媒体元素的唯一标识（UUID）
- * @returns {string} 格式为 "tabId:elementId" 的唯一标识符
+ * @returns {string} 格式为 "tabId:frameId:elementId" 的唯一标识符
  */
-function buildSessionId(tabId, elementId) {
-  return `${tabId}:${elementId}`;
+function buildSessionId(tabId, frameId, elementId) {
+  return `${tabId}:${frameId}:${elementId}`;
 }
 
 /**
@@ -203,8 +658,9 @@ function buildSessionId(tabId, elementId) {
  * @param {Object} sender - 消息发送者信息，用于获取 tabId 和页面 URL
  */
 function handleMediaUpdate(payload = {}, sender) {
-  // 从 sender 中提取标签页 ID
+  // 从 sender 中提取标签页 ID 与 frame ID
   const tabId = sender?.tab?.id;
+  const frameId = sender?.frameId ?? 0;
 
   // 验证必要参数：没有 tabId 或 elementId 则无法唯一标识会话
   if (!tabId || !payload.elementId) {
@@ -212,20 +668,50 @@ function handleMediaUpdate(payload = {}, sender) {
   }
 
   // 生成唯一的会话标识符
-  const sessionId = buildSessionId(tabId, payload.elementId);
+  const sessionId = buildSessionId(tabId, frameId, payload.elementId);
 
   // 标准化数据：补充缺失字段，确保数据完整性
   const normalized = normalizePayload(payload, sender);
 
+  // 投屏状态与快捷键固定状态由 background 维护，content script 的快照里没有，需要沿用
+  const previous = mediaSessions.get(sessionId);
+
   // 更新或创建会话记录
   // 使用对象展开运算符合并数据，后面的属性会覆盖前面的
-  mediaSessions.set(sessionId, {
+  const session = {
     ...normalized,           // 标准化后的媒体数据
     tabId,                   // 标签页 ID
+    frameId,                 // 所在 frame ID，命令需要发往同一 frame
+    frameUrl: sender?.url || null,  // 所在 frame 的地址（内嵌播放器为 iframe 地址）
+    pageUrl: sender?.tab?.url || null,  // 所在标签页的地址
     sessionId,               // 唯一会话标识
     elementId: payload.elementId,  // 元素 ID
+    castTarget: previous?.castTarget || null,  // 投屏目标（未投屏为 null）
+    shortcutPinned: previous?.shortcutPinned || false,  // 是否被固定为快捷键目标
     lastUpdated: Date.now()  // 最后更新时间戳，用于排序
-  });
+  };
+
+  // 投屏中：播放状态与进度以电视为准，本地元素（通常已暂停）只更新元数据
+  if (SessionUtils.isRemotePlayback(previous)) {
+    REMOTE_PLAYBACK_FIELDS.forEach((field) => {
+      session[field] = previous[field];
+    });
+  }
+
+  mediaSessions.set(sessionId, session);
+
+  // 独占播放：本地会话刚开始播放时，暂停其他正在播放的会话
+  if (session.isPlaying && !previous?.isPlaying && !isCastActive(session)) {
+    enforceExclusivePlayback(session);
+  }
+
+  recordHistory(session);
+  applyPendingResume(session);
+
+  // "本集结束"的睡眠定时器到点时不再让队列切换到下一项
+  if (!trackSleepTarget(session, previous)) {
+    trackQueuePlayback(session, previous);
+  }
 
   // 通知所有已连接的 popup 更新 UI
   broadcastSessions();
@@ -251,11 +737,17 @@ function handleMediaRemoved(payload = {}, sender) {
     return;
   }
 
-  const sessionId = buildSessionId(tabId, payload.elementId);
+  const sessionId = buildSessionId(tabId, sender?.frameId ?? 0, payload.elementId);
+
+  if (mediaSessions.has(sessionId)) {
+    recordHistory(mediaSessions.get(sessionId));
+    stopSessionRelay(mediaSessions.get(sessionId));
+  }
 
   // Map.delete() 返回布尔值表示是否成功删除
   // 只有确实删除了会话才需要广播
   if (mediaSessions.delete(sessionId)) {
+    checkSleepTargetRemoved();
     broadcastSessions();
   }
 }
@@ -307,29 +799,17 @@ function normalizePayload(payload, sender) {
 /**
  * 序列化会话列表（用于发送给 popup）
  *
- * 将 Map 转换为排序后的数组，排序规则：
- * 1. 正在播放的媒体优先显示（用户最可能想控制的）
- * 2. 同状态下，最近更新的排在前面（活跃度高）
- *
- * 这种排序策略提供了最佳的用户体验：
- * - 当前正在播放的媒体总是在最上面
- * - 最近互动过的媒体更容易找到
+ * 将 Map 转换为排序后的数组，排序规则见 SessionUtils.compareSessions：
+ * 正在播放的优先，同状态下最近更新的在前。popup 收到增量消息后用同一规则排序。
  *
  * @returns {Array} 排序后的会话数组
  */
 function serializeSessions() {
-  return Array.from(mediaSessions.values()).sort((a, b) => {
-    // 首先按播放状态排序：正在播放的优先
-    if (a.isPlaying !== b.isPlaying) {
-      return a.isPlaying ? -1 : 1;
-    }
-    // 相同状态下，按最后更新时间降序（最新的在前）
-    return b.lastUpdated - a.lastUpdated;
-  });
+  return SessionUtils.sortSessions(mediaSessions.values());
 }
 
 /**
- * 向所有已连接的 popup 广播会话列表
+ * 通知 popup 会话有变化
  *
  * 每当会话状态发生变化时调用：
  * - 新媒体被检测到
@@ -337,15 +817,85 @@ function serializeSessions() {
  * - 媒体被移除
  * - 标签页关闭
  *
- * 这确保了所有打开的 popup 都能实时看到最新状态
+ * 实际发送被合并：距上次广播不足 BROADCAST_INTERVAL_MS 时推迟到间隔结束，
+ * 期间的多次变化只产生一次增量。同时安排一次持久化，使注册表能在 worker 重启后恢复
  */
 function broadcastSessions() {
-  // 构造标准化的消息格式
-  const payload = {
-    type: MESSAGE_TYPES.SESSIONS_UPDATED,
+  schedulePersistSessions();
+
+  if (broadcastTimer) {
+    return;
+  }
+
+  const delay = Math.max(0, lastBroadcastAt + BROADCAST_INTERVAL_MS - Date.now());
+  broadcastTimer = setTimeout(flushSessionBroadcast, delay);
+}
+
+/**
+ * 计算自上次广播以来的变化并发送增量消息
+ *
+ * 每条消息带递增的 seq；popup 发现序号不连续时发送 SESSIONS_RESYNC 请求完整快照
+ */
+function flushSessionBroadcast() {
+  clearTimeout(broadcastTimer);
+  broadcastTimer = null;
+  lastBroadcastAt = Date.now();
+
+  const messages = [];
+
+  broadcastedSessions.forEach((previous, sessionId) => {
+    if (!mediaSessions.has(sessionId)) {
+      broadcastedSessions.delete(sessionId);
+      messages.push({ type: MESSAGE_TYPES.SESSION_REMOVED, sessionId });
+    }
+  });
+
+  mediaSessions.forEach((session, sessionId) => {
+    const previous = broadcastedSessions.get(sessionId);
+    if (!previous) {
+      messages.push({ type: MESSAGE_TYPES.SESSION_ADDED, session });
+    } else {
+      const changes = SessionUtils.diffSession(previous, session);
+      if (!changes) return;
+      messages.push({ type: MESSAGE_TYPES.SESSION_PATCHED, sessionId, changes });
+    }
+    // 保存副本：castTarget 等字段会被原地修改，共用引用会让下次比较漏掉变化
+    broadcastedSessions.set(sessionId, structuredClone(session));
+  });
+
+  messages.forEach((message) => {
+    sessionsSeq += 1;
+    postToPopups({ ...message, seq: sessionsSeq });
+  });
+
+  // 工具栏图标与 popup 在同一节奏下刷新
+  updateActionIndicator();
+}
+
+/**
+ * 构造完整快照消息
+ *
+ * 先把待合并的变化发出去，保证快照与 broadcastedSessions 一致，
+ * 客户端从快照的 seq 开始接着应用后续增量
+ *
+ * @returns {Object} SESSIONS_SNAPSHOT 消息
+ */
+function buildSessionsSnapshot() {
+  flushSessionBroadcast();
+
+  return {
+    type: MESSAGE_TYPES.SESSIONS_SNAPSHOT,
+    seq: sessionsSeq,
     sessions: serializeSessions()
   };
+}
 
+/**
+ * 向所有已连接的 popup 端口发送同一条消息
+ *
+ * @param {Object} payload - 要发送的消息
+ */
+function postToPopups(payload) {
   // 遍历所有已连接的 popup 端口
   popupPorts.forEach((port) => {
     try {
@@ -360,51 +910,1907 @@ function broadcastSessions() {
 }
 
 /**
- * 分发媒体控制命令到目标标签页
+ * 分发媒体控制命令到会话当前的播放端
  *
- * popup 发送的控制命令需要路由到正确的 content script
- * 此函数负责：
+ * popup 发送的控制命令需要路由到正确的播放端：
  * 1. 验证目标会话存在
- * 2. 查找对应的标签页 ID
- * 3. 使用 chrome.tabs.sendMessage 发送命令
+ * 2. 会话已投屏时，转换为渲染器的 AVTransport 动作
+ * 3. 否则使用 chrome.tabs.sendMessage 发送给所在标签页
  *
  * 支持的命令类型：
- * - toggle-play: 切换播放/暂停状态
+ * - play / pause: 幂等的播放与暂停
+ * - toggle-play: 切换播放/暂停状态（快捷键使用）
  * - seek-relative: 相对跳转（快进/快退 N 秒）
  * - seek-absolute: 绝对跳转（跳到指定时间点）
+ * - set-volume / toggle-mute: 音量与静音（投屏时映射到 RenderingControl）
+ * - set-rate / toggle-loop / toggle-pip: 仅本地播放支持
  *
  * @param {Object} message - 控制命令消息
  * @param {string} message.sessionId - 目标会话 ID
  * @param {string} message.command - 命令类型
  * @param {number} [message.delta] - 相对跳转的秒数（用于 seek-relative）
  * @param {number} [message.time] - 绝对时间点（用于 seek-absolute）
+ * @param {number} [message.volume] - 目标音量 0-1（用于 set-volume）
+ * @param {number} [message.rate] - 目标速率（用于 set-rate）
+ * @returns {Promise<Object>} 执行结果 { ok, error?, reason?, state? }
  */
 async function dispatchMediaCommand(message) {
   const { sessionId } = message;
 
   // 验证 sessionId 存在且对应的会话在缓存中
   if (!sessionId || !mediaSessions.has(sessionId)) {
-    return;
+    return { ok: false, error: 'unknown-session' };
   }
 
   // 获取会话信息，主要需要 tabId 来路由消息
   const session = mediaSessions.get(sessionId);
 
+  if (SessionUtils.isRemotePlayback(session)) {
+    return dispatchRemoteCommand(session, message);
+  }
+
+  return sendCommandToTab(session, message);
+}
+
+/**
+ * 执行 popup 发来的命令，并通过同一端口回传 COMMAND_RESULT
+ *
+ * 结果格式：{ type, requestId, sessionId, command, ok, error?, reason?, state?, timedOut? }
+ * 超过 COMMAND_TIMEOUT_MS 仍未完成（例如页面卡死、渲染器无响应）时报告 timeout；
+ * 命令本身不会被取消，之后的状态变化仍会通过会话增量推送反映出来。
+ *
+ * @param {chrome.runtime.Port} port - 发出命令的 popup 端口
+ * @param {Object} message - MEDIA_COMMAND 消息
+ */
+async function runPopupCommand(port, message) {
+  let timeoutId = null;
+  const timeout = new Promise((resolve) => {
+    timeoutId = setTimeout(() => resolve({ ok: false, error: 'timeout', timedOut: true }), COMMAND_TIMEOUT_MS);
+  });
+
+  let result;
+  try {
+    result = await Promise.race([dispatchMediaCommand(message), timeout]);
+  } catch (error) {
+    console.warn('[CastToTV] Failed to dispatch command', error);
+    result = { ok: false, error: error?.message || 'dispatch-failed' };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  // 没有 requestId 的旧式消息不需要回执
+  if (!message.requestId || !popupPorts.has(port)) {
+    return;
+  }
+
   try {
-    // 向目标标签页的 content script 发送命令
-    await chrome.tabs.sendMessage(session.tabId, {
-      type: MESSAGE_TYPES.MEDIA_COMMAND,
-      elementId: session.elementId,  // 指定哪个媒体元素
-      command: message.command,       // 操作类型
-      delta: message.delta,           // 相对跳转参数
-      time: message.time              // 绝对跳转参数
+    port.postMessage({
+      ...result,
+      type: MESSAGE_TYPES.COMMAND_RESULT,
+      requestId: message.requestId,
+      sessionId: message.sessionId,
+      command: message.command
     });
   } catch (error) {
-    // 错误处理：可能是标签页已关闭、content script 未加载等
+    // popup 可能已在命令执行期间关闭
+    console.warn('[CastToTV] Failed to post command result', error);
+  }
+}
+
+/**
+ * 把控制命令发送给会话所在标签页的 content script
+ *
+ * @param {Object} session - 目标会话
+ * @param {Object} message - 控制命令（command / delta / time）
+ * @returns {Promise<Object>} content script 的响应 { ok, error?, reason?, state }
+ */
+async function sendCommandToTab(session, message) {
+  // 命令参数（delta / time / volume / rate 等）原样转发，由 content script 按命令取用
+  const { type, sessionId, ...params } = message;
+
+  try {
+    // 只发给媒体所在的 frame，避免其他 frame 的 content script 也收到命令
+    const response = await chrome.tabs.sendMessage(
+      session.tabId,
+      {
+        ...params,
+        type: MESSAGE_TYPES.MEDIA_COMMAND,
+        elementId: session.elementId  // 指定哪个媒体元素
+      },
+      { frameId: session.frameId }
+    );
+    return response || { ok: false, error: 'no-response' };
+  } catch (error) {
+    // 错误处理：可能是标签页已关闭、frame 已被移除、content script 未加载等
     if (chrome.runtime.lastError) {
       console.warn('[CastToTV] Error sending command', chrome.runtime.lastError.message);
     } else {
       console.warn('[CastToTV] Error sending command', error);
     }
+    pruneDetachedFrames(session.tabId);
+    return { ok: false, error: 'frame-unreachable' };
+  }
+}
+
+/**
+ * 构造渲染器列表消息
+ *
+ * @returns {Object} RENDERERS_UPDATED 消息
+ */
+function buildRenderersMessage() {
+  return {
+    type: MESSAGE_TYPES.RENDERERS_UPDATED,
+    renderers: Array.from(castRenderers.values()).map(({ id, name, manufacturer, modelName, location }) => ({
+      id,
+      name,
+      manufacturer,
+      modelName,
+      location
+    })),
+    discovering: castDiscovery.discovering,
+    error: castDiscovery.error
+  };
+}
+
+/**
+ * 向所有 popup 广播渲染器列表与发现状态
+ */
+function broadcastRenderers() {
+  postToPopups(buildRenderersMessage());
+}
+
+/**
+ * 从 chrome.storage.local 恢复渲染器列表
+ */
+async function restoreRenderers() {
+  try {
+    const stored = await chrome.storage.local.get(RENDERERS_STORAGE_KEY);
+    (stored[RENDERERS_STORAGE_KEY] || []).forEach((renderer) => {
+      castRenderers.set(renderer.id, renderer);
+    });
+    broadcastRenderers();
+  } catch (error) {
+    console.warn('[CastToTV] Failed to restore renderers', error);
+  }
+}
+
+/**
+ * 把渲染器列表写回 chrome.storage.local
+ */
+async function persistRenderers() {
+  try {
+    await chrome.storage.local.set({ [RENDERERS_STORAGE_KEY]: Array.from(castRenderers.values()) });
+  } catch (error) {
+    console.warn('[CastToTV] Failed to persist renderers', error);
+  }
+}
+
+/**
+ * 拉取设备描述并登记渲染器
+ *
+ * @param {string} location - 设备描述文档地址
+ * @returns {Promise<Object>} 登记后的渲染器
+ */
+async function registerRenderer(location) {
+  const renderer = await DlnaClient.fetchDeviceDescription(location);
+  castRenderers.set(renderer.id, renderer);
+  return renderer;
+}
+
+/**
+ * 按用户填写的设备描述地址手动添加渲染器
+ *
+ * 适用于没有安装 native messaging 宿主、无法进行 SSDP 发现的环境
+ *
+ * @param {string} location - 设备描述文档地址，如 http://192.168.1.20:49152/description.xml
+ */
+async function addRenderer(location) {
+  castDiscovery.error = null;
+  try {
+    const url = new URL(location);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('Device description URL must be http(s)');
+    }
+    await registerRenderer(url.href);
+    await persistRenderers();
+  } catch (error) {
+    castDiscovery.error = error.message;
+  }
+  broadcastRenderers();
+}
+
+/**
+ * 通过 SSDP 发现局域网中的 MediaRenderer
+ *
+ * 扩展无法直接收发 UDP 组播，因此把 M-SEARCH 报文交给 native messaging 宿主发送，
+ * 宿主返回收集到的原始响应，设备描述的拉取与解析仍在扩展内完成。
+ */
+async function discoverRenderers() {
+  if (castDiscovery.discovering) {
+    return;
+  }
+
+  castDiscovery.discovering = true;
+  castDiscovery.error = null;
+  broadcastRenderers();
+
+  try {
+    const reply = await chrome.runtime.sendNativeMessage(NATIVE_HOSTS.BRIDGE, {
+      type: 'ssdp-search',
+      request: DlnaClient.buildMSearchRequest(),
+      timeoutMs: SSDP_SEARCH_TIMEOUT_MS
+    });
+
+    // 宿主自身出错（如无法绑定 UDP 端口）时回复 { error }
+    if (reply?.error) {
+      throw new Error(reply.error);
+    }
+
+    // 同一设备会对多个 ST 重复响应，按 LOCATION 去重
+    const locations = new Set(
+      (reply?.responses || [])
+        .map((raw) => DlnaClient.parseSsdpResponse(raw))
+        .filter(Boolean)
+        .map((response) => response.location)
+    );
+
+    const results = await Promise.allSettled(Array.from(locations, (location) => registerRenderer(location)));
+    results
+      .filter((result) => result.status === 'rejected')
+      .forEach((result) => console.warn('[CastToTV] Skipped renderer', result.reason));
+
+    await persistRenderers();
+  } catch (error) {
+    castDiscovery.error = chrome.runtime.lastError?.message || error.message;
+  } finally {
+    castDiscovery.discovering = false;
+    broadcastRenderers();
+  }
+}
+
+/**
+ * 把会话投送到渲染器
+ *
+ * 流程：确定媒体地址 -> SetAVTransportURI + Play -> 暂停本地播放。
+ * 渲染器需要自己拉流，只有 http(s) 地址可以直接交给它；blob:/MSE 源先开启本地中转（startMediaRelay），
+ * 有清单地址时让宿主拉取清单，失败或没有清单时录制本地元素。
+ * 录制中转时本地元素必须继续播放，改为把标签页静音。
+ * 进度与错误记录在 session.castTarget 上，随会话增量推送给 popup。
+ *
+ * @param {string} sessionId - 要投屏的会话
+ * @param {string} rendererId - 目标渲染器
+ */
+async function startCast(sessionId, rendererId) {
+  const session = mediaSessions.get(sessionId);
+  const renderer = castRenderers.get(rendererId);
+  if (!session || !renderer) {
+    return;
+  }
+
+  const setCastTarget = (status, error = null, relay = null) => {
+    const current = mediaSessions.get(sessionId);
+    if (!current) return;
+    current.castTarget = {
+      rendererId,
+      rendererName: renderer.name,
+      status,
+      error,
+      failures: 0,
+      hasPlayed: false,
+      relay
+    };
+    broadcastSessions();
+  };
+
+  // 重新投屏（换一台渲染器）时先结束上一次的中转
+  stopSessionRelay(session);
+  setCastTarget('connecting');
+
+  let relay = null;
+  try {
+    let media = { url: session.sourceUrl, mimeType: null };
+    if (!/^https?:/i.test(session.sourceUrl || '')) {
+      const manifestUrl = await lookupManifestUrl(session);
+      relay = manifestUrl
+        ? await startMediaRelay(session, renderer, 'manifest', manifestUrl).catch((error) => {
+          console.warn('[CastToTV] Manifest relay failed, recording instead', error);
+          return startMediaRelay(session, renderer, 'capture');
+        })
+        : await startMediaRelay(session, renderer, 'capture');
+      media = { url: relay.url, mimeType: relay.mimeType };
+    }
+
+    await DlnaClient.castMedia(renderer, {
+      ...media,
+      title: session.title,
+      artist: session.artist,
+      artwork: session.artwork,
+      mediaKind: session.mediaKind
+    });
+
+    // 等待期间会话可能已被移除，中转也可能已经中断
+    if (!mediaSessions.has(sessionId)) {
+      if (relay) stopMediaRelay(relay.relayId);
+      return;
+    }
+    if (relay && !mediaRelays.has(relay.relayId)) {
+      throw new Error('Relay stopped before the TV started playing');
+    }
+    setCastTarget('active', null, relay && { relayId: relay.relayId, mode: relay.mode, mutedTab: relay.mutedTab });
+    scheduleCastPolling();
+
+    // 交接完成后暂停本地播放，避免电视与电脑同时出声（录制中转已改为静音标签页）
+    if (relay?.mode !== 'capture') {
+      await sendCommandToTab(session, { command: MEDIA_COMMANDS.PAUSE });
+    }
+  } catch (error) {
+    if (relay) stopMediaRelay(relay.relayId);
+    setCastTarget('error', error.message);
+  }
+}
+
+/**
+ * 向会话所在的框架查询 blob:/MSE 源背后的 HLS / DASH 清单地址
+ *
+ * 清单地址不随状态上报，只在投屏时查询一次（见 content script 的 readManifestUrl）
+ *
+ * @param {Object} session - 要投屏的会话
+ * @returns {Promise<string|null>} 清单地址；找不到或页面无响应时为 null（改为录制）
+ */
+async function lookupManifestUrl(session) {
+  try {
+    const response = await chrome.tabs.sendMessage(
+      session.tabId,
+      { type: MESSAGE_TYPES.MANIFEST_LOOKUP, elementId: session.elementId },
+      { frameId: session.frameId }
+    );
+    return response?.manifestUrl || null;
+  } catch (error) {
+    console.warn('[CastToTV] Manifest lookup failed', error);
+    return null;
+  }
+}
+
+/**
+ * 为 blob:/MSE 会话开启本地中转
+ *
+ * - manifest：把页面播放器的清单地址交给宿主，由宿主拉取并输出单个流
+ * - capture：先让 content script 开始录制（页面无法录制时尽早失败），再让宿主开端口；
+ *   宿主确认前到达的分片暂存在 backlog 中，确认后按顺序补发
+ *
+ * @param {Object} session - 要投屏的会话
+ * @param {Object} renderer - 目标渲染器
+ * @param {string} mode - 'manifest' | 'capture'
+ * @param {string} [manifestUrl] - manifest 模式：lookupManifestUrl 查到的清单地址
+ * @returns {Promise<Object>} { relayId, mode, url, mimeType }
+ */
+async function startMediaRelay(session, renderer, mode, manifestUrl) {
+  const relayId = crypto.randomUUID();
+  const relay = {
+    relayId,
+    sessionId: session.sessionId,
+    tabId: session.tabId,
+    mode,
+    port: null,
+    ready: false,
+    backlog: [],
+    mutedTab: false
+  };
+  mediaRelays.set(relayId, relay);
+
+  try {
+    const options = { relayId, mode, rendererHost: new URL(renderer.location).hostname };
+
+    if (mode === 'manifest') {
+      Object.assign(options, {
+        manifestUrl,
+        referrer: session.frameUrl || session.pageUrl,
+        userAgent: navigator.userAgent
+      });
+    } else {
+      const response = await chrome.tabs.sendMessage(
+        session.tabId,
+        { type: MESSAGE_TYPES.RELAY_START, elementId: session.elementId, relayId },
+        { frameId: session.frameId }
+      );
+      if (!response?.ok) {
+        const code = response?.reason === 'SecurityError' ? response.reason : response?.error;
+        throw new Error(RELAY_ERROR_MESSAGES[code] || code || 'Failed to record the media');
+      }
+      options.mimeType = response.mimeType;
+    }
+
+    const started = await RelayClient.startRelay(options);
+    if (!mediaRelays.has(relayId)) {
+      throw new Error('cancelled');
+    }
+
+    relay.ready = true;
+    relay.backlog.forEach(({ seq, data }) => RelayClient.pushChunk(relayId, seq, data));
+    relay.backlog = [];
+
+    // 录制的是本地元素的输出，本地不能暂停；标签页静音只影响扬声器输出，不影响录制
+    if (mode === 'capture') {
+      const tab = await chrome.tabs.get(session.tabId);
+      if (!tab.mutedInfo?.muted) {
+        await chrome.tabs.update(session.tabId, { muted: true });
+        relay.mutedTab = true;
+      }
+    }
+
+    return {
+      relayId,
+      mode,
+      url: started.url,
+      mimeType: started.mimeType || options.mimeType || null,
+      mutedTab: relay.mutedTab
+    };
+  } catch (error) {
+    stopMediaRelay(relayId);
+    throw error;
+  }
+}
+
+/**
+ * 接管 content script 建立的录制分片端口
+ *
+ * 第一条消息带 relayId，用来找到对应的中转；之后每条消息是 { seq, data } 分片或 { error }。
+ * 端口断开（录制停止、页面卸载）视为中转结束。
+ *
+ * @param {chrome.runtime.Port} port - PORT_NAMES.MEDIA_RELAY 端口
+ */
+function attachRelayPort(port) {
+  let relay = null;
+
+  port.onMessage.addListener((message) => {
+    if (!relay) {
+      const candidate = mediaRelays.get(message?.relayId);
+      // 中转已结束，或端口来自别的标签页
+      if (!candidate || candidate.tabId !== port.sender?.tab?.id || candidate.port) {
+        port.disconnect();
+        return;
+      }
+      relay = candidate;
+      relay.port = port;
+    }
+
+    if (message.error) {
+      failMediaRelay(relay.relayId, RELAY_ERROR_MESSAGES[message.error] || `Recording stopped (${message.error})`);
+    } else if (typeof message.data === 'string' && Number.isInteger(message.seq)) {
+      if (relay.ready) {
+        RelayClient.pushChunk(relay.relayId, message.seq, message.data);
+      } else {
+        relay.backlog.push({ seq: message.seq, data: message.data });
+      }
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    if (relay && mediaRelays.get(relay.relayId) === relay) {
+      failMediaRelay(relay.relayId, 'Recording stopped');
+    }
+  });
+}
+
+/**
+ * 结束中转：通知宿主、断开录制端口（content script 随之停止录制）、恢复标签页静音状态
+ *
+ * @param {string} relayId - 中转 ID
+ */
+function stopMediaRelay(relayId) {
+  const relay = mediaRelays.get(relayId);
+  if (!relay) {
+    return;
+  }
+  mediaRelays.delete(relayId);
+
+  RelayClient.stopRelay(relayId);
+  relay.port?.disconnect();
+
+  if (relay.mutedTab) {
+    chrome.tabs.update(relay.tabId, { muted: false }).catch(() => {
+      // 标签页已关闭
+    });
+  }
+}
+
+/**
+ * 结束会话正在使用的中转（停止投屏、会话被移除或投屏出错时）
+ *
+ * @param {Object|undefined} session - 会话
+ */
+function stopSessionRelay(session) {
+  if (session?.castTarget?.relay) {
+    stopMediaRelay(session.castTarget.relay.relayId);
+  }
+}
+
+/**
+ * 中转中途失败：结束中转，并把使用它的投屏标记为错误
+ *
+ * @param {string} relayId - 中转 ID
+ * @param {string} error - 显示给用户的错误信息
+ */
+function failMediaRelay(relayId, error) {
+  const relay = mediaRelays.get(relayId);
+  stopMediaRelay(relayId);
+
+  const session = relay && mediaSessions.get(relay.sessionId);
+  if (session?.castTarget?.relay?.relayId !== relayId) {
+    return;
+  }
+  session.castTarget.status = 'error';
+  session.castTarget.error = error;
+  broadcastSessions();
+}
+
+// 宿主报告错误或连接断开时，正在使用中转的投屏随之失败
+RelayClient.onRelayError(failMediaRelay);
+
+/**
+ * 结束投屏：停止渲染器播放并让会话回到本地控制
+ *
+ * 投屏失败的会话同样通过此函数清除错误状态
+ *
+ * @param {string} sessionId - 会话 ID
+ */
+async function stopCast(sessionId) {
+  const session = mediaSessions.get(sessionId);
+  if (!session?.castTarget) {
+    return;
+  }
+
+  const renderer = castRenderers.get(session.castTarget.rendererId);
+  const wasActive = isCastActive(session);
+  const wasRemote = SessionUtils.isRemotePlayback(session);
+  const remoteTime = SessionUtils.projectCurrentTime(session);
+
+  stopSessionRelay(session);
+  session.castTarget = null;
+  broadcastSessions();
+
+  if (!wasActive) {
+    return;
+  }
+
+  if (renderer) {
+    try {
+      await DlnaClient.stop(renderer);
+    } catch (error) {
+      console.warn('[CastToTV] Failed to stop renderer', error);
+    }
+  }
+
+  // 把本地元素跳到电视停下的位置，content script 随后会上报本地的真实状态
+  // （录制中转时本地一直在播放，进度本来就以本地为准）
+  if (wasRemote) {
+    await sendCommandToTab(session, { command: MEDIA_COMMANDS.SEEK_ABSOLUTE, time: remoteTime });
+  }
+}
+
+/**
+ * 判断会话当前是否由渲染器播放
+ *
+ * @param {Object|undefined} session - 会话
+ * @returns {boolean}
+ */
+function isCastActive(session) {
+  return session?.castTarget?.status === 'active';
+}
+
+/**
+ * 把控制命令转换为渲染器的 AVTransport 动作
+ *
+ * toggle-play 以最近一次轮询到的远端状态决定 Play 或 Pause；
+ * 动作完成后立即轮询一次，让 popup 尽快看到电视的真实状态。
+ *
+ * @param {Object} session - 已投屏的会话
+ * @param {Object} message - 控制命令（command / delta / time）
+ * @returns {Promise<Object>} 执行结果 { ok, error?, state? }
+ */
+async function dispatchRemoteCommand(session, message) {
+  const renderer = castRenderers.get(session.castTarget.rendererId);
+  if (!renderer) {
+    return { ok: false, error: 'unknown-renderer' };
+  }
+
+  // 把目标时间限制在 [0, duration] 内
+  const clampTime = (time) => {
+    const upper = Number.isFinite(session.duration) && session.duration > 0 ? session.duration : Infinity;
+    return Math.min(Math.max(0, time), upper);
+  };
+
+  try {
+    switch (message.command) {
+      case MEDIA_COMMANDS.TOGGLE_PLAY:
+        await (session.isPlaying ? DlnaClient.pause(renderer) : DlnaClient.play(renderer));
+        break;
+      case MEDIA_COMMANDS.PLAY:
+        await DlnaClient.play(renderer);
+        break;
+      case MEDIA_COMMANDS.PAUSE:
+        await DlnaClient.pause(renderer);
+        break;
+      case MEDIA_COMMANDS.SEEK_RELATIVE:
+        if (!Number.isFinite(message.delta)) return { ok: false, error: 'invalid-delta' };
+        await DlnaClient.seek(renderer, clampTime(SessionUtils.projectCurrentTime(session) + message.delta));
+        break;
+      case MEDIA_COMMANDS.SEEK_ABSOLUTE:
+        if (!Number.isFinite(message.time)) return { ok: false, error: 'invalid-time' };
+        await DlnaClient.seek(renderer, clampTime(message.time));
+        break;
+      case MEDIA_COMMANDS.PREVIOUS_CHAPTER:
+      case MEDIA_COMMANDS.NEXT_CHAPTER: {
+        // 章节来自页面上报的会话，按电视上的进度换算成绝对跳转
+        if (!session.chapters?.length) return { ok: false, error: 'no-chapters' };
+        const direction = message.command === MEDIA_COMMANDS.NEXT_CHAPTER ? 1 : -1;
+        const target = SessionUtils.chapterSeekTarget(session.chapters, SessionUtils.projectCurrentTime(session), direction);
+        if (target === null) return { ok: false, error: 'no-next-chapter' };
+        await DlnaClient.seek(renderer, clampTime(target));
+        break;
+      }
+      case MEDIA_COMMANDS.SET_VOLUME:
+        if (!Number.isFinite(message.volume)) return { ok: false, error: 'invalid-volume' };
+        await DlnaClient.setVolume(renderer, message.volume);
+        break;
+      case MEDIA_COMMANDS.TOGGLE_MUTE:
+        await DlnaClient.setMute(renderer, !session.muted);
+        break;
+      default:
+        console.warn('[CastToTV] Command not supported while casting', message.command);
+        return { ok: false, error: 'unsupported-while-casting' };
+    }
+  } catch (error) {
+    console.warn('[CastToTV] Remote command failed', error);
+    return { ok: false, error: error.message };
+  }
+
+  await pollCastSession(session.sessionId);
+  const updated = mediaSessions.get(session.sessionId);
+  return {
+    ok: true,
+    state: updated ? { isPlaying: updated.isPlaying, currentTime: updated.currentTime } : undefined
+  };
+}
+
+/**
+ * 启动渲染器状态轮询
+ *
+ * 使用串行的 setTimeout 而非 setInterval：电视响应慢时不会堆积请求。
+ * 没有活跃投屏时自动停止。
+ */
+function scheduleCastPolling() {
+  if (castPollTimer || !Array.from(mediaSessions.values()).some(isCastActive)) {
+    return;
+  }
+
+  castPollTimer = setTimeout(async () => {
+    const active = Array.from(mediaSessions.values()).filter(isCastActive);
+    await Promise.all(active.map((session) => pollCastSession(session.sessionId)));
+    castPollTimer = null;
+    scheduleCastPolling();
+  }, CAST_POLL_INTERVAL_MS);
+}
+
+/**
+ * 轮询单个投屏会话的远端状态，并写回会话缓存
+ *
+ * 结果通过常规的会话增量广播，popup 无需区分本地与远端。
+ * 连续失败达到上限时把投屏标记为错误，停止轮询该会话。
+ *
+ * @param {string} sessionId - 会话 ID
+ */
+async function pollCastSession(sessionId) {
+  const session = mediaSessions.get(sessionId);
+  const renderer = castRenderers.get(session?.castTarget?.rendererId);
+  if (!isCastActive(session) || !renderer) {
+    return;
+  }
+
+  try {
+    const state = await DlnaClient.getPlaybackState(renderer);
+
+    // 等待期间会话可能已被移除或停止投屏
+    const current = mediaSessions.get(sessionId);
+    if (!isCastActive(current)) return;
+
+    const castTarget = current.castTarget;
+    castTarget.failures = 0;
+    castTarget.transportState = state.transportState;
+    castTarget.hasPlayed = castTarget.hasPlayed || state.isPlaying;
+
+    // 录制中转的进度以本地元素为准，轮询只用来确认电视仍然在线
+    if (!SessionUtils.isRemotePlayback(current)) {
+      broadcastSessions();
+      return;
+    }
+
+    Object.assign(current, {
+      isPlaying: state.isPlaying,
+      // 播放过之后回到 STOPPED 视为播放结束（刚投屏时的 STOPPED 只是尚未开始）
+      isEnded: castTarget.hasPlayed && state.transportState === 'STOPPED',
+      currentTime: state.currentTime,
+      duration: state.duration ?? current.duration,
+      volume: state.volume ?? current.volume,
+      muted: state.muted ?? current.muted,
+      lastUpdated: Date.now()
+    });
+  } catch (error) {
+    const current = mediaSessions.get(sessionId);
+    if (!isCastActive(current)) return;
+
+    current.castTarget.failures += 1;
+    if (current.castTarget.failures >= CAST_POLL_MAX_FAILURES) {
+      stopSessionRelay(current);
+      current.castTarget.status = 'error';
+      current.castTarget.error = error.message;
+    }
+  }
+
+  broadcastSessions();
+}
+
+/**
+ * 安排把会话注册表写入 chrome.storage.session（防抖）
+ *
+ * storage.session 只保存在内存中、浏览器关闭即清空，正好匹配会话的生命周期
+ */
+function schedulePersistSessions() {
+  if (persistSessionsTimer) {
+    return;
+  }
+
+  persistSessionsTimer = setTimeout(async () => {
+    persistSessionsTimer = null;
+    try {
+      await chrome.storage.session.set({ [SESSIONS_STORAGE_KEY]: Array.from(mediaSessions.values()) });
+    } catch (error) {
+      console.warn('[CastToTV] Failed to persist sessions', error);
+    }
+  }, SESSIONS_PERSIST_DELAY_MS);
+}
+
+/**
+ * worker 启动时恢复会话注册表
+ *
+ * 1. 从 chrome.storage.session 读回上次保存的会话
+ * 2. 丢弃所在标签页已关闭的会话
+ * 3. 向所有网页标签页索取最新快照（content script 会重新发送 MEDIA_UPDATE），
+ *    这也能找回 worker 被回收前来不及持久化的会话
+ * 4. 恢复投屏会话的远端状态轮询
+ */
+async function restoreSessions() {
+  try {
+    const stored = await chrome.storage.session.get(SESSIONS_STORAGE_KEY);
+    const tabs = await chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] });
+    const liveTabIds = new Set(tabs.map((tab) => tab.id));
+
+    (stored[SESSIONS_STORAGE_KEY] || [])
+      .filter((session) => liveTabIds.has(session.tabId))
+      .forEach((session) => {
+        // 与宿主的连接会让 worker 保持运行，worker 重启说明中转已随旧连接结束
+        if (isCastActive(session) && session.castTarget.relay) {
+          if (session.castTarget.relay.mutedTab) {
+            chrome.tabs.update(session.tabId, { muted: false }).catch(() => {});
+          }
+          session.castTarget.status = 'error';
+          session.castTarget.error = 'Relay interrupted';
+        }
+        mediaSessions.set(session.sessionId, session);
+      });
+
+    // 快照请求发往标签页内的所有 frame，回复以普通 MEDIA_UPDATE 的形式到达
+    tabs.forEach((tab) => {
+      chrome.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.MEDIA_SNAPSHOT_REQUEST }).catch(() => {
+        // 没有注入 content script 的标签页（如扩展安装前打开的页面）会拒绝，忽略即可
+      });
+    });
+  } catch (error) {
+    console.warn('[CastToTV] Failed to restore sessions', error);
+  }
+
+  schedulePersistSessions();
+  scheduleCastPolling();
+}
+
+/**
+ * 计算快捷键当前作用的会话
+ *
+ * @returns {Object|undefined} 固定的会话，或排序后的第一个会话
+ */
+function resolveShortcutTarget() {
+  const sessions = serializeSessions();
+  return sessions.find((session) => session.shortcutPinned) || sessions[0];
+}
+
+/**
+ * 把会话固定为快捷键目标（同一时间最多一个）
+ *
+ * 固定标记保存在会话上，随注册表一起持久化；会话被移除后自动回退到默认目标
+ *
+ * @param {string|null} sessionId - 要固定的会话；传 null 取消固定
+ */
+function pinShortcutTarget(sessionId) {
+  mediaSessions.forEach((session) => {
+    session.shortcutPinned = session.sessionId === sessionId;
+  });
+  broadcastSessions();
+}
+
+/**
+ * 切换到会话所在的标签页并聚焦其窗口
+ *
+ * @param {Object} session - 目标会话
+ */
+async function focusSessionTab(session) {
+  try {
+    const tab = await chrome.tabs.update(session.tabId, { active: true });
+    if (tab?.windowId !== undefined) {
+      await chrome.windows.update(tab.windowId, { focused: true });
+    }
+  } catch (error) {
+    console.warn('[CastToTV] Failed to focus media tab', error);
+  }
+}
+
+/**
+ * 独占播放（类似手机系统的音频焦点）
+ *
+ * 开启后，一个本地会话开始播放时暂停其他正在本地播放的会话。
+ * 允许名单中的网站（如视频会议）既不会被暂停，开始播放时也不会暂停别人；
+ * 投屏到电视的会话不占用本机音频，不受影响。
+ *
+ * @param {Object} session - 刚开始播放的会话
+ */
+function enforceExclusivePlayback(session) {
+  if (!userSettings.exclusivePlayback || isExclusiveAllowed(session)) {
+    return;
+  }
+
+  pauseSessions(
+    (other) =>
+      other.sessionId !== session.sessionId && !isCastActive(other) && !isExclusiveAllowed(other)
+  );
+}
+
+/**
+ * 判断会话是否在独占播放的允许名单中
+ *
+ * 同时检查媒体所在 frame 的域名和标签页的域名：
+ * 内嵌在会议页面里的播放器也应视为会议的一部分
+ *
+ * @param {Object} session - 会话
+ * @returns {boolean}
+ */
+function isExclusiveAllowed(session) {
+  const allowlist = userSettings.exclusiveAllowlist;
+  let pageHost = '';
+  try {
+    pageHost = session.pageUrl ? new URL(session.pageUrl).hostname : '';
+  } catch {
+    pageHost = '';
+  }
+  return Settings.isSiteListed(allowlist, session.origin) || Settings.isSiteListed(allowlist, pageHost);
+}
+
+/**
+ * 暂停满足条件且正在播放的会话
+ *
+ * 使用幂等的 pause 命令而非 toggle-play，
+ * 即使会话状态已过期也不会把已暂停的媒体误切换为播放
+ *
+ * @param {Function} predicate - (session) => boolean
+ * @returns {Promise<void>} 所有暂停命令完成（成功或失败）后 resolve
+ */
+function pauseSessions(predicate) {
+  const pending = [];
+  mediaSessions.forEach((session) => {
+    if (!session.isPlaying || !predicate(session)) return;
+
+    pending.push(
+      dispatchMediaCommand({ sessionId: session.sessionId, command: MEDIA_COMMANDS.PAUSE }).catch((error) => {
+        console.warn('[CastToTV] Failed to pause session', error);
+      })
+    );
+  });
+  return Promise.all(pending).then(() => undefined);
+}
+
+/**
+ * 构造播放历史消息
+ *
+ * @returns {Object} HISTORY_UPDATED 消息，条目按最近播放排序
+ */
+function buildHistoryMessage() {
+  return {
+    type: MESSAGE_TYPES.HISTORY_UPDATED,
+    entries: Array.from(playbackHistory.values())
+  };
+}
+
+/**
+ * 把会话的当前状态写入播放历史
+ *
+ * 只记录网页中真正播放过的媒体（有进度或正在播放）；
+ * 位置按 lastUpdated 外推，因为 content script 不会上报可预测的进度。
+ * 同一页面上同名的媒体合并为一条，并移到最前。
+ *
+ * @param {Object} session - 会话
+ */
+function recordHistory(session) {
+  if (!/^https?:/.test(session.pageUrl || '') || SessionUtils.isRemotePlayback(session)) {
+    return;
+  }
+
+  const currentTime = SessionUtils.projectCurrentTime(session);
+  if (!session.isPlaying && currentTime <= 0) {
+    return;
+  }
+
+  const key = SessionUtils.historyKey(session);
+  playbackHistory.delete(key);
+
+  const entries = [
+    [
+      key,
+      {
+        key,
+        title: session.title,
+        artist: session.artist,
+        artwork: session.artwork,
+        // 站点适配器给出的规范地址不带播放列表等临时参数，更适合"重新打开"
+        pageUrl: session.canonicalUrl || session.pageUrl,
+        origin: session.origin,
+        mediaKind: session.mediaKind,
+        currentTime,
+        duration: session.duration,
+        updatedAt: Date.now()
+      }
+    ],
+    ...playbackHistory.entries()
+  ].slice(0, HISTORY_LIMIT);
+
+  playbackHistory.clear();
+  entries.forEach(([entryKey, entry]) => playbackHistory.set(entryKey, entry));
+  schedulePersistHistory();
+}
+
+/**
+ * 删除一条播放历史
+ *
+ * @param {string} key - 历史条目的 key
+ */
+function removeHistoryEntry(key) {
+  if (playbackHistory.delete(key)) {
+    schedulePersistHistory();
+  }
+}
+
+/**
+ * 防抖地写入播放历史并通知 popup
+ *
+ * 播放中的会话每次更新都会刷新历史，合并后再写 chrome.storage.local
+ */
+function schedulePersistHistory() {
+  if (persistHistoryTimer) {
+    return;
+  }
+
+  persistHistoryTimer = setTimeout(async () => {
+    persistHistoryTimer = null;
+    postToPopups(buildHistoryMessage());
+    try {
+      await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: Array.from(playbackHistory.values()) });
+    } catch (error) {
+      console.warn('[CastToTV] Failed to persist history', error);
+    }
+  }, HISTORY_PERSIST_DELAY_MS);
+}
+
+/**
+ * worker 启动时读回播放历史
+ */
+async function restoreHistory() {
+  try {
+    const stored = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+    (stored[HISTORY_STORAGE_KEY] || []).forEach((entry) => {
+      if (entry?.key && !playbackHistory.has(entry.key)) {
+        playbackHistory.set(entry.key, entry);
+      }
+    });
+  } catch (error) {
+    console.warn('[CastToTV] Failed to restore history', error);
+  }
+}
+
+/**
+ * 在新标签页中重新打开历史条目
+ *
+ * 页面加载后 content script 上报匹配的媒体时，由 applyPendingResume 跳到保存的位置
+ *
+ * @param {string} key - 历史条目的 key
+ */
+async function resumeFromHistory(key) {
+  const entry = playbackHistory.get(key);
+  if (!entry) {
+    return;
+  }
+
+  try {
+    const tab = await chrome.tabs.create({ url: entry.pageUrl, active: true });
+    pendingResumes.set(tab.id, { entry, expiresAt: Date.now() + RESUME_TIMEOUT_MS });
+  } catch (error) {
+    console.warn('[CastToTV] Failed to reopen history entry', error);
+  }
+}
+
+/**
+ * 会话所在标签页有待恢复的历史条目时，跳到保存的位置
+ *
+ * 标题相同，或时长一致（标题可能在页面加载过程中才更新）即视为同一媒体；
+ * 需要等到时长已知（元数据加载完成）才能跳转
+ *
+ * @param {Object} session - 刚更新的会话
+ */
+function applyPendingResume(session) {
+  const pending = pendingResumes.get(session.tabId);
+  if (!pending) {
+    return;
+  }
+
+  if (Date.now() > pending.expiresAt) {
+    pendingResumes.delete(session.tabId);
+    return;
+  }
+
+  const { entry } = pending;
+  const hasDuration = Number.isFinite(session.duration) && session.duration > 0;
+  const sameMedia =
+    (entry.title && session.title === entry.title) ||
+    (hasDuration && Number.isFinite(entry.duration) && Math.abs(session.duration - entry.duration) < 1);
+  if (!hasDuration || !sameMedia) {
+    return;
+  }
+
+  pendingResumes.delete(session.tabId);
+
+  if (entry.currentTime < RESUME_MARGIN_SECONDS || entry.currentTime > session.duration - RESUME_MARGIN_SECONDS) {
+    return;
+  }
+
+  sendCommandToTab(session, { command: MEDIA_COMMANDS.SEEK_ABSOLUTE, time: entry.currentTime });
+}
+
+/**
+ * 生成位置记忆的键
+ * @param {Object} payload - { url, elementSrc }
+ * @returns {string}
+ */
+function savedPositionKey(payload) {
+  return `${payload?.url || ''}\n${payload?.elementSrc || ''}`;
+}
+
+/**
+ * 首次使用时从 chrome.storage.local 读入位置记忆
+ * @returns {Promise<Map>}
+ */
+function loadSavedPositions() {
+  if (!savedPositionsLoading) {
+    savedPositionsLoading = (async () => {
+      savedPositions = new Map();
+      try {
+        const stored = await chrome.storage.local.get(SAVED_POSITIONS_STORAGE_KEY);
+        (stored[SAVED_POSITIONS_STORAGE_KEY] || []).forEach((entry) => {
+          savedPositions.set(savedPositionKey(entry), entry);
+        });
+      } catch (error) {
+        console.warn('[CastToTV] Failed to restore saved positions', error);
+      }
+      return savedPositions;
+    })();
+  }
+  return savedPositionsLoading;
+}
+
+/**
+ * 保存 content script 上报的播放位置
+ *
+ * @param {Object} payload - { url, elementSrc, currentTime, duration }
+ */
+async function savePosition(payload) {
+  if (!payload?.url || !Number.isFinite(payload.currentTime)) {
+    return;
+  }
+
+  const positions = await loadSavedPositions();
+  const key = savedPositionKey(payload);
+
+  // 删除后重新插入，Map 的插入顺序即保存时间顺序
+  positions.delete(key);
+  positions.set(key, {
+    url: payload.url,
+    elementSrc: payload.elementSrc || '',
+    currentTime: payload.currentTime,
+    duration: Number.isFinite(payload.duration) ? payload.duration : null,
+    savedAt: Date.now()
+  });
+
+  while (positions.size > SAVED_POSITIONS_LIMIT) {
+    positions.delete(positions.keys().next().value);
+  }
+
+  schedulePersistSavedPositions();
+}
+
+/**
+ * 删除保存的播放位置（媒体播放完毕）
+ *
+ * @param {Object} payload - { url, elementSrc }
+ */
+async function clearSavedPosition(payload) {
+  const positions = await loadSavedPositions();
+  if (positions.delete(savedPositionKey(payload))) {
+    schedulePersistSavedPositions();
+  }
+}
+
+/**
+ * 查询保存的播放位置
+ *
+ * @param {Object} payload - { url, elementSrc }
+ * @returns {Promise<Object|null>}
+ */
+async function lookupSavedPosition(payload) {
+  const positions = await loadSavedPositions();
+  return positions.get(savedPositionKey(payload)) || null;
+}
+
+/**
+ * 防抖地把位置记忆写入 chrome.storage.local
+ */
+function schedulePersistSavedPositions() {
+  if (persistSavedPositionsTimer) {
+    return;
+  }
+
+  persistSavedPositionsTimer = setTimeout(async () => {
+    persistSavedPositionsTimer = null;
+    try {
+      await chrome.storage.local.set({ [SAVED_POSITIONS_STORAGE_KEY]: Array.from(savedPositions.values()) });
+    } catch (error) {
+      console.warn('[CastToTV] Failed to persist saved positions', error);
+    }
+  }, SAVED_POSITIONS_PERSIST_DELAY_MS);
+}
+
+/**
+ * 构造播放队列消息
+ *
+ * @returns {Object} QUEUE_UPDATED 消息
+ */
+function buildQueueMessage() {
+  return {
+    type: MESSAGE_TYPES.QUEUE_UPDATED,
+    items: playQueue.items,
+    currentId: playQueue.currentId,
+    repeat: playQueue.repeat,
+    shuffle: playQueue.shuffle
+  };
+}
+
+/**
+ * 队列变化后通知 popup 并写回存储
+ *
+ * 队列只随用户操作和曲目切换变化，不需要防抖
+ */
+async function commitQueue() {
+  postToPopups(buildQueueMessage());
+  try {
+    await chrome.storage.local.set({ [QUEUE_STORAGE_KEY]: playQueue });
+  } catch (error) {
+    console.warn('[CastToTV] Failed to persist queue', error);
+  }
+}
+
+/**
+ * worker 启动时读回播放队列
+ */
+async function restoreQueue() {
+  try {
+    const stored = await chrome.storage.local.get(QUEUE_STORAGE_KEY);
+    Object.assign(playQueue, stored[QUEUE_STORAGE_KEY] || {});
+  } catch (error) {
+    console.warn('[CastToTV] Failed to restore queue', error);
+  }
+}
+
+/**
+ * 把会话所在页面，或没有媒体会话的标签页加入队列末尾
+ *
+ * 同一页面只保留一项；再次添加时只更新它所在的标签页
+ *
+ * @param {Object} message - QUEUE_ADD 消息，带 sessionId 或 tabId
+ */
+async function addToQueue({ sessionId, tabId }) {
+  let source = mediaSessions.get(sessionId);
+  if (!source && tabId !== undefined) {
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      source = { tabId: tab.id, pageUrl: tab.url, title: tab.title, artwork: null, favIcon: tab.favIconUrl };
+    } catch (error) {
+      console.warn('[CastToTV] Failed to read tab for queue', error);
+      return;
+    }
+  }
+
+  if (!source || !/^https?:/.test(source.pageUrl || '')) {
+    return;
+  }
+
+  const existing = playQueue.items.find((item) => item.pageUrl === source.pageUrl);
+  if (existing) {
+    existing.tabId = source.tabId;
+  } else {
+    let origin = source.origin || null;
+    try {
+      origin = origin || new URL(source.pageUrl).hostname;
+    } catch {
+      origin = null;
+    }
+
+    playQueue.items.push({
+      id: crypto.randomUUID(),
+      pageUrl: source.pageUrl,
+      tabId: source.tabId,
+      title: source.title || source.siteName || source.pageUrl,
+      artist: source.artist || null,
+      artwork: source.artwork || source.favIcon || null,
+      origin,
+      duration: Number.isFinite(source.duration) ? source.duration : null,
+      addedAt: Date.now()
+    });
+  }
+
+  commitQueue();
+}
+
+/**
+ * 从队列中删除一项
+ *
+ * @param {string} itemId - 条目 ID
+ */
+function removeFromQueue(itemId) {
+  const index = playQueue.items.findIndex((item) => item.id === itemId);
+  if (index === -1) {
+    return;
+  }
+
+  playQueue.items.splice(index, 1);
+  playQueue.playedIds = playQueue.playedIds.filter((id) => id !== itemId);
+  if (playQueue.currentId === itemId) {
+    playQueue.currentId = null;
+  }
+  commitQueue();
+}
+
+/**
+ * 把条目移动到指定位置（popup 拖动排序）
+ *
+ * @param {string} itemId - 条目 ID
+ * @param {number} toIndex - 移动后的下标
+ */
+function moveQueueItem(itemId, toIndex) {
+  const index = playQueue.items.findIndex((item) => item.id === itemId);
+  if (index === -1 || !Number.isInteger(toIndex)) {
+    return;
+  }
+
+  const [item] = playQueue.items.splice(index, 1);
+  playQueue.items.splice(Math.min(Math.max(0, toIndex), playQueue.items.length), 0, item);
+  commitQueue();
+}
+
+/**
+ * 修改循环 / 随机模式
+ *
+ * @param {Object} message - QUEUE_SET_MODE 消息，可带 repeat 和 / 或 shuffle
+ */
+function setQueueMode({ repeat, shuffle }) {
+  if (QUEUE_REPEAT_MODES.includes(repeat)) {
+    playQueue.repeat = repeat;
+  }
+  if (typeof shuffle === 'boolean' && shuffle !== playQueue.shuffle) {
+    playQueue.shuffle = shuffle;
+    // 重新开始一轮随机播放，当前条目视为已播放
+    playQueue.playedIds = playQueue.currentId ? [playQueue.currentId] : [];
+  }
+  commitQueue();
+}
+
+/**
+ * 清空队列
+ */
+function clearQueue() {
+  playQueue.items = [];
+  playQueue.currentId = null;
+  playQueue.playedIds = [];
+  commitQueue();
+}
+
+/**
+ * 标签页关闭后，队列中指向它的条目改为需要重新打开
+ *
+ * @param {number} tabId - 被关闭的标签页 ID
+ */
+function detachQueueTab(tabId) {
+  let changed = false;
+  playQueue.items.forEach((item) => {
+    if (item.tabId === tabId) {
+      item.tabId = null;
+      changed = true;
+    }
+  });
+  if (changed) {
+    commitQueue();
+  }
+}
+
+/**
+ * 根据会话更新维护队列的当前条目，并在当前条目播放结束时前进
+ *
+ * 用户直接在队列中的页面开始播放时，该条目成为当前条目；
+ * 当前条目的会话报告 isEnded 时切换到下一项
+ *
+ * @param {Object} session - 刚更新的会话
+ * @param {Object|undefined} previous - 更新前的会话
+ */
+function trackQueuePlayback(session, previous) {
+  const item = playQueue.items.find((entry) => entry.tabId === session.tabId);
+  if (!item) {
+    return;
+  }
+
+  if (pendingQueueStarts.has(session.tabId)) {
+    startPendingQueueTab(session);
+  }
+
+  if (session.isPlaying && !previous?.isPlaying && playQueue.currentId !== item.id) {
+    playQueue.currentId = item.id;
+    if (!playQueue.playedIds.includes(item.id)) {
+      playQueue.playedIds.push(item.id);
+    }
+    commitQueue();
+    return;
+  }
+
+  if (session.isEnded && !previous?.isEnded && playQueue.currentId === item.id) {
+    advanceQueue(item);
+  }
+}
+
+/**
+ * 当前条目播放结束后，按循环 / 随机模式选出下一项并播放
+ *
+ * @param {Object} finished - 刚播放完的条目
+ */
+function advanceQueue(finished) {
+  if (playQueue.repeat === 'one') {
+    playQueueItem(finished.id);
+    return;
+  }
+
+  const next = pickNextQueueItem(finished);
+  if (!next) {
+    playQueue.currentId = null;
+    playQueue.playedIds = [];
+    commitQueue();
+    return;
+  }
+
+  playQueueItem(next.id);
+}
+
+/**
+ * 选出下一项
+ *
+ * 顺序模式取下一个位置，随机模式从本轮尚未播放的条目中随机取；
+ * 到达末尾（或本轮都已播放）时，整个队列循环则从头开始，否则返回 null
+ *
+ * @param {Object} finished - 刚播放完的条目
+ * @returns {Object|null}
+ */
+function pickNextQueueItem(finished) {
+  const { items } = playQueue;
+
+  if (playQueue.shuffle) {
+    let candidates = items.filter((item) => !playQueue.playedIds.includes(item.id));
+    if (!candidates.length && playQueue.repeat === 'all') {
+      playQueue.playedIds = [];
+      // 新一轮不立刻重复刚播放完的条目（队列只有一项时除外）
+      candidates = items.length > 1 ? items.filter((item) => item.id !== finished.id) : items;
+    }
+    return candidates.length ? candidates[Math.floor(Math.random() * candidates.length)] : null;
+  }
+
+  const index = items.findIndex((item) => item.id === finished.id);
+  if (index + 1 < items.length) {
+    return items[index + 1];
+  }
+  return playQueue.repeat === 'all' && items.length ? items[0] : null;
+}
+
+/**
+ * 播放队列中的某一项
+ *
+ * 页面仍在原标签页时切换过去并发送 play；标签页已关闭或已跳转到别的页面时，
+ * 在新标签页打开 pageUrl，等 content script 上报媒体后再发送 play
+ *
+ * @param {string} itemId - 条目 ID
+ */
+async function playQueueItem(itemId) {
+  const item = playQueue.items.find((entry) => entry.id === itemId);
+  if (!item) {
+    return;
+  }
+
+  playQueue.currentId = item.id;
+  if (!playQueue.playedIds.includes(item.id)) {
+    playQueue.playedIds.push(item.id);
+  }
+
+  const tab = item.tabId !== null ? await getQueueTab(item) : null;
+  if (tab) {
+    focusSessionTab({ tabId: tab.id });
+    const session = serializeSessions().find((entry) => entry.tabId === tab.id);
+    if (session) {
+      dispatchMediaCommand({ sessionId: session.sessionId, command: MEDIA_COMMANDS.PLAY }).catch((error) => {
+        console.warn('[CastToTV] Failed to start queue item', error);
+      });
+    } else {
+      pendingQueueStarts.set(tab.id, Date.now() + RESUME_TIMEOUT_MS);
+    }
+  } else {
+    try {
+      const created = await chrome.tabs.create({ url: item.pageUrl, active: true });
+      item.tabId = created.id;
+      pendingQueueStarts.set(created.id, Date.now() + RESUME_TIMEOUT_MS);
+    } catch (error) {
+      console.warn('[CastToTV] Failed to open queue item', error);
+    }
+  }
+
+  commitQueue();
+}
+
+/**
+ * 读取条目所在的标签页；标签页不存在或已离开该页面时返回 null
+ *
+ * 比较时忽略 hash，单页应用在同一页面内切换锚点不算离开
+ *
+ * @param {Object} item - 队列条目
+ * @returns {Promise<Object|null>}
+ */
+async function getQueueTab(item) {
+  const stripHash = (url) => String(url || '').split('#')[0];
+  try {
+    const tab = await chrome.tabs.get(item.tabId);
+    return stripHash(tab.url) === stripHash(item.pageUrl) ? tab : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 为队列新打开的标签页首次上报媒体时开始播放
+ *
+ * 新页面可能仍受自动播放策略限制，play 被拒绝时只能由用户在页面中手动开始
+ *
+ * @param {Object} session - 刚更新的会话
+ */
+function startPendingQueueTab(session) {
+  const expiresAt = pendingQueueStarts.get(session.tabId);
+  pendingQueueStarts.delete(session.tabId);
+
+  if (Date.now() > expiresAt || session.isPlaying) {
+    return;
+  }
+
+  sendCommandToTab(session, { command: MEDIA_COMMANDS.PLAY });
+}
+
+/**
+ * 构造睡眠定时器消息
+ *
+ * @param {string} [error] - 设置失败的原因（如没有正在播放的媒体）
+ * @returns {Object} SLEEP_TIMER_UPDATED 消息
+ */
+function buildSleepTimerMessage(error) {
+  return {
+    type: MESSAGE_TYPES.SLEEP_TIMER_UPDATED,
+    timer: sleepTimer && {
+      mode: sleepTimer.mode,
+      endsAt: sleepTimer.endsAt,
+      sessionId: sleepTimer.sessionId,
+      fade: sleepTimer.fade,
+      fading: sleepTimer.fading
+    },
+    error: error || null
+  };
+}
+
+/**
+ * 定时器变化后通知 popup，并写回 chrome.storage.session
+ */
+async function commitSleepTimer() {
+  postToPopups(buildSleepTimerMessage());
+  try {
+    if (sleepTimer) {
+      await chrome.storage.session.set({ [SLEEP_TIMER_STORAGE_KEY]: sleepTimer });
+    } else {
+      await chrome.storage.session.remove(SLEEP_TIMER_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('[CastToTV] Failed to persist sleep timer', error);
+  }
+}
+
+/**
+ * worker 启动时恢复睡眠定时器；回收前正在渐弱的继续渐弱
+ */
+async function restoreSleepTimer() {
+  try {
+    const stored = await chrome.storage.session.get(SLEEP_TIMER_STORAGE_KEY);
+    sleepTimer = stored[SLEEP_TIMER_STORAGE_KEY] || null;
+  } catch (error) {
+    console.warn('[CastToTV] Failed to restore sleep timer', error);
+  }
+
+  if (sleepTimer?.fading && !sleepFadeTimer) {
+    sleepFadeTimer = setInterval(stepSleepFade, SLEEP_FADE_STEP_MS);
+  }
+}
+
+/**
+ * 设置睡眠定时器（替换已有的定时器）
+ *
+ * @param {Object} message - SLEEP_TIMER_SET 消息
+ * @param {number} [message.minutes] - 多少分钟后暂停
+ * @param {boolean} [message.endOfItem] - 当前媒体播放结束时暂停
+ * @param {boolean} [message.fade] - 结束前 30 秒逐渐降低音量
+ */
+async function startSleepTimer({ minutes, endOfItem, fade }) {
+  await clearSleepTimer();
+
+  if (endOfItem) {
+    // 当前媒体：固定的快捷键目标，或正在播放的第一个会话
+    const target = [resolveShortcutTarget(), ...serializeSessions()].find((session) => session?.isPlaying);
+    if (!target) {
+      postToPopups(buildSleepTimerMessage('no-playing-media'));
+      return;
+    }
+    sleepTimer = { mode: 'end-of-item', endsAt: null, sessionId: target.sessionId, fade: Boolean(fade), fading: false, volumes: {} };
+    updateSleepTargetEstimate(target);
+  } else {
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      return;
+    }
+    const endsAt = Date.now() + minutes * 60000;
+    sleepTimer = { mode: 'duration', endsAt, sessionId: null, fade: Boolean(fade), fading: false, volumes: {} };
+    chrome.alarms.create(SLEEP_ALARM, { when: endsAt });
+    if (sleepTimer.fade) {
+      chrome.alarms.create(SLEEP_FADE_ALARM, { when: endsAt - SLEEP_FADE_MS });
+    }
+  }
+
+  commitSleepTimer();
+}
+
+/**
+ * 取消睡眠定时器；已经渐弱的会话恢复原音量
+ */
+async function cancelSleepTimer() {
+  const volumes = sleepTimer?.volumes || {};
+  await clearSleepTimer();
+  restoreSleepVolumes(volumes);
+  commitSleepTimer();
+}
+
+/**
+ * 定时器到点：暂停所有正在播放的媒体，暂停后恢复渐弱前的音量，下次播放时音量正常
+ */
+async function finishSleepTimer() {
+  if (!sleepTimer) {
+    return;
+  }
+
+  const volumes = sleepTimer.volumes || {};
+  await clearSleepTimer();
+  commitSleepTimer();
+
+  await pauseSessions(() => true);
+  restoreSleepVolumes(volumes);
+}
+
+/**
+ * 清除定时器状态、alarm 与渐弱定时器（不通知 popup）
+ */
+async function clearSleepTimer() {
+  sleepTimer = null;
+  clearInterval(sleepFadeTimer);
+  sleepFadeTimer = null;
+  try {
+    await Promise.all([chrome.alarms.clear(SLEEP_ALARM), chrome.alarms.clear(SLEEP_FADE_ALARM)]);
+  } catch (error) {
+    console.warn('[CastToTV] Failed to clear sleep alarms', error);
+  }
+}
+
+/**
+ * 开始渐弱：记下正在播放的会话的原音量，之后每秒按剩余时间等比降低
+ */
+function startSleepFade() {
+  if (!sleepTimer?.fade || sleepFadeTimer) {
+    return;
+  }
+
+  mediaSessions.forEach((session) => {
+    if (session.isPlaying && !session.muted && !(session.sessionId in sleepTimer.volumes)) {
+      sleepTimer.volumes[session.sessionId] = Number.isFinite(session.volume) ? session.volume : 1;
+    }
+  });
+  sleepTimer.fading = true;
+  sleepFadeTimer = setInterval(stepSleepFade, SLEEP_FADE_STEP_MS);
+  commitSleepTimer();
+  stepSleepFade();
+}
+
+/**
+ * 渐弱的一步：音量 = 原音量 × 剩余时间 / 渐弱时长
+ *
+ * 按时长定时的，到点后由这里直接结束（alarm 可能被推迟）；
+ * "本集结束"模式降到 0 后等待播放结束
+ */
+function stepSleepFade() {
+  if (!sleepTimer?.fading) {
+    clearInterval(sleepFadeTimer);
+    sleepFadeTimer = null;
+    return;
+  }
+
+  const remaining = sleepTimer.endsAt === null ? SLEEP_FADE_MS : sleepTimer.endsAt - Date.now();
+  if (remaining <= 0 && sleepTimer.mode === 'duration') {
+    finishSleepTimer();
+    return;
+  }
+
+  const factor = Math.min(Math.max(remaining / SLEEP_FADE_MS, 0), 1);
+  Object.entries(sleepTimer.volumes).forEach(([sessionId, volume]) => {
+    if (!mediaSessions.get(sessionId)?.isPlaying) return;
+    dispatchMediaCommand({ sessionId, command: MEDIA_COMMANDS.SET_VOLUME, volume: volume * factor }).catch((error) => {
+      console.warn('[CastToTV] Failed to fade volume', error);
+    });
+  });
+}
+
+/**
+ * 恢复渐弱前的音量
+ *
+ * @param {Object} volumes - sessionId -> volume
+ */
+function restoreSleepVolumes(volumes) {
+  Object.entries(volumes).forEach(([sessionId, volume]) => {
+    if (!mediaSessions.has(sessionId)) return;
+    dispatchMediaCommand({ sessionId, command: MEDIA_COMMANDS.SET_VOLUME, volume }).catch((error) => {
+      console.warn('[CastToTV] Failed to restore volume', error);
+    });
+  });
+}
+
+/**
+ * "本集结束"模式：跟踪目标会话，播放结束时暂停所有媒体
+ *
+ * @param {Object} session - 刚更新的会话
+ * @param {Object|undefined} previous - 更新前的会话
+ * @returns {boolean} 定时器是否因该会话播放结束而到点
+ */
+function trackSleepTarget(session, previous) {
+  if (sleepTimer?.mode !== 'end-of-item' || sleepTimer.sessionId !== session.sessionId) {
+    return false;
+  }
+
+  if (session.isEnded && !previous?.isEnded) {
+    finishSleepTimer();
+    return true;
+  }
+
+  updateSleepTargetEstimate(session);
+  return false;
+}
+
+/**
+ * 按目标会话的进度推算"本集结束"的时刻，并据此安排渐弱
+ *
+ * content script 不上报可预测的进度，推算值只在播放状态、进度跳转或速度变化时更新；
+ * 暂停或直播时没有结束时刻
+ *
+ * @param {Object} session - 目标会话
+ */
+function updateSleepTargetEstimate(session) {
+  const rate = Number(session.playbackRate) || 1;
+  const hasDuration = Number.isFinite(session.duration) && session.duration > 0;
+  const endsAt =
+    session.isPlaying && hasDuration
+      ? (session.lastUpdated || Date.now()) + ((session.duration - session.currentTime) / rate) * 1000
+      : null;
+
+  if (endsAt === sleepTimer.endsAt || (endsAt !== null && Math.abs(endsAt - (sleepTimer.endsAt || 0)) < 1000)) {
+    return;
+  }
+
+  sleepTimer.endsAt = endsAt;
+  if (sleepTimer.fade && endsAt !== null && !sleepTimer.fading) {
+    chrome.alarms.create(SLEEP_FADE_ALARM, { when: Math.max(Date.now(), endsAt - SLEEP_FADE_MS) });
+  } else if (endsAt === null) {
+    chrome.alarms.clear(SLEEP_FADE_ALARM);
+  }
+  commitSleepTimer();
+}
+
+/**
+ * "本集结束"的目标会话被移除（标签页关闭、页面跳转）时，视为播放结束
+ */
+function checkSleepTargetRemoved() {
+  if (sleepTimer?.mode === 'end-of-item' && !mediaSessions.has(sleepTimer.sessionId)) {
+    finishSleepTimer();
+  }
+}
+
+/**
+ * 根据会话注册表更新工具栏图标
+ *
+ * - 角标：正在播放的会话数（没有时不显示）
+ * - 提示文字：当前会话（与快捷键目标相同）的标题与作者
+ * - 图标：有会话时叠加播放 / 暂停标记，没有会话时恢复 manifest 中的默认图标
+ */
+function updateActionIndicator() {
+  const playingCount = Array.from(mediaSessions.values()).filter((session) => session.isPlaying).length;
+  const current = resolveShortcutTarget();
+
+  const badge = playingCount ? String(playingCount) : '';
+  if (badge !== actionIndicator.badge) {
+    actionIndicator.badge = badge;
+    chrome.action.setBadgeText({ text: badge }).catch((error) => {
+      console.warn('[CastToTV] Failed to update badge', error);
+    });
+    chrome.action.setBadgeBackgroundColor({ color: ACTION_BADGE_COLOR }).catch(() => {});
+  }
+
+  const title = current ? `${ACTION_TITLE}\n${describeActionSession(current)}` : ACTION_TITLE;
+  if (title !== actionIndicator.title) {
+    actionIndicator.title = title;
+    chrome.action.setTitle({ title }).catch((error) => {
+      console.warn('[CastToTV] Failed to update title', error);
+    });
+  }
+
+  const icon = !current ? 'idle' : playingCount ? 'playing' : 'paused';
+  if (icon !== actionIndicator.icon) {
+    actionIndicator.icon = icon;
+    applyActionIcon(icon);
+  }
+}
+
+/**
+ * 提示文字中的一行会话描述，如"▶ 标题 — 作者"
+ *
+ * @param {Object} session - 会话
+ * @returns {string}
+ */
+function describeActionSession(session) {
+  const name = [session.title || session.siteName || '未命名媒体', session.artist].filter(Boolean).join(' — ');
+  const casting = isCastActive(session) ? `（${session.castTarget.rendererName}）` : '';
+  return `${session.isPlaying ? '▶' : '❚❚'} ${name}${casting}`;
+}
+
+/**
+ * 切换工具栏图标
+ *
+ * @param {string} state - 'idle' | 'playing' | 'paused'
+ */
+async function applyActionIcon(state) {
+  try {
+    if (state === 'idle') {
+      const { icons } = chrome.runtime.getManifest();
+      await chrome.action.setIcon({ path: icons });
+      return;
+    }
+
+    if (!actionIconCache.has(state)) {
+      actionIconCache.set(state, await drawActionIcon(state));
+    }
+    // 生成期间状态可能又变了，只应用最新的
+    if (actionIndicator.icon === state) {
+      await chrome.action.setIcon({ imageData: actionIconCache.get(state) });
+    }
+  } catch (error) {
+    console.warn('[CastToTV] Failed to update action icon', error);
+  }
+}
+
+/**
+ * 在扩展图标右下角叠加播放 / 暂停标记
+ *
+ * service worker 没有 DOM，用 OffscreenCanvas 绘制并导出 ImageData
+ *
+ * @param {string} state - 'playing' | 'paused'
+ * @returns {Promise<Object>} 尺寸 -> ImageData
+ */
+async function drawActionIcon(state) {
+  const response = await fetch(chrome.runtime.getURL('assets/icon-128.png'));
+  const base = await createImageBitmap(await response.blob());
+  const images = {};
+
+  ACTION_ICON_SIZES.forEach((size) => {
+    const canvas = new OffscreenCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(base, 0, 0, size, size);
+
+    // 右下角的圆形底，暂停时用灰色
+    const radius = size * 0.28;
+    const cx = size - radius;
+    const cy = size - radius;
+    ctx.fillStyle = state === 'playing' ? ACTION_BADGE_COLOR : '#888ca8';
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = '#ffffff';
+    const unit = radius * 0.45;
+    if (state === 'playing') {
+      ctx.beginPath();
+      ctx.moveTo(cx - unit * 0.8, cy - unit);
+      ctx.lineTo(cx + unit, cy);
+      ctx.lineTo(cx - unit * 0.8, cy + unit);
+      ctx.closePath();
+      ctx.fill();
+    } else {
+      ctx.fillRect(cx - unit, cy - unit, unit * 0.7, unit * 2);
+      ctx.fillRect(cx + unit * 0.3, cy - unit, unit * 0.7, unit * 2);
+    }
+
+    images[size] = ctx.getImageData(0, 0, size, size);
+  });
+
+  base.close();
+  return images;
+}
+
+/**
+ * 打开迷你播放器窗口；已经打开时只把它切到前台
+ *
+ * 迷你播放器是独立的 popup 类型窗口，不会像工具栏 popup 那样在失去焦点时关闭
+ */
+async function openMiniPlayer() {
+  try {
+    const stored = await chrome.storage.session.get(MINI_PLAYER_STORAGE_KEY);
+    const windowId = stored[MINI_PLAYER_STORAGE_KEY];
+    if (windowId !== undefined) {
+      try {
+        await chrome.windows.update(windowId, { focused: true, state: 'normal' });
+        return;
+      } catch {
+        // 窗口已被关闭，重新创建
+      }
+    }
+
+    const created = await chrome.windows.create({
+      url: chrome.runtime.getURL('miniplayer/index.html'),
+      type: 'popup',
+      focused: true,
+      ...MINI_PLAYER_SIZE
+    });
+    await chrome.storage.session.set({ [MINI_PLAYER_STORAGE_KEY]: created.id });
+  } catch (error) {
+    console.warn('[CastToTV] Failed to open mini player', error);
   }
 }
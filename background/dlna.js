@@ -0,0 +1,523 @@
+/**
+ * CastToTV Media Hub - DLNA / UPnP 客户端
+ *
+ * 为 background service worker 提供与 UPnP MediaRenderer（电视、音箱等）通信的能力：
+ * 1. 构造 / 解析 SSDP M-SEARCH 报文（设备发现）
+ * 2. 拉取并解析设备描述文档（device description XML）
+ * 3. 通过 SOAP 调用 AVTransport / RenderingControl 服务的动作
+ *
+ * 注意：Service Worker 中没有 DOMParser，也无法直接收发 UDP 组播，
+ * 因此 XML 使用轻量的正则解析，SSDP 报文的实际收发交给 native messaging 宿主完成。
+ */
+(() => {
+  // SSDP 组播地址与端口（UPnP 规范固定值）
+  const SSDP_ADDRESS = '239.255.255.250';
+  const SSDP_PORT = 1900;
+
+  // 我们关心的设备与服务类型
+  const UPNP_TYPES = Object.freeze({
+    MEDIA_RENDERER: 'urn:schemas-upnp-org:device:MediaRenderer:1',
+    AV_TRANSPORT: 'urn:schemas-upnp-org:service:AVTransport:1',
+    RENDERING_CONTROL: 'urn:schemas-upnp-org:service:RenderingControl:1'
+  });
+
+  // SOAP 请求默认超时时间（毫秒），电视响应通常较慢
+  const SOAP_TIMEOUT_MS = 8000;
+
+  /**
+   * 构造 SSDP M-SEARCH 请求报文
+   *
+   * @param {Object} [options]
+   * @param {string} [options.st] - 搜索目标（Search Target），默认搜索 MediaRenderer
+   * @param {number} [options.mx] - 设备最大随机响应延迟（秒）
+   * @returns {string} 以 CRLF 分隔、以空行结尾的 HTTPU 报文
+   */
+  function buildMSearchRequest({ st = UPNP_TYPES.MEDIA_RENDERER, mx = 2 } = {}) {
+    return [
+      'M-SEARCH * HTTP/1.1',
+      `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+      'MAN: "ssdp:discover"',
+      `MX: ${mx}`,
+      `ST: ${st}`,
+      '',
+      ''
+    ].join('\r\n');
+  }
+
+  /**
+   * 解析 SSDP 响应报文
+   *
+   * 只提取后续流程需要的头部：LOCATION（设备描述地址）、ST、USN、SERVER
+   * 头部名称大小写不敏感，统一转为小写
+   *
+   * @param {string} raw - 原始响应文本
+   * @returns {Object|null} 解析出的头部；不是合法的 200 响应或缺少 LOCATION 时返回 null
+   */
+  function parseSsdpResponse(raw) {
+    if (typeof raw !== 'string') return null;
+
+    const lines = raw.split(/\r?\n/);
+    if (!/^HTTP\/1\.[01]\s+200/i.test(lines[0] || '')) {
+      return null;
+    }
+
+    const headers = {};
+    lines.slice(1).forEach((line) => {
+      const index = line.indexOf(':');
+      if (index <= 0) return;
+      headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    });
+
+    if (!headers.location) return null;
+
+    return {
+      location: headers.location,
+      st: headers.st || '',
+      usn: headers.usn || '',
+      server: headers.server || ''
+    };
+  }
+
+  /**
+   * XML 实体转义，用于拼接 SOAP 参数和 DIDL-Lite 元数据
+   * @param {*} value - 任意值，会先转换为字符串
+   * @returns {string} 转义后的字符串
+   */
+  function escapeXml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * XML 实体反转义
+   * @param {string} value - 含实体的文本
+   * @returns {string} 反转义后的文本
+   */
+  function unescapeXml(value) {
+    return String(value ?? '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * 读取第一个匹配标签的文本内容（忽略命名空间前缀）
+   *
+   * @param {string} xml - XML 片段
+   * @param {string} tag - 不带前缀的标签名
+   * @returns {string} 标签文本；未找到时返回空字符串
+   */
+  function readXmlTag(xml, tag) {
+    const pattern = new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'i');
+    const match = pattern.exec(xml || '');
+    return match ? unescapeXml(match[1].trim()) : '';
+  }
+
+  /**
+   * 读取所有匹配标签的原始内容块（忽略命名空间前缀）
+   *
+   * @param {string} xml - XML 片段
+   * @param {string} tag - 不带前缀的标签名
+   * @returns {string[]} 每个标签内部的原始 XML
+   */
+  function readXmlBlocks(xml, tag) {
+    const pattern = new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'gi');
+    const blocks = [];
+    let match;
+    while ((match = pattern.exec(xml || ''))) {
+      blocks.push(match[1]);
+    }
+    return blocks;
+  }
+
+  /**
+   * 解析设备描述文档
+   *
+   * 提取设备名称、型号、UDN，以及 AVTransport / RenderingControl 服务的控制地址。
+   * controlURL 可能是相对路径，需要基于 URLBase（若存在）或描述文档地址解析为绝对地址。
+   *
+   * @param {string} xml - 设备描述 XML 文本
+   * @param {string} location - 描述文档地址（SSDP LOCATION）
+   * @returns {Object} 渲染器描述对象
+   */
+  function parseDeviceDescription(xml, location) {
+    const base = readXmlTag(xml, 'URLBase') || location;
+    const resolve = (value) => {
+      if (!value) return null;
+      try {
+        return new URL(value, base).href;
+      } catch {
+        return null;
+      }
+    };
+
+    const services = readXmlBlocks(xml, 'service').map((block) => ({
+      serviceType: readXmlTag(block, 'serviceType'),
+      controlUrl: resolve(readXmlTag(block, 'controlURL'))
+    }));
+
+    // 按服务类型前缀匹配，兼容 AVTransport:2 等更高版本
+    const findService = (type) => {
+      const prefix = type.replace(/:\d+$/, ':');
+      return services.find((service) => service.serviceType.startsWith(prefix)) || null;
+    };
+
+    const avTransport = findService(UPNP_TYPES.AV_TRANSPORT);
+    const renderingControl = findService(UPNP_TYPES.RENDERING_CONTROL);
+
+    return {
+      id: readXmlTag(xml, 'UDN') || location,
+      name: readXmlTag(xml, 'friendlyName') || new URL(location).host,
+      manufacturer: readXmlTag(xml, 'manufacturer'),
+      modelName: readXmlTag(xml, 'modelName'),
+      deviceType: readXmlTag(xml, 'deviceType'),
+      location,
+      avTransport,
+      renderingControl
+    };
+  }
+
+  /**
+   * 拉取并解析设备描述文档
+   *
+   * @param {string} location - 描述文档地址
+   * @returns {Promise<Object>} 渲染器描述对象
+   * @throws {Error} 网络错误，或设备不提供 AVTransport 服务
+   */
+  async function fetchDeviceDescription(location) {
+    const response = await fetchWithTimeout(location, { method: 'GET' });
+    if (!response.ok) {
+      throw new Error(`Device description request failed (${response.status})`);
+    }
+
+    const renderer = parseDeviceDescription(await response.text(), location);
+    if (!renderer.avTransport?.controlUrl) {
+      throw new Error('Device does not expose an AVTransport service');
+    }
+    return renderer;
+  }
+
+  /**
+   * 带超时的 fetch
+   *
+   * @param {string} url - 请求地址
+   * @param {RequestInit} init - fetch 参数
+   * @param {number} [timeoutMs] - 超时时间
+   * @returns {Promise<Response>}
+   */
+  async function fetchWithTimeout(url, init, timeoutMs = SOAP_TIMEOUT_MS) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * 调用 UPnP 服务动作（SOAP over HTTP）
+   *
+   * @param {Object} service - { serviceType, controlUrl }
+   * @param {string} action - 动作名，如 SetAVTransportURI、Play
+   * @param {Object} [args] - 动作参数，按 UPnP 规范要求的顺序书写
+   * @returns {Promise<Object>} 响应中的输出参数（标签名 -> 文本）
+   * @throws {Error} HTTP 失败或设备返回 UPnPError，error.upnpCode 为错误码
+   */
+  async function soapAction(service, action, args = {}) {
+    if (!service?.controlUrl) {
+      throw new Error(`Service unavailable for ${action}`);
+    }
+
+    const argsXml = Object.entries(args)
+      .map(([key, value]) => `<${key}>${escapeXml(value)}</${key}>`)
+      .join('');
+
+    const body =
+      '<?xml version="1.0" encoding="utf-8"?>' +
+      '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" ' +
+      's:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">' +
+      `<s:Body><u:${action} xmlns:u="${service.serviceType}">${argsXml}</u:${action}></s:Body>` +
+      '</s:Envelope>';
+
+    const response = await fetchWithTimeout(service.controlUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'text/xml; charset="utf-8"',
+        SOAPACTION: `"${service.serviceType}#${action}"`
+      },
+      body
+    });
+
+    const text = await response.text();
+
+    if (!response.ok) {
+      // UPnP 设备以 HTTP 500 + UPnPError 报告动作失败
+      const code = readXmlTag(text, 'errorCode');
+      const description = readXmlTag(text, 'errorDescription');
+      const error = new Error(
+        `${action} failed (${response.status}${code ? ` / UPnP ${code}` : ''})${description ? `: ${description}` : ''}`
+      );
+      error.upnpCode = code ? Number(code) : null;
+      throw error;
+    }
+
+    // 提取 <u:ActionResponse> 内的输出参数
+    const responseBody = readXmlBlocks(text, `${action}Response`)[0] || '';
+    const result = {};
+    const pattern = /<([\w-]+)>([\s\S]*?)<\/\1>/g;
+    let match;
+    while ((match = pattern.exec(responseBody))) {
+      result[match[1]] = unescapeXml(match[2]);
+    }
+    return result;
+  }
+
+  /**
+   * 根据 URL 扩展名推测 MIME 类型，用于 DIDL-Lite 的 protocolInfo
+   *
+   * @param {string} url - 媒体地址
+   * @param {string} mediaKind - 'audio' | 'video'
+   * @returns {string} MIME 类型
+   */
+  function guessMimeType(url, mediaKind) {
+    const extension = (() => {
+      try {
+        return new URL(url).pathname.split('.').pop().toLowerCase();
+      } catch {
+        return '';
+      }
+    })();
+
+    const known = {
+      mp4: 'video/mp4',
+      m4v: 'video/mp4',
+      webm: 'video/webm',
+      mkv: 'video/x-matroska',
+      m3u8: 'application/vnd.apple.mpegurl',
+      mpd: 'application/dash+xml',
+      mp3: 'audio/mpeg',
+      m4a: 'audio/mp4',
+      aac: 'audio/aac',
+      flac: 'audio/flac',
+      ogg: 'audio/ogg',
+      wav: 'audio/wav'
+    };
+
+    return known[extension] || (mediaKind === 'audio' ? 'audio/mpeg' : 'video/mp4');
+  }
+
+  /**
+   * 构造 DIDL-Lite 元数据（SetAVTransportURI 的 CurrentURIMetaData 参数）
+   *
+   * 许多电视没有元数据时会拒绝播放或显示为 "Unknown"，因此尽量携带标题与封面
+   *
+   * @param {Object} media - { url, title, artist, artwork, mediaKind, mimeType? }；
+   *   中转地址没有可推测的扩展名，由调用方给出 mimeType
+   * @returns {string} DIDL-Lite XML 字符串
+   */
+  function buildDidlMetadata({ url, title, artist, artwork, mediaKind, mimeType: knownMimeType }) {
+    const mimeType = knownMimeType || guessMimeType(url, mediaKind);
+    const upnpClass = mediaKind === 'audio' ? 'object.item.audioItem.musicTrack' : 'object.item.videoItem';
+
+    return (
+      '<DIDL-Lite xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/" ' +
+      'xmlns:dc="http://purl.org/dc/elements/1.1/" ' +
+      'xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/">' +
+      '<item id="0" parentID="-1" restricted="1">' +
+      `<dc:title>${escapeXml(title || 'CastToTV')}</dc:title>` +
+      (artist ? `<upnp:artist>${escapeXml(artist)}</upnp:artist>` : '') +
+      (artwork ? `<upnp:albumArtURI>${escapeXml(artwork)}</upnp:albumArtURI>` : '') +
+      `<upnp:class>${upnpClass}</upnp:class>` +
+      `<res protocolInfo="http-get:*:${mimeType}:*">${escapeXml(url)}</res>` +
+      '</item></DIDL-Lite>'
+    );
+  }
+
+  /**
+   * 将媒体交给渲染器播放：SetAVTransportURI + Play
+   *
+   * @param {Object} renderer - parseDeviceDescription 返回的渲染器对象
+   * @param {Object} media - { url, title, artist, artwork, mediaKind, mimeType? }
+   * @returns {Promise<void>}
+   */
+  async function castMedia(renderer, media) {
+    await soapAction(renderer.avTransport, 'SetAVTransportURI', {
+      InstanceID: 0,
+      CurrentURI: media.url,
+      CurrentURIMetaData: buildDidlMetadata(media)
+    });
+    await soapAction(renderer.avTransport, 'Play', { InstanceID: 0, Speed: 1 });
+  }
+
+  /**
+   * 解析 UPnP 时间字符串（H+:MM:SS[.F+]）为秒数
+   *
+   * @param {string} value - 如 "0:03:25" 或 "01:02:03.500"；"NOT_IMPLEMENTED" 等非法值返回 null
+   * @returns {number|null} 秒数
+   */
+  function parseUpnpTime(value) {
+    const match = /^(\d+):(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/.exec(String(value || '').trim());
+    if (!match) return null;
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+  }
+
+  /**
+   * 把秒数格式化为 UPnP 时间字符串（Seek 的 REL_TIME 目标）
+   *
+   * @param {number} seconds - 秒数
+   * @returns {string} 形如 "1:02:03" 的字符串
+   */
+  function formatUpnpTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+  }
+
+  /**
+   * 查询渲染器的播放状态与进度（GetTransportInfo + GetPositionInfo）
+   *
+   * @param {Object} renderer - 渲染器对象
+   * @returns {Promise<Object>} { transportState, isPlaying, currentTime, duration }
+   */
+  async function getPlaybackState(renderer) {
+    const transport = await soapAction(renderer.avTransport, 'GetTransportInfo', { InstanceID: 0 });
+    const position = await soapAction(renderer.avTransport, 'GetPositionInfo', { InstanceID: 0 });
+    const duration = parseUpnpTime(position.TrackDuration);
+
+    return {
+      // PLAYING / PAUSED_PLAYBACK / STOPPED / TRANSITIONING / NO_MEDIA_PRESENT
+      transportState: transport.CurrentTransportState || 'STOPPED',
+      isPlaying: transport.CurrentTransportState === 'PLAYING',
+      currentTime: parseUpnpTime(position.RelTime) ?? 0,
+      duration: duration && duration > 0 ? duration : null,
+      ...(await getAudioState(renderer))
+    };
+  }
+
+  /**
+   * 查询渲染器的音量与静音状态（RenderingControl）
+   *
+   * 部分渲染器没有 RenderingControl 或不支持这些动作，此时返回空对象，
+   * 不影响播放状态的轮询
+   *
+   * @param {Object} renderer - 渲染器对象
+   * @returns {Promise<Object>} { volume: 0-1, muted } 或 {}
+   */
+  async function getAudioState(renderer) {
+    if (!renderer.renderingControl?.controlUrl) return {};
+
+    try {
+      const volume = await soapAction(renderer.renderingControl, 'GetVolume', { InstanceID: 0, Channel: 'Master' });
+      const mute = await soapAction(renderer.renderingControl, 'GetMute', { InstanceID: 0, Channel: 'Master' });
+      return {
+        volume: Math.min(Math.max(0, Number(volume.CurrentVolume) / 100), 1) || 0,
+        muted: mute.CurrentMute === '1' || mute.CurrentMute === 'true'
+      };
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * 设置音量
+   * @param {Object} renderer - 渲染器对象
+   * @param {number} volume - 0-1 之间的音量，换算为 UPnP 的 0-100
+   */
+  function setVolume(renderer, volume) {
+    return soapAction(renderer.renderingControl, 'SetVolume', {
+      InstanceID: 0,
+      Channel: 'Master',
+      DesiredVolume: Math.round(Math.min(Math.max(0, volume), 1) * 100)
+    });
+  }
+
+  /**
+   * 设置静音
+   * @param {Object} renderer - 渲染器对象
+   * @param {boolean} muted - 是否静音
+   */
+  function setMute(renderer, muted) {
+    return soapAction(renderer.renderingControl, 'SetMute', {
+      InstanceID: 0,
+      Channel: 'Master',
+      DesiredMute: muted ? 1 : 0
+    });
+  }
+
+  /**
+   * 恢复播放
+   * @param {Object} renderer - 渲染器对象
+   */
+  function play(renderer) {
+    return soapAction(renderer.avTransport, 'Play', { InstanceID: 0, Speed: 1 });
+  }
+
+  /**
+   * 暂停播放
+   * @param {Object} renderer - 渲染器对象
+   */
+  function pause(renderer) {
+    return soapAction(renderer.avTransport, 'Pause', { InstanceID: 0 });
+  }
+
+  /**
+   * 停止播放（结束投屏）
+   * @param {Object} renderer - 渲染器对象
+   */
+  function stop(renderer) {
+    return soapAction(renderer.avTransport, 'Stop', { InstanceID: 0 });
+  }
+
+  /**
+   * 跳转到指定时间点
+   * @param {Object} renderer - 渲染器对象
+   * @param {number} seconds - 目标时间（秒）
+   */
+  function seek(renderer, seconds) {
+    return soapAction(renderer.avTransport, 'Seek', {
+      InstanceID: 0,
+      Unit: 'REL_TIME',
+      Target: formatUpnpTime(seconds)
+    });
+  }
+
+  const DlnaClient = Object.freeze({
+    UPNP_TYPES,
+    buildMSearchRequest,
+    parseSsdpResponse,
+    parseDeviceDescription,
+    fetchDeviceDescription,
+    soapAction,
+    buildDidlMetadata,
+    castMedia,
+    parseUpnpTime,
+    formatUpnpTime,
+    getPlaybackState,
+    play,
+    pause,
+    stop,
+    seek,
+    setVolume,
+    setMute
+  });
+
+  // Service Worker 环境挂载到全局 self
+  if (typeof self !== 'undefined') {
+    self.DlnaClient = DlnaClient;
+  }
+
+  // CommonJS 环境（例如本地用假渲染器调试）通过 require 引入
+  if (typeof module !== 'undefined') {
+    module.exports = DlnaClient;
+  }
+})();
@@ -0,0 +1,216 @@
+/**
+ * CastToTV Media Hub - 本地媒体中转客户端
+ *
+ * 电视只能拉取 http(s) 地址，MSE 播放的 blob: 源需要经 native messaging 宿主中转：
+ * 宿主在局域网地址上开一个 HTTP 端点，电视从那里拉流。中转有两种模式：
+ * - manifest：宿主直接拉取页面播放器使用的 HLS / DASH 清单并输出为单个流
+ * - capture：content script 录制元素（WebM），分片经扩展转交宿主
+ *
+ * 与 SSDP 搜索的一次性 sendNativeMessage 不同，中转期间需要持续发送分片，
+ * 因此使用 connectNative 的长连接；连接保持期间 service worker 不会被回收。
+ * 没有进行中的中转时断开连接，宿主进程随之退出。
+ *
+ * 协议（JSON 消息）：
+ * - 扩展 -> 宿主：relay-start { relayId, mode, manifestUrl?, referrer?, userAgent?, mimeType?, rendererHost }
+ * - 宿主 -> 扩展：relay-started { relayId, url, mimeType } 或 relay-error { relayId, error }
+ * - 扩展 -> 宿主：relay-chunk { relayId, seq, data }（data 为 base64，seq 从 0 起连续）
+ * - 扩展 -> 宿主：relay-stop { relayId }
+ * 中转开始后宿主仍可随时发送 relay-error（如拉取清单失败），扩展据此结束投屏。
+ */
+(() => {
+  // 等待宿主确认 relay-start 的最长时间（毫秒）：manifest 模式下宿主要先拉取并解析清单
+  const START_TIMEOUT_MS = 15000;
+
+  // 与宿主的长连接，没有中转时为 null
+  let nativePort = null;
+
+  // 等待宿主确认的中转：relayId -> { resolve, reject, timer }
+  const pendingStarts = new Map();
+
+  // 宿主已确认、尚未结束的中转 ID
+  const openRelays = new Set();
+
+  // 中转中途出错的回调
+  const errorListeners = new Set();
+
+  /**
+   * 通知中转出错
+   * @param {string} relayId - 中转 ID
+   * @param {string} error - 错误信息
+   */
+  function notifyError(relayId, error) {
+    errorListeners.forEach((listener) => {
+      try {
+        listener(relayId, error);
+      } catch (listenerError) {
+        console.warn('[CastToTV] Relay error listener failed', listenerError);
+      }
+    });
+  }
+
+  /**
+   * 结束等待中的 relay-start
+   * @param {string} relayId - 中转 ID
+   * @param {Error|null} error - 失败原因；成功时为 null
+   * @param {Object} [result] - 成功时的 { url, mimeType }
+   */
+  function settleStart(relayId, error, result) {
+    const pending = pendingStarts.get(relayId);
+    if (!pending) return;
+    pendingStarts.delete(relayId);
+    clearTimeout(pending.timer);
+
+    if (error) {
+      pending.reject(error);
+      releasePortIfIdle();
+    } else {
+      openRelays.add(relayId);
+      pending.resolve(result);
+    }
+  }
+
+  /**
+   * 处理宿主发来的消息
+   * @param {Object} message - relay-started / relay-error
+   */
+  function handleHostMessage(message) {
+    const relayId = message?.relayId;
+
+    switch (message?.type) {
+      case 'relay-started':
+        if (!/^https?:/i.test(message.url || '')) {
+          settleStart(relayId, new Error('Relay host returned no usable URL'));
+          return;
+        }
+        settleStart(relayId, null, { url: message.url, mimeType: message.mimeType || null });
+        break;
+      case 'relay-error':
+        if (pendingStarts.has(relayId)) {
+          settleStart(relayId, new Error(message.error || 'Relay failed to start'));
+        } else if (openRelays.delete(relayId)) {
+          notifyError(relayId, message.error || 'Relay stopped');
+          releasePortIfIdle();
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 取得与宿主的长连接，没有时新建
+   * @returns {chrome.runtime.Port}
+   */
+  function ensurePort() {
+    if (nativePort) return nativePort;
+
+    const port = chrome.runtime.connectNative(NATIVE_HOSTS.BRIDGE);
+    port.onMessage.addListener(handleHostMessage);
+    port.onDisconnect.addListener(() => {
+      // 宿主未安装、崩溃或主动退出：所有中转都已失效
+      const reason = chrome.runtime.lastError?.message || 'Relay host disconnected';
+      if (nativePort === port) nativePort = null;
+
+      Array.from(pendingStarts.keys()).forEach((relayId) => settleStart(relayId, new Error(reason)));
+      const lost = Array.from(openRelays);
+      openRelays.clear();
+      lost.forEach((relayId) => notifyError(relayId, reason));
+    });
+
+    nativePort = port;
+    return port;
+  }
+
+  /**
+   * 没有进行中的中转时断开连接
+   */
+  function releasePortIfIdle() {
+    if (!nativePort || pendingStarts.size || openRelays.size) return;
+    nativePort.disconnect();
+    nativePort = null;
+  }
+
+  /**
+   * 让宿主开始一个中转
+   *
+   * @param {Object} options
+   * @param {string} options.relayId - 中转 ID
+   * @param {string} options.mode - 'manifest' | 'capture'
+   * @param {string} [options.manifestUrl] - manifest 模式：HLS / DASH 清单地址
+   * @param {string} [options.referrer] - manifest 模式：拉取清单与分片时使用的 Referer
+   * @param {string} [options.userAgent] - manifest 模式：拉取时使用的 User-Agent
+   * @param {string} [options.mimeType] - capture 模式：录制分片的 MIME 类型
+   * @param {string} options.rendererHost - 渲染器的地址，宿主据此选择电视能访问到的网卡
+   * @returns {Promise<Object>} { url, mimeType }：电视可拉取的地址与宿主输出的格式
+   */
+  function startRelay(options) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => settleStart(options.relayId, new Error('Relay host did not respond')),
+        START_TIMEOUT_MS
+      );
+      pendingStarts.set(options.relayId, { resolve, reject, timer });
+
+      try {
+        ensurePort().postMessage({ ...options, type: 'relay-start' });
+      } catch (error) {
+        settleStart(options.relayId, error);
+      }
+    });
+  }
+
+  /**
+   * 转发一个录制分片
+   *
+   * @param {string} relayId - 中转 ID
+   * @param {number} seq - 分片序号
+   * @param {string} data - base64 编码的分片
+   * @returns {boolean} 中转是否仍在进行（已结束时分片被丢弃）
+   */
+  function pushChunk(relayId, seq, data) {
+    if (!nativePort || !openRelays.has(relayId)) return false;
+    nativePort.postMessage({ type: 'relay-chunk', relayId, seq, data });
+    return true;
+  }
+
+  /**
+   * 结束中转；仍在等待宿主确认时以 cancelled 拒绝 startRelay
+   * @param {string} relayId - 中转 ID
+   */
+  function stopRelay(relayId) {
+    if (pendingStarts.has(relayId)) {
+      nativePort?.postMessage({ type: 'relay-stop', relayId });
+      settleStart(relayId, new Error('cancelled'));
+      return;
+    }
+    if (!openRelays.delete(relayId)) return;
+
+    nativePort?.postMessage({ type: 'relay-stop', relayId });
+    releasePortIfIdle();
+  }
+
+  /**
+   * 订阅中途出错的中转（宿主报告错误或连接断开）
+   * @param {Function} listener - (relayId, error) => void
+   */
+  function onRelayError(listener) {
+    errorListeners.add(listener);
+  }
+
+  const RelayClient = Object.freeze({
+    startRelay,
+    pushChunk,
+    stopRelay,
+    onRelayError
+  });
+
+  // Service Worker 环境挂载到全局 self
+  if (typeof self !== 'undefined') {
+    self.RelayClient = RelayClient;
+  }
+
+  // CommonJS 环境（例如本地用假宿主调试）通过 require 引入
+  if (typeof module !== 'undefined') {
+    module.exports = RelayClient;
+  }
+})();
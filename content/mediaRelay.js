@@ -0,0 +1,184 @@
+/**
+ * CastToTV Media Hub - 录制中转（content script）
+ *
+ * MSE 播放的媒体只有 blob: 地址，电视无法拉取。投屏时 background 让 native messaging 宿主
+ * 开一个本地 HTTP 中转地址，页面上如果找不到可供宿主直接拉取的 HLS / DASH 清单，
+ * 就由本模块录制元素正在播放的内容：
+ * 1. captureStream() 取得元素实际输出的画面与声音
+ * 2. MediaRecorder 编码为 WebM（VP8 + Opus），每秒产出一个分片
+ * 3. 分片以 base64 经 PORT_NAMES.MEDIA_RELAY 端口按顺序发给 background，由它转交宿主
+ *
+ * 端口断开即结束录制：background 结束中转时断开端口，录制出错时由本模块报告错误后断开。
+ * 录制的是本地实际播放的内容：本地暂停时电视画面停住，跳转也在本地进行；
+ * EME 加密（DRM）的媒体录到的是黑屏与静音。
+ */
+(() => {
+  // 候选录制格式，按优先级排列；VP8 的实时编码开销最小
+  const VIDEO_MIME_TYPES = ['video/webm;codecs=vp8,opus', 'video/webm;codecs=vp9,opus', 'video/webm'];
+  const AUDIO_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm'];
+
+  // MediaRecorder 产出分片的间隔（毫秒）：越短电视起播越快，消息越多
+  const RECORDER_TIMESLICE_MS = 1000;
+
+  // 录制码率：局域网带宽足够，主要限制编码开销
+  const VIDEO_BITS_PER_SECOND = 4000000;
+  const AUDIO_BITS_PER_SECOND = 128000;
+
+  /**
+   * 进行中的录制：relayId -> { element, recorder, stream, port, mimeType }
+   */
+  const activeRelays = new Map();
+
+  /**
+   * 选出浏览器支持的第一个录制格式
+   * @param {string[]} candidates - 候选 MIME 类型
+   * @returns {string|null}
+   */
+  function pickMimeType(candidates) {
+    return candidates.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+  }
+
+  /**
+   * 把分片转为 base64（扩展消息只能传 JSON）
+   * @param {Blob} blob - MediaRecorder 产出的分片
+   * @returns {Promise<string>}
+   */
+  function blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result).slice(String(reader.result).indexOf(',') + 1));
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * 开始录制元素并把分片发给 background
+   *
+   * 同一个 relayId 重复调用时沿用已有的录制
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @param {string} relayId - background 分配的中转 ID
+   * @returns {string} 实际使用的 MIME 类型
+   * @throws {Error} capture-unsupported / capture-no-tracks，
+   *   跨域且未开启 CORS 的媒体由 captureStream() 抛出 SecurityError
+   */
+  function start(element, relayId) {
+    if (activeRelays.has(relayId)) {
+      return activeRelays.get(relayId).mimeType;
+    }
+
+    if (typeof element.captureStream !== 'function' || typeof MediaRecorder === 'undefined') {
+      throw new Error('capture-unsupported');
+    }
+
+    const stream = element.captureStream();
+    if (!stream.getTracks().length) {
+      throw new Error('capture-no-tracks');
+    }
+
+    const mimeType = pickMimeType(stream.getVideoTracks().length ? VIDEO_MIME_TYPES : AUDIO_MIME_TYPES);
+    if (!mimeType) {
+      throw new Error('capture-unsupported');
+    }
+
+    const recorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: VIDEO_BITS_PER_SECOND,
+      audioBitsPerSecond: AUDIO_BITS_PER_SECOND
+    });
+    const port = chrome.runtime.connect({ name: PORT_NAMES.MEDIA_RELAY });
+
+    const post = (message) => {
+      try {
+        port.postMessage({ relayId, ...message });
+      } catch {
+        // 端口已断开，录制随后会被停止
+      }
+    };
+
+    // 先发一条只带 relayId 的消息，background 据此把端口与中转对应起来
+    post({});
+
+    // readAsDataURL 是异步的，串成一条链保证分片按产出顺序发出（第一个分片带 WebM 头）
+    let seq = 0;
+    let pending = Promise.resolve();
+    let failed = false;
+
+    recorder.addEventListener('dataavailable', (event) => {
+      if (!event.data.size) return;
+      const index = seq;
+      seq += 1;
+      pending = pending
+        .then(() => (failed ? null : blobToBase64(event.data).then((data) => post({ seq: index, data }))))
+        .catch((error) => {
+          console.warn('[CastToTV] Failed to encode relay chunk', error);
+          // 宿主只按序号顺序写出，缺了一片之后的分片都无法使用：报告错误并结束录制
+          if (failed) return;
+          failed = true;
+          post({ error: 'chunk-encode-failed' });
+          stop(relayId);
+        });
+    });
+
+    // 轨道增删（换源、插播广告）等都会让录制出错停止
+    recorder.addEventListener('error', (event) => {
+      post({ error: event.error?.name || 'recorder-error' });
+      stop(relayId);
+    });
+
+    recorder.addEventListener('stop', () => {
+      pending.then(() => port.disconnect());
+    });
+
+    port.onDisconnect.addListener(() => stop(relayId));
+
+    activeRelays.set(relayId, { element, recorder, stream, port, mimeType });
+    recorder.start(RECORDER_TIMESLICE_MS);
+    return mimeType;
+  }
+
+  /**
+   * 停止录制；停止前产出的分片仍会发出，之后断开端口
+   * @param {string} relayId - 中转 ID
+   */
+  function stop(relayId) {
+    const relay = activeRelays.get(relayId);
+    if (!relay) return;
+    activeRelays.delete(relayId);
+
+    if (relay.recorder.state !== 'inactive') {
+      relay.recorder.stop();
+    } else {
+      relay.port.disconnect();
+    }
+    // 停止的是捕获出来的轨道，不影响元素本身的播放
+    relay.stream.getTracks().forEach((track) => track.stop());
+  }
+
+  /**
+   * 停止某个元素上的全部录制（元素被移除时）
+   * @param {HTMLMediaElement} element - 媒体元素
+   */
+  function stopElement(element) {
+    Array.from(activeRelays.entries())
+      .filter(([, relay]) => relay.element === element)
+      .forEach(([relayId]) => stop(relayId));
+  }
+
+  const MediaRelay = {
+    start,
+    stop,
+    stopElement
+  };
+
+  // 浏览器环境下（content script）挂载到全局 self
+  if (typeof self !== 'undefined') {
+    self.MediaRelay = MediaRelay;
+  }
+
+  // CommonJS 环境（例如单测或构建脚本）通过 require 引入
+  if (typeof module !== 'undefined') {
+    module.exports = MediaRelay;
+  }
+})();
@@ -0,0 +1,93 @@
+/**
+ * CastToTV Media Hub - Media Session 桥接脚本（页面主世界）
+ *
+ * content script 运行在隔离世界中，看不到页面通过
+ * navigator.mediaSession.setActionHandler() 注册的回调。
+ * 本脚本以 world: "MAIN" 在 document_start 注入，抢在页面脚本之前包装 setActionHandler：
+ * 1. 记录页面注册了哪些动作（下一首、上一首、快进、跳过广告等）
+ * 2. 通过 DOM 自定义事件把动作列表告诉隔离世界的 mediaTracker.js
+ * 3. 收到隔离世界的调用请求时执行页面自己的回调
+ *
+ * 两个世界之间只共享 DOM，事件的 detail 一律使用字符串，避免跨世界的对象访问问题。
+ */
+(() => {
+  'use strict';
+
+  // 与 content/mediaTracker.js 约定的事件名
+  const BRIDGE_EVENTS = {
+    ACTIONS: 'casttotv:media-session-actions', // 主世界 -> 隔离世界：动作列表变化（detail 为 JSON 数组）
+    QUERY: 'casttotv:media-session-query', // 隔离世界 -> 主世界：请求重新发送动作列表
+    INVOKE: 'casttotv:media-session-invoke' // 隔离世界 -> 主世界：执行动作（detail 为动作名）
+  };
+
+  // 允许从扩展触发的动作；play/pause/seekto 由扩展直接操作媒体元素完成
+  const BRIDGED_ACTIONS = new Set(['previoustrack', 'nexttrack', 'seekbackward', 'seekforward', 'skipad']);
+
+  // seekbackward / seekforward 回调期望的默认跳转秒数
+  const DEFAULT_SEEK_OFFSET = 10;
+
+  const proto = typeof MediaSession !== 'undefined' ? MediaSession.prototype : null;
+  if (!proto || typeof proto.setActionHandler !== 'function') {
+    return;
+  }
+
+  /**
+   * 页面注册的动作回调：action -> handler
+   */
+  const handlers = new Map();
+
+  /**
+   * 把当前可用的动作列表广播给隔离世界
+   */
+  const announce = () => {
+    const actions = Array.from(handlers.keys());
+    document.dispatchEvent(new CustomEvent(BRIDGE_EVENTS.ACTIONS, { detail: JSON.stringify(actions) }));
+  };
+
+  const originalSetActionHandler = proto.setActionHandler;
+
+  /**
+   * 包装后的 setActionHandler
+   *
+   * 先调用原始实现（不支持的动作会照常抛出 TypeError），成功后再记录回调
+   */
+  proto.setActionHandler = function setActionHandler(action, handler) {
+    const result = originalSetActionHandler.call(this, action, handler);
+
+    if (BRIDGED_ACTIONS.has(action)) {
+      if (typeof handler === 'function') {
+        handlers.set(action, handler);
+      } else {
+        handlers.delete(action);
+      }
+      announce();
+    }
+
+    return result;
+  };
+
+  // 隔离世界加载较晚（document_idle），加载后会主动查询一次
+  document.addEventListener(BRIDGE_EVENTS.QUERY, announce);
+
+  /**
+   * 执行页面注册的动作回调
+   *
+   * 回调参数模拟浏览器原生调用时的 MediaSessionActionDetails
+   */
+  document.addEventListener(BRIDGE_EVENTS.INVOKE, (event) => {
+    const action = typeof event.detail === 'string' ? event.detail : '';
+    const handler = handlers.get(action);
+    if (!handler) return;
+
+    const details = { action };
+    if (action === 'seekbackward' || action === 'seekforward') {
+      details.seekOffset = DEFAULT_SEEK_OFFSET;
+    }
+
+    try {
+      handler.call(navigator.mediaSession, details);
+    } catch (error) {
+      console.warn('[CastToTV] Media Session handler failed', error);
+    }
+  });
+})();
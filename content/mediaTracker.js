@@ -36,13 +36,19 @@
    */
   const MESSAGE_TYPES = self?.MESSAGE_TYPES;
   const MEDIA_COMMANDS = self?.MEDIA_COMMANDS;
+  const Settings = self?.Settings;
+  const SessionUtils = self?.SessionUtils;
+  const SiteAdapters = self?.SiteAdapters;
+  const MediaRelay = self?.MediaRelay;
 
   // 验证必要的常量已加载
-  if (!MESSAGE_TYPES || !MEDIA_COMMANDS) {
+  if (!MESSAGE_TYPES || !MEDIA_COMMANDS || !Settings || !SessionUtils || !SiteAdapters || !MediaRelay) {
     console.warn('[CastToTV] message constants are missing.');
     return;
   }
 
+  const { TRACKING_MODES } = Settings;
+
   /**
    * CSS 选择器：匹配所有音频和视频元素
    * 这是 DOM 查询的核心选择器
@@ -62,6 +68,7 @@
    * - loadeddata/loadedmetadata: 元数据和数据加载完成
    * - seeked: 用户跳转到新位置
    * - enterpictureinpicture/leavepictureinpicture: 画中画模式切换
+   * - load: 子元素 <track> 的字幕 / 章节文件加载完成（不冒泡，靠捕获阶段监听）
    */
   const MEDIA_EVENTS = [
     'play',
@@ -75,35 +82,89 @@
     'loadedmetadata',
     'seeked',
     'enterpictureinpicture',
-    'leavepictureinpicture'
+    'leavepictureinpicture',
+    'load'
   ];
 
+  /**
+   * 轨道列表（textTracks / audioTracks / videoTracks）上需要监听的事件：轨道增删与切换
+   */
+  const TRACK_LIST_EVENTS = ['addtrack', 'removetrack', 'change'];
+
   /**
    * 已追踪的媒体元素映射表
    *
    * 键：elementId（UUID 格式）
-   * 值：{ element: HTMLMediaElement, listener: Function }
+   * 值：{ element, listener, detachTrackListeners }
    *
    * 存储元素引用和事件监听器，用于：
    * - 防止重复注册同一元素
    * - 在元素移除时正确清理事件监听器
    * - 快速查找目标元素执行命令
    */
-  const trackedElements = new Map(); // elementId -> { element, listener }
+  const trackedElements = new Map(); // elementId -> { element, listener, detachTrackListeners }
 
   /**
    * 待处理更新的映射表
    *
    * 键：elementId
-   * 值：requestAnimationFrame 返回的 ID
+   * 值：setTimeout 返回的 ID
+   *
+   * 用于节流高频的 timeupdate 事件，避免消息泛滥影响性能
+   */
+  const pendingUpdates = new Map(); // elementId -> timeoutId
+
+  /**
+   * 每个元素最近一次发送的快照与发送时间
    *
-   * 用于防抖（debounce）高频的 timeupdate 事件
-   * 避免消息泛滥影响性能
+   * 用于判断进度是否"按预期前进"：是的话无需再次上报，由消费方外推
    */
-  const pendingUpdates = new Map(); // elementId -> rafId
+  const lastSentUpdates = new Map(); // elementId -> { payload, sentAt }
 
   /**
-   * 当前激活的媒体元素 ID
+   * 播放中进度上报的最小间隔（毫秒），来自设置 positionUpdateIntervalMs
+   */
+  let positionUpdateInterval = Settings.SETTINGS_DEFAULTS.positionUpdateIntervalMs;
+
+  /**
+   * 实际进度与外推进度的允许误差（秒），超过即视为不可预测（卡顿、缓冲、页面内跳转等）
+   */
+  const POSITION_DRIFT_TOLERANCE = 1;
+
+  /**
+   * 位置记忆：时长不少于该秒数的媒体（长视频、播客、有声书）才保存播放位置
+   */
+  const POSITION_MIN_DURATION = 600;
+
+  // 播放中保存位置的最小间隔（毫秒）
+  const POSITION_SAVE_INTERVAL_MS = 10000;
+
+  // 保存的位置距开头或结尾不足该秒数时不恢复；页面已跳过该秒数时视为站点自行续播
+  const POSITION_RESTORE_MARGIN = 5;
+
+  /**
+   * 当前站点是否启用位置记忆（设置 positionMemory 开启且不在 positionMemoryOptOut 中）
+   */
+  let positionMemoryEnabled = false;
+
+  /**
+   * 是否上报当前字幕文本（设置 liveCaptions）
+   */
+  let liveCaptionsEnabled = false;
+
+  /**
+   * 可供用户选择的文本轨道类型；chapters、metadata、descriptions 不是给人直接看的字幕
+   */
+  const CAPTION_KINDS = ['subtitles', 'captions'];
+
+  // 每个元素最近一次保存位置的时间
+  const lastPositionSaves = new Map(); // elementId -> timestamp
+
+  // 每个元素已尝试恢复过的媒体源，切换到新的源（播放列表下一项）时重新查询
+  const restoreCheckedSources = new Map(); // elementId -> "url\nelementSrc"
+
+  /**
+   * 当前激活的媒体元素 ID（仅单元素模式使用）
    * 
    * 策略：每个页面只追踪一个"活跃"的媒体元素。
    * - 这是一个互斥锁，确保 popup 只显示一个媒体控制卡片
@@ -112,6 +173,34 @@
    */
   let activeMediaId = null;
 
+  /**
+   * 当前追踪模式，由设置决定（站点覆盖 > 全局设置）
+   *
+   * - single：沿用 activeMediaId 互斥策略
+   * - multi：每个通过启发式过滤的元素都作为独立会话上报
+   */
+  let trackingMode = TRACKING_MODES.SINGLE;
+
+  /**
+   * 已上报给 background 的元素 ID 集合
+   *
+   * 只有集合内的元素才会发送 MEDIA_UPDATE；
+   * 离开集合时发送 MEDIA_REMOVED，保证 background 的会话列表与之一致
+   */
+  const reportedIds = new Set();
+
+  /**
+   * 多元素模式下的过滤阈值：小于该尺寸的视频视为装饰或预览缩略图
+   */
+  const MIN_VIDEO_WIDTH = 160;
+  const MIN_VIDEO_HEIGHT = 90;
+
+  /**
+   * 浏览器允许的播放速率范围（Chrome 为 1/16 到 16 倍）
+   */
+  const MIN_PLAYBACK_RATE = 0.0625;
+  const MAX_PLAYBACK_RATE = 16;
+
   /**
    * 站点名称，按优先级尝试获取：
    * 1. Open Graph 元数据（社交媒体标准）
@@ -289,6 +378,145 @@
     return '';
   };
 
+  /**
+   * 播客 JSON 章节文件的加载结果：地址 -> 章节数组
+   *
+   * 请求中的地址记为 null，避免每次上报都重新请求；加载失败记为空数组
+   */
+  const jsonChapterCache = new Map(); // url -> chapters | null
+
+  /**
+   * 读取媒体章节
+   *
+   * 按优先级尝试：
+   * 1. 站点适配器（YouTube 章节面板 / 简介时间戳、JSON-LD 等）
+   * 2. <track kind="chapters"> 中的 WebVTT 章节
+   * 3. 页面声明的播客 JSON 章节文件
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @param {Object} siteMeta - SiteAdapters.extractMetadata 的结果
+   * @returns {Object[]} 按 startTime 升序排列的 [{ title, startTime }]
+   */
+  const readChapters = (element, siteMeta) => {
+    if (siteMeta.chapters?.length) return siteMeta.chapters;
+
+    const trackChapters = SiteAdapters.normalizeChapters(readTrackChapters(element));
+    if (trackChapters.length) return trackChapters;
+
+    return readJsonChapters(element);
+  };
+
+  /**
+   * 读取 <track kind="chapters"> 的 cue
+   *
+   * 只读不改：轨道在开始追踪时由 enableChapterTrack 切到 hidden 才会加载 cue
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @returns {Object[]}
+   */
+  const readTrackChapters = (element) => {
+    const track = Array.from(element.textTracks || []).find((item) => item.kind === 'chapters');
+    if (!track) return [];
+
+    return Array.from(track.cues || [], (cue) => ({ title: readCueText(cue), startTime: cue.startTime }));
+  };
+
+  /**
+   * 让章节轨道加载 cue
+   *
+   * 处于 disabled 的文本轨道不会加载 cue，切到 hidden（章节轨道本身不显示任何内容）；
+   * 文件加载完成后 <track> 触发 load，由 MEDIA_EVENTS 的监听器重新上报。
+   * 每条轨道只在开始追踪时（元素注册或 addtrack）切换一次，之后页面改回 disabled 也不再干预
+   *
+   * @param {TextTrack} track - 文本轨道
+   */
+  const enableChapterTrack = (track) => {
+    if (track.kind === 'chapters' && track.mode === 'disabled') {
+      track.mode = 'hidden';
+    }
+  };
+
+  /**
+   * 取 cue 的纯文本
+   *
+   * cue 文本允许带 <b>、<v 说话人> 等 WebVTT 标签和 &amp; 等转义，
+   * getCueAsHTML 会把它们解析成 DOM，只取其中的文字
+   *
+   * @param {TextTrackCue} cue - cue
+   * @returns {string}
+   */
+  const readCueText = (cue) => {
+    if (typeof cue.getCueAsHTML === 'function') {
+      return cue.getCueAsHTML().textContent || '';
+    }
+    return String(cue.text || '').replace(/<[^>]*>/g, '');
+  };
+
+  /**
+   * 列出可选择的字幕轨道
+   *
+   * index 是轨道在 element.textTracks 中的位置，set-text-track 用它指定轨道
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @returns {Object[]} [{ index, label, language, kind, mode }]
+   */
+  const listTextTracks = (element) =>
+    Array.from(element.textTracks || [], (track, index) => ({
+      index,
+      label: track.label,
+      language: track.language,
+      kind: track.kind,
+      mode: track.mode
+    })).filter((track) => CAPTION_KINDS.includes(track.kind));
+
+  /**
+   * 读取当前显示的字幕文本（liveCaptions 关闭时为空字符串）
+   *
+   * 优先取 showing 的轨道；自绘字幕的播放器（如 Plyr）把选中的轨道设为 hidden 再自行渲染，
+   * 没有 showing 的轨道时取 hidden 的轨道
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @returns {string} 多条同时显示的 cue 以换行分隔
+   */
+  const readActiveCueText = (element) => {
+    if (!liveCaptionsEnabled) return '';
+
+    const tracks = Array.from(element.textTracks || []).filter((track) => CAPTION_KINDS.includes(track.kind));
+    const track = tracks.find((item) => item.mode === 'showing') || tracks.find((item) => item.mode === 'hidden');
+    return Array.from(track?.activeCues || [], readCueText).join('\n').trim();
+  };
+
+  /**
+   * 读取页面声明的播客 JSON 章节（Podcasting 2.0 格式：{ chapters: [{ startTime, title, toc? }] }）
+   *
+   * 文件地址来自 type="application/json+chapters" 的 <link>。首次遇到时异步请求，
+   * 加载完成后重新上报；请求受页面 CORS 限制，跨域且未放行时视为没有章节。
+   * toc 为 false 的条目只用于切换封面等，不算作章节。
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @returns {Object[]}
+   */
+  const readJsonChapters = (element) => {
+    const url = toAbsoluteUrl(document.querySelector('link[type="application/json+chapters"]')?.getAttribute('href'));
+    if (!url) return [];
+    if (jsonChapterCache.has(url)) return jsonChapterCache.get(url) || [];
+
+    jsonChapterCache.set(url, null);
+    fetch(url)
+      .then((response) => (response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`))))
+      .then((data) => (Array.isArray(data?.chapters) ? data.chapters.filter((chapter) => chapter?.toc !== false) : []))
+      .catch((error) => {
+        console.warn('[CastToTV] Failed to load chapters', url, error);
+        return [];
+      })
+      .then((chapters) => {
+        const normalized = SiteAdapters.normalizeChapters(chapters);
+        jsonChapterCache.set(url, normalized);
+        if (normalized.length) refreshReportedElements();
+      });
+    return [];
+  };
+
   /**
    * 查找页面图标（favicon）
    *
@@ -311,6 +539,225 @@
    */
   const pageIcon = findPageIcon();
 
+  /**
+   * 与页面主世界桥接脚本（content/mediaSessionBridge.js）约定的事件名
+   */
+  const MEDIA_SESSION_BRIDGE_EVENTS = {
+    ACTIONS: 'casttotv:media-session-actions',
+    QUERY: 'casttotv:media-session-query',
+    INVOKE: 'casttotv:media-session-invoke'
+  };
+
+  /**
+   * 页面通过 navigator.mediaSession.setActionHandler 注册、且可由扩展触发的动作
+   * 如 ['previoustrack', 'nexttrack', 'skipad']，由桥接脚本推送
+   */
+  let mediaSessionActions = [];
+
+  /**
+   * 接收桥接脚本推送的动作列表
+   *
+   * Media Session 属于整个页面而非某个元素，因此列表变化后刷新所有已上报的元素
+   */
+  document.addEventListener(MEDIA_SESSION_BRIDGE_EVENTS.ACTIONS, (event) => {
+    try {
+      const actions = JSON.parse(event.detail);
+      mediaSessionActions = Array.isArray(actions) ? actions.filter((action) => typeof action === 'string') : [];
+    } catch {
+      mediaSessionActions = [];
+    }
+
+    refreshReportedElements();
+  });
+
+  /**
+   * 与页面主世界桥接脚本（content/streamingBridge.js）约定的事件名，均派发在媒体元素上
+   */
+  const STREAMING_BRIDGE_EVENTS = {
+    STATE: 'casttotv:media-tracks',
+    QUERY: 'casttotv:media-tracks-query',
+    SELECT: 'casttotv:media-tracks-select'
+  };
+
+  /**
+   * hls.js / dash.js 播放器的轨道状态：媒体元素 -> { provider, manifestUrl, audioTracks, qualityLevels, qualityAuto }
+   *
+   * 由桥接脚本推送；元素没有绑定可识别的播放器时不在表中
+   */
+  const playerTrackStates = new WeakMap();
+
+  /**
+   * 接收桥接脚本推送的播放器轨道状态
+   *
+   * 事件派发在媒体元素上且不冒泡，在 document 的捕获阶段监听
+   */
+  document.addEventListener(
+    STREAMING_BRIDGE_EVENTS.STATE,
+    (event) => {
+      const element = event.target;
+      if (!(element instanceof HTMLMediaElement)) return;
+
+      let state = null;
+      try {
+        state = JSON.parse(event.detail);
+      } catch {
+        state = null;
+      }
+      if (state && typeof state === 'object') {
+        playerTrackStates.set(element, state);
+      } else {
+        playerTrackStates.delete(element);
+      }
+
+      if (trackedElements.has(element.dataset.castToTvMediaId)) {
+        scheduleUpdate(element, true);
+      }
+    },
+    true
+  );
+
+  /**
+   * 读取音轨、视频轨道与画质
+   *
+   * 绑定了 hls.js / dash.js 的元素以播放器报告的为准（MSE 播放时原生轨道列表为空）；
+   * 否则使用元素自身的 audioTracks / videoTracks（Safari 默认支持，Chrome 需开启实验特性）。
+   * 原生轨道没有画质档位，qualityAuto 为 null 表示不支持自动选择
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @returns {Object} { trackProvider, audioTracks, videoTracks, qualityLevels, qualityAuto }
+   */
+  const readMediaTracks = (element) => {
+    const playerState = playerTrackStates.get(element);
+    if (playerState) {
+      return {
+        trackProvider: String(playerState.provider || ''),
+        audioTracks: sanitizeTrackList(playerState.audioTracks),
+        videoTracks: [],
+        qualityLevels: sanitizeQualityLevels(playerState.qualityLevels),
+        qualityAuto: Boolean(playerState.qualityAuto)
+      };
+    }
+
+    const audioTracks = listNativeTracks(element.audioTracks, 'enabled');
+    const videoTracks = listNativeTracks(element.videoTracks, 'selected');
+    return {
+      trackProvider: audioTracks.length || videoTracks.length ? 'native' : null,
+      audioTracks,
+      videoTracks,
+      qualityLevels: [],
+      qualityAuto: null
+    };
+  };
+
+  /**
+   * 匹配 HLS / DASH 清单的请求地址（扩展名后可以跟查询参数）
+   */
+  const MANIFEST_URL_PATTERN = /^https?:[^?#]+\.(?:m3u8|mpd)(?:[?#]|$)/i;
+
+  /**
+   * 查找 MSE 播放背后的 HLS / DASH 清单地址
+   *
+   * 只在投屏时由 background 查询（MANIFEST_LOOKUP），不随状态上报：
+   * 播放中会不断请求各档位、音轨的子清单，每次序列化都读会让快照频繁变化。
+   * 优先使用桥接脚本报告的播放器加载地址；没有可识别的播放器时，取页面最早请求的
+   * .m3u8 / .mpd，也就是播放器最先加载的主清单（之后的是子清单，可能只有一路音频或一档画质）。
+   * 同一页面有多个播放器时可能不准，中转失败后会退回录制
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @returns {string|null} http(s) 清单地址；元素不是 blob: 源或找不到时为 null
+   */
+  const readManifestUrl = (element) => {
+    if (!/^blob:/i.test(element.currentSrc || element.src || '')) return null;
+
+    const reported = toAbsoluteUrl(playerTrackStates.get(element)?.manifestUrl || '');
+    if (/^https?:/i.test(reported || '')) return reported;
+
+    const entry = performance.getEntriesByType('resource').find((item) => MANIFEST_URL_PATTERN.test(item.name));
+    return entry ? entry.name : null;
+  };
+
+  /**
+   * 列出原生 AudioTrackList / VideoTrackList 中的轨道，id 为下标
+   * @param {AudioTrackList|VideoTrackList|undefined} list - 轨道列表
+   * @param {string} activeKey - 表示选中的属性（音轨为 enabled，视频轨道为 selected）
+   * @returns {Object[]} [{ id, label, language, active }]
+   */
+  const listNativeTracks = (list, activeKey) =>
+    Array.from(list || [], (track, index) => ({
+      id: String(index),
+      label: track.label || '',
+      language: track.language || '',
+      active: Boolean(track[activeKey])
+    }));
+
+  /**
+   * 整理页面主世界报告的音轨列表（来自页面，字段类型不可信）
+   * @param {*} list - 桥接脚本报告的列表
+   * @returns {Object[]}
+   */
+  const sanitizeTrackList = (list) =>
+    (Array.isArray(list) ? list : []).map((track) => ({
+      id: String(track?.id),
+      label: String(track?.label || ''),
+      language: String(track?.language || ''),
+      active: Boolean(track?.active)
+    }));
+
+  /**
+   * 整理页面主世界报告的画质档位
+   * @param {*} list - 桥接脚本报告的列表
+   * @returns {Object[]} [{ id, height, bitrate, active }]
+   */
+  const sanitizeQualityLevels = (list) =>
+    (Array.isArray(list) ? list : []).map((level) => ({
+      id: String(level?.id),
+      height: Number.isFinite(level?.height) ? level.height : null,
+      bitrate: Number.isFinite(level?.bitrate) ? level.bitrate : null,
+      active: Boolean(level?.active)
+    }));
+
+  /**
+   * 监听轨道列表的变化
+   *
+   * 轨道增删与切换发生在 textTracks / audioTracks / videoTracks 上，cue 变化发生在各个 TextTrack 上，
+   * 都不会经过媒体元素，需要单独监听
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @returns {Function} 移除全部监听器
+   */
+  const attachTrackListeners = (element) => {
+    const onCueChange = (event) => {
+      if (liveCaptionsEnabled && CAPTION_KINDS.includes(event.target.kind)) {
+        scheduleUpdate(element, true);
+      }
+    };
+    const onTextTrackListChange = (event) => {
+      if (event.type === 'addtrack') {
+        event.track.addEventListener('cuechange', onCueChange);
+        enableChapterTrack(event.track);
+      }
+      scheduleUpdate(element, true);
+    };
+    const onMediaTrackListChange = () => scheduleUpdate(element, true);
+
+    const bindings = [
+      [element.textTracks, onTextTrackListChange],
+      [element.audioTracks, onMediaTrackListChange],
+      [element.videoTracks, onMediaTrackListChange]
+    ].filter(([list]) => list);
+
+    bindings.forEach(([list, handler]) => TRACK_LIST_EVENTS.forEach((event) => list.addEventListener(event, handler)));
+    Array.from(element.textTracks || []).forEach((track) => {
+      track.addEventListener('cuechange', onCueChange);
+      enableChapterTrack(track);
+    });
+
+    return () => {
+      bindings.forEach(([list, handler]) => TRACK_LIST_EVENTS.forEach((event) => list.removeEventListener(event, handler)));
+      Array.from(element.textTracks || []).forEach((track) => track.removeEventListener('cuechange', onCueChange));
+    };
+  };
+
   /**
    * 序列化媒体元素状态
    *
@@ -339,11 +786,20 @@
     // 确定媒体源 URL，回退到当前页面 URL
     const sourceUrl = toAbsoluteUrl(element.currentSrc || element.src || location.href);
 
+    // 站点适配器读到的字段优先于通用回退（content/siteAdapters.js）
+    const siteMeta = SiteAdapters.extractMetadata(element, location.hostname);
+
     return {
       elementId,                                    // 唯一标识符
-      title: readMediaTitle(element),               // 媒体标题
-      artist: readMediaArtist(element),             // 艺术家/作者
-      artwork: pickArtwork(element),                // 封面图片 URL
+      title: siteMeta.title || readMediaTitle(element),     // 媒体标题
+      artist: siteMeta.artist || readMediaArtist(element),  // 艺术家/作者
+      artwork: siteMeta.artwork || pickArtwork(element),    // 封面图片 URL
+      chapters: readChapters(element, siteMeta),    // 章节列表 [{ title, startTime }]
+      episode: siteMeta.episode || '',              // 分集标签（如 "P3"）
+      canonicalUrl: siteMeta.canonicalUrl || null,  // 媒体的规范地址
+      textTracks: listTextTracks(element),          // 可选的字幕轨道
+      activeCue: readActiveCueText(element),        // 当前字幕文本（设置 liveCaptions 开启时）
+      ...readMediaTracks(element),                  // 音轨、视频轨道与画质（trackProvider 等五个字段）
       origin: location.hostname,                    // 站点域名
       siteName,                                     // 站点名称
       pageTitle: document.title,                    // 页面标题
@@ -357,7 +813,10 @@
       duration,                                     // 总时长（秒）
       currentTime,                                  // 当前播放位置（秒）
       playbackRate: element.playbackRate,           // 播放速率
+      loop: element.loop,                           // 是否循环播放
       pipActive: document.pictureInPictureElement === element,  // 是否处于画中画模式
+      pipSupported: isPipSupported(element),        // 是否可以进入画中画
+      mediaSessionActions,                          // 页面支持的 Media Session 动作
       canPlay: element.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA  // 是否可以播放
     };
   };
@@ -369,25 +828,59 @@
    *
    * @param {HTMLMediaElement} element - 媒体元素
    */
-  const flushUpdate = (element) => {
+  const flushUpdate = (element, { skipPredictable = false } = {}) => {
     const elementId = ensureElementId(element);
 
-    // 只有当前激活的元素才允许发送更新
-    if (elementId !== activeMediaId) {
+    // 只有已上报的元素才允许发送更新
+    if (!reportedIds.has(elementId)) {
       return;
     }
 
     const payload = serializeElement(element);
+    const now = Date.now();
+
+    // 进度上报：只有 currentTime 变化且与外推结果一致时不发送
+    if (skipPredictable && isPredictableUpdate(lastSentUpdates.get(elementId), payload, now)) {
+      return;
+    }
+
+    lastSentUpdates.set(elementId, { payload, sentAt: now });
     safeSendMessage({ type: MESSAGE_TYPES.MEDIA_UPDATE, payload });
   };
 
+  /**
+   * 判断新快照能否由上一次发送的快照推算出来
+   *
+   * 条件：除 currentTime 外所有字段都没变，且 currentTime 与
+   * "上次位置 + 经过时间 × 播放速率"的差距在允许误差内。
+   * 使用实际经过的时间，后台标签页里计时器被浏览器降频也不影响判断。
+   *
+   * @param {Object|undefined} last - lastSentUpdates 中的记录
+   * @param {Object} payload - 新快照
+   * @param {number} now - 当前时间戳
+   * @returns {boolean}
+   */
+  const isPredictableUpdate = (last, payload, now) => {
+    if (!last) return false;
+
+    const { currentTime: lastTime, ...lastRest } = last.payload;
+    const { currentTime, ...rest } = payload;
+    if (JSON.stringify(lastRest) !== JSON.stringify(rest)) return false;
+
+    const expected = payload.isPlaying
+      ? lastTime + ((now - last.sentAt) / 1000) * (payload.playbackRate || 1)
+      : lastTime;
+    return Math.abs(currentTime - expected) <= POSITION_DRIFT_TOLERANCE;
+  };
+
   /**
    * 调度媒体状态更新
    *
-   * 使用 requestAnimationFrame 来批量处理更新，这样做的好处：
-   * 1. 避免 timeupdate 事件（约 4 次/秒）导致的消息泛滥
-   * 2. 与浏览器渲染周期同步，减少资源消耗
-   * 3. 自动合并短时间内的多次更新
+   * 基于时间而非 requestAnimationFrame 节流：后台标签页里 rAF 会暂停，
+   * 而后台标签页恰恰是媒体中心最常控制的对象。
+   * - 状态变化（play/pause/seeked 等）立即发送
+   * - timeupdate 驱动的进度更新距上次发送至少间隔 positionUpdateInterval，
+   *   且进度按预期前进时完全不发送
    *
    * @param {HTMLMediaElement} element - 媒体元素
    * @param {boolean} immediate - 是否立即发送（用于重要状态变化如 play/pause）
@@ -398,10 +891,7 @@
     // 立即模式：取消待处理的更新，直接发送
     // 用于播放/暂停等重要状态变化，需要即时反馈
     if (immediate) {
-      if (pendingUpdates.has(elementId)) {
-        cancelAnimationFrame(pendingUpdates.get(elementId));
-        pendingUpdates.delete(elementId);
-      }
+      cancelPendingUpdate(elementId);
       flushUpdate(element);
       return;
     }
@@ -412,14 +902,62 @@
       return;
     }
 
-    // 使用 requestAnimationFrame 延迟到下一个渲染帧
-    const rafId = requestAnimationFrame(() => {
+    const sentAt = lastSentUpdates.get(elementId)?.sentAt || 0;
+    const delay = Math.max(0, sentAt + positionUpdateInterval - Date.now());
+
+    const timeoutId = setTimeout(() => {
       pendingUpdates.delete(elementId);
-      flushUpdate(element);
+      flushUpdate(element, { skipPredictable: true });
+    }, delay);
+
+    pendingUpdates.set(elementId, timeoutId);
+  };
+
+  /**
+   * 取消元素的待处理更新
+   *
+   * @param {string} elementId - 元素 ID
+   */
+  const cancelPendingUpdate = (elementId) => {
+    if (pendingUpdates.has(elementId)) {
+      clearTimeout(pendingUpdates.get(elementId));
+      pendingUpdates.delete(elementId);
+    }
+  };
+
+  /**
+   * 开始上报元素：加入 reportedIds 并立即发送一次完整状态
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   */
+  const startReporting = (element) => {
+    reportedIds.add(ensureElementId(element));
+    scheduleUpdate(element, true);
+  };
+
+  /**
+   * 立即重新发送所有已上报元素的状态
+   *
+   * 用于页面级状态变化（如 Media Session 动作）或 background 索取快照
+   */
+  const refreshReportedElements = () => {
+    reportedIds.forEach((elementId) => {
+      const tracked = trackedElements.get(elementId);
+      if (tracked) scheduleUpdate(tracked.element, true);
     });
+  };
 
-    pendingUpdates.set(elementId, rafId);
-    pendingUpdates.set(elementId, rafId);
+  /**
+   * 停止上报元素：移出 reportedIds 并通知 background 删除会话
+   *
+   * @param {string} elementId - 元素 ID
+   */
+  const stopReporting = (elementId) => {
+    cancelPendingUpdate(elementId);
+    lastSentUpdates.delete(elementId);
+    if (reportedIds.delete(elementId)) {
+      safeSendMessage({ type: MESSAGE_TYPES.MEDIA_REMOVED, payload: { elementId } });
+    }
   };
 
   /**
@@ -440,22 +978,226 @@
       return;
     }
 
-    // 1. 清理旧的激活元素
+    // 1. 清理旧的激活元素：取消待处理更新并通知 background 移除
     if (activeMediaId) {
-      // 取消旧元素的任何待处理更新
-      if (pendingUpdates.has(activeMediaId)) {
-        cancelAnimationFrame(pendingUpdates.get(activeMediaId));
-        pendingUpdates.delete(activeMediaId);
-      }
-      // 通知 background 移除旧元素
-      safeSendMessage({ type: MESSAGE_TYPES.MEDIA_REMOVED, payload: { elementId: activeMediaId } });
+      stopReporting(activeMediaId);
     }
 
     // 2. 设置新元素为激活状态
     activeMediaId = newId;
 
     // 3. 立即发送新元素状态
-    scheduleUpdate(element, true);
+    startReporting(element);
+  };
+
+  /**
+   * 判断视频是否只是页面装饰（多元素模式的启发式过滤）
+   *
+   * 以下情况视为装饰，不单独上报：
+   * - 静音且自动播放/循环、又没有控制条的背景视频（首页 hero 视频等）
+   * - 尺寸过小的视频（悬停预览、缩略图动画）
+   * - 完全位于文档之外的视频（被移出屏幕的隐藏播放器）
+   * 正在出声播放的元素无论尺寸与位置都会保留。<audio> 元素没有布局，只做静音判断。
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @returns {boolean} 是否应跳过
+   */
+  const isDecorativeMedia = (element) => {
+    const audible = !element.muted && element.volume > 0;
+    const playing = !element.paused && !element.ended;
+
+    if (!audible && (element.autoplay || element.loop) && !element.controls) {
+      return true;
+    }
+
+    if (!(element instanceof HTMLVideoElement) || (audible && playing)) {
+      return false;
+    }
+
+    const rect = element.getBoundingClientRect();
+    if (rect.width < MIN_VIDEO_WIDTH || rect.height < MIN_VIDEO_HEIGHT) {
+      return true;
+    }
+
+    // 以文档坐标判断，向下滚动后位于视口上方的元素不算在页面外
+    return rect.right + window.scrollX <= 0 || rect.bottom + window.scrollY <= 0;
+  };
+
+  /**
+   * 多元素模式：根据启发式结果开始或停止上报元素
+   *
+   * 元素的静音、尺寸等状态会变化，因此每个媒体事件都会重新评估
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   */
+  const refreshReportState = (element) => {
+    const elementId = ensureElementId(element);
+    const shouldReport = !isDecorativeMedia(element);
+
+    if (shouldReport && !reportedIds.has(elementId)) {
+      startReporting(element);
+    } else if (!shouldReport && reportedIds.has(elementId)) {
+      stopReporting(elementId);
+    }
+  };
+
+  /**
+   * 单元素模式：决定新出现的元素是否抢占激活权
+   *
+   * 1. 如果当前没有激活元素，直接激活这个新元素
+   * 2. 如果新元素正在播放，强制抢占激活权（处理自动播放场景）
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   */
+  const claimActiveIfNeeded = (element) => {
+    if (!activeMediaId || (!element.paused && !element.ended)) {
+      setActiveElement(element);
+    }
+  };
+
+  /**
+   * 切换追踪模式
+   *
+   * 先撤回所有已上报的会话，再按新模式重新评估每个已追踪元素，
+   * 保证 background 中不会残留旧模式下的会话
+   *
+   * @param {string} mode - TRACKING_MODES 中的值
+   */
+  const applyTrackingMode = (mode) => {
+    if (mode === trackingMode) {
+      return;
+    }
+
+    trackingMode = mode;
+    Array.from(reportedIds).forEach(stopReporting);
+    activeMediaId = null;
+
+    trackedElements.forEach(({ element }) => {
+      if (trackingMode === TRACKING_MODES.MULTI) {
+        refreshReportState(element);
+      } else {
+        claimActiveIfNeeded(element);
+      }
+    });
+  };
+
+  // ========================================
+  // 位置记忆：长媒体自动保存与恢复播放位置
+  // ========================================
+
+  /**
+   * 构造位置记录的键
+   *
+   * blob: / data: 地址（MSE 播放器）每次加载都不同，只能按页面地址区分
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @returns {{url: string, elementSrc: string}}
+   */
+  const buildPositionKey = (element) => {
+    const src = element.currentSrc || element.src || '';
+    return {
+      url: location.origin + location.pathname + location.search,
+      elementSrc: /^(blob|data):/.test(src) ? '' : toAbsoluteUrl(src)
+    };
+  };
+
+  /**
+   * 判断元素是否需要位置记忆：功能已开启、站点未排除、时长超过阈值
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @returns {boolean}
+   */
+  const isPositionMemoryTarget = (element) =>
+    positionMemoryEnabled && Number.isFinite(element.duration) && element.duration >= POSITION_MIN_DURATION;
+
+  /**
+   * 通过 background 保存播放位置
+   *
+   * 播放中按 POSITION_SAVE_INTERVAL_MS 节流；暂停、离开页面时传 force 立即保存
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @param {boolean} [force=false] - 是否忽略节流
+   */
+  const savePosition = (element, force = false) => {
+    if (!isPositionMemoryTarget(element) || element.ended) return;
+
+    const elementId = ensureElementId(element);
+    const now = Date.now();
+    if (!force && now - (lastPositionSaves.get(elementId) || 0) < POSITION_SAVE_INTERVAL_MS) return;
+
+    lastPositionSaves.set(elementId, now);
+    safeSendMessage({
+      type: MESSAGE_TYPES.POSITION_SAVE,
+      payload: { ...buildPositionKey(element), currentTime: element.currentTime, duration: element.duration }
+    });
+  };
+
+  /**
+   * 播放完毕后删除保存的位置，下次从头播放
+   * @param {HTMLMediaElement} element - 媒体元素
+   */
+  const clearPosition = (element) => {
+    if (!isPositionMemoryTarget(element)) return;
+    safeSendMessage({ type: MESSAGE_TYPES.POSITION_CLEAR, payload: buildPositionKey(element) });
+  };
+
+  /**
+   * 元数据加载完成后恢复保存的位置
+   *
+   * 每个媒体源只尝试一次。页面自己已经跳离开头（站点自带续播，或用户已在拖动）时不干预；
+   * 保存的位置太靠近开头或结尾时也不跳转
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   */
+  const restorePosition = async (element) => {
+    if (!isPositionMemoryTarget(element)) return;
+
+    const elementId = ensureElementId(element);
+    const key = buildPositionKey(element);
+    const checkedKey = `${key.url}\n${key.elementSrc}`;
+    if (restoreCheckedSources.get(elementId) === checkedKey) return;
+    restoreCheckedSources.set(elementId, checkedKey);
+
+    let saved = null;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.POSITION_LOOKUP, payload: key });
+      saved = response?.entry;
+    } catch {
+      // background 不可用时按没有记录处理
+      return;
+    }
+
+    if (!saved || !trackedElements.has(elementId)) return;
+    if (element.currentTime > POSITION_RESTORE_MARGIN) return;
+    if (saved.currentTime < POSITION_RESTORE_MARGIN || saved.currentTime > element.duration - POSITION_RESTORE_MARGIN) {
+      return;
+    }
+
+    seekTo(element, saved.currentTime);
+  };
+
+  /**
+   * 根据媒体事件维护位置记忆
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @param {string} type - 事件类型
+   */
+  const handlePositionMemory = (element, type) => {
+    switch (type) {
+      case 'loadedmetadata':
+      case 'durationchange':
+        restorePosition(element);
+        break;
+      case 'timeupdate':
+        if (!element.paused) savePosition(element);
+        break;
+      case 'pause':
+        savePosition(element, true);
+        break;
+      case 'ended':
+        clearPosition(element);
+        break;
+      default:
+        break;
+    }
   };
 
   /**
@@ -490,12 +1232,17 @@
      * 其他事件（如 play/pause）使用立即模式确保及时响应
      */
     const listener = (event) => {
-      // 核心策略：播放事件触发焦点切换
-      // 当用户点击播放，或页面自动播放新视频时，该视频成为新的激活元素
-      if (event.type === 'play') {
+      if (trackingMode === TRACKING_MODES.MULTI) {
+        // 多元素模式：静音、尺寸等可能已变化，重新评估是否上报
+        refreshReportState(element);
+      } else if (event.type === 'play') {
+        // 单元素模式核心策略：播放事件触发焦点切换
+        // 当用户点击播放，或页面自动播放新视频时，该视频成为新的激活元素
         setActiveElement(element);
       }
 
+      handlePositionMemory(element, event.type);
+
       const isImmediate = event.type !== 'timeupdate';
       scheduleUpdate(element, isImmediate);
     };
@@ -505,13 +1252,21 @@
     MEDIA_EVENTS.forEach((event) => element.addEventListener(event, listener, true));
 
     // 保存追踪信息
-    trackedElements.set(elementId, { element, listener });
+    trackedElements.set(elementId, { element, listener, detachTrackListeners: attachTrackListeners(element) });
 
-    // 初始激活策略：
-    // 1. 如果当前没有激活元素，直接激活这个新元素
-    // 2. 如果新元素正在播放，强制抢占激活权（处理自动播放场景）
-    if (!activeMediaId || (!element.paused && !element.ended)) {
-      setActiveElement(element);
+    // 播放器可能在本脚本加载前就已绑定到元素，向主世界桥接脚本索取一次轨道状态
+    element.dispatchEvent(new CustomEvent(STREAMING_BRIDGE_EVENTS.QUERY));
+
+    // 初始上报策略取决于追踪模式
+    if (trackingMode === TRACKING_MODES.MULTI) {
+      refreshReportState(element);
+    } else {
+      claimActiveIfNeeded(element);
+    }
+
+    // 元数据已经加载的元素不会再触发 loadedmetadata，直接尝试恢复位置
+    if (element.readyState >= HTMLMediaElement.HAVE_METADATA) {
+      restorePosition(element);
     }
   };
 
@@ -538,12 +1293,18 @@
     MEDIA_EVENTS.forEach((event) =>
       tracked.element.removeEventListener(event, tracked.listener, true)
     );
+    tracked.detachTrackListeners();
+    MediaRelay.stopElement(tracked.element);
 
-    // 取消任何待处理的更新
-    if (pendingUpdates.has(elementId)) {
-      cancelAnimationFrame(pendingUpdates.get(elementId));
-      pendingUpdates.delete(elementId);
+    // 元素移除或页面关闭前保存最后的位置
+    if (!tracked.element.paused) {
+      savePosition(tracked.element, true);
     }
+    lastPositionSaves.delete(elementId);
+    restoreCheckedSources.delete(elementId);
+
+    // 取消待处理的更新；若已上报则通知 background 移除
+    stopReporting(elementId);
 
     // 从追踪列表中移除
     trackedElements.delete(elementId);
@@ -554,7 +1315,6 @@
     // 如果移除的是当前激活元素，清理 activeMediaId
     if (activeMediaId === elementId) {
       activeMediaId = null;
-      safeSendMessage({ type: MESSAGE_TYPES.MEDIA_REMOVED, payload: { elementId } });
     }
   };
 
@@ -601,24 +1361,66 @@
   });
 
   /**
-   * 启动 DOM 观察
-   *
-   * 观察整个文档的子树变化
-   * 优先使用 documentElement，回退到 body
+   * 计算当前站点是否启用位置记忆
+   * @param {Object} settings - 完整设置
+   * @returns {boolean}
    */
-  const observerTarget = document.documentElement || document.body;
-  if (observerTarget) {
-    mutationObserver.observe(observerTarget, {
-      childList: true,  // 监听子节点的添加和移除
-      subtree: true     // 监听整个子树（包括所有后代）
-    });
-  }
+  const resolvePositionMemory = (settings) =>
+    Boolean(settings.positionMemory) && !Settings.isSiteListed(settings.positionMemoryOptOut, location.hostname);
 
   /**
-   * 初始扫描：注册页面上已存在的所有媒体元素
-   * 这处理了脚本注入时页面上已经存在的媒体
+   * 启动追踪
+   *
+   * 追踪模式来自异步读取的设置，必须在注册任何元素之前确定，
+   * 否则多元素模式的页面会先按单元素模式上报一次
    */
-  document.querySelectorAll(MEDIA_QUERY).forEach(registerElement);
+  const startTracking = async () => {
+    try {
+      const settings = await Settings.loadSettings();
+      trackingMode = Settings.resolveTrackingMode(settings, location.hostname);
+      positionUpdateInterval = settings.positionUpdateIntervalMs;
+      positionMemoryEnabled = resolvePositionMemory(settings);
+      liveCaptionsEnabled = Boolean(settings.liveCaptions);
+    } catch (error) {
+      console.warn('[CastToTV] Failed to load settings, using single-element tracking', error);
+    }
+
+    // 设置页修改后立即切换模式与上报间隔，无需刷新页面
+    Settings.onSettingsChanged((settings) => {
+      positionUpdateInterval = settings.positionUpdateIntervalMs;
+      positionMemoryEnabled = resolvePositionMemory(settings);
+      if (liveCaptionsEnabled !== Boolean(settings.liveCaptions)) {
+        liveCaptionsEnabled = Boolean(settings.liveCaptions);
+        refreshReportedElements();
+      }
+      applyTrackingMode(Settings.resolveTrackingMode(settings, location.hostname));
+    });
+
+    /**
+     * 启动 DOM 观察
+     *
+     * 观察整个文档的子树变化
+     * 优先使用 documentElement，回退到 body
+     */
+    const observerTarget = document.documentElement || document.body;
+    if (observerTarget) {
+      mutationObserver.observe(observerTarget, {
+        childList: true,  // 监听子节点的添加和移除
+        subtree: true     // 监听整个子树（包括所有后代）
+      });
+    }
+
+    // 桥接脚本在 document_start 就已运行，主动查询在此之前注册的 Media Session 动作
+    document.dispatchEvent(new CustomEvent(MEDIA_SESSION_BRIDGE_EVENTS.QUERY));
+
+    /**
+     * 初始扫描：注册页面上已存在的所有媒体元素
+     * 这处理了脚本注入时页面上已经存在的媒体
+     */
+    document.querySelectorAll(MEDIA_QUERY).forEach(registerElement);
+  };
+
+  startTracking();
 
   /**
    * 页面卸载清理
@@ -653,18 +1455,38 @@
     /**
      * 切换播放/暂停状态
      *
-     * 异步函数：element.play() 返回 Promise
-     * 捕获错误以处理浏览器自动播放策略限制
+     * 仅用于快捷键等"按一下切换"的场景；popup 按显示的状态发送 play / pause。
+     * play() 被自动播放策略拒绝时错误会向上抛出，由响应带回拒绝原因
      */
     [MEDIA_COMMANDS.TOGGLE_PLAY]: async (element) => {
       if (element.paused || element.ended) {
-        // 播放可能因自动播放策略失败，静默处理错误
-        await element.play().catch(() => { });
+        await element.play();
       } else {
         element.pause();
       }
     },
 
+    /**
+     * 播放
+     *
+     * 已在播放时不做任何事，重复发送是安全的。
+     * 浏览器拒绝播放时（通常是 NotAllowedError：页面尚未获得用户激活）抛出原始错误
+     */
+    [MEDIA_COMMANDS.PLAY]: async (element) => {
+      if (!element.paused && !element.ended) return;
+      await element.play();
+    },
+
+    /**
+     * 暂停
+     *
+     * 与 toggle-play 不同，对已暂停的元素重复发送也不会误触发播放，
+     * 供 popup 与 background 的独占播放等自动化场景使用
+     */
+    [MEDIA_COMMANDS.PAUSE]: (element) => {
+      element.pause();
+    },
+
     /**
      * 相对跳转
      *
@@ -686,9 +1508,141 @@
     [MEDIA_COMMANDS.SEEK_ABSOLUTE]: (element, { time = 0 }) => {
       if (!Number.isFinite(time)) return;
       seekTo(element, time);
+    },
+
+    /**
+     * 上一章 / 下一章
+     *
+     * 使用与上报给 popup 相同的章节列表，跳转规则见 SessionUtils.chapterSeekTarget
+     */
+    [MEDIA_COMMANDS.PREVIOUS_CHAPTER]: (element) => {
+      seekChapter(element, -1);
+    },
+    [MEDIA_COMMANDS.NEXT_CHAPTER]: (element) => {
+      seekChapter(element, 1);
+    },
+
+    /**
+     * 切换字幕轨道
+     *
+     * trackIndex 为 listTextTracks 中的 index，null 或负数表示关闭字幕。
+     * 其余字幕轨道一律设为 disabled，避免两种字幕同时显示
+     */
+    [MEDIA_COMMANDS.SET_TEXT_TRACK]: (element, { trackIndex = null }) => {
+      const tracks = element.textTracks || [];
+      const turnOff = trackIndex === null || trackIndex < 0;
+      if (!turnOff && !CAPTION_KINDS.includes(tracks[trackIndex]?.kind)) {
+        throw new Error('unknown-track');
+      }
+
+      Array.from(tracks).forEach((track, index) => {
+        if (CAPTION_KINDS.includes(track.kind)) {
+          track.mode = index === trackIndex ? 'showing' : 'disabled';
+        }
+      });
+    },
+
+    /**
+     * 切换音轨 / 视频轨道 / 画质
+     *
+     * trackId / levelId 为 readMediaTracks 报告的 id；画质的 levelId 为 null 时恢复自动选择
+     */
+    [MEDIA_COMMANDS.SET_AUDIO_TRACK]: (element, { trackId }) => {
+      selectMediaTrack(element, 'audio', trackId);
+    },
+    [MEDIA_COMMANDS.SET_VIDEO_TRACK]: (element, { trackId }) => {
+      selectMediaTrack(element, 'video', trackId);
+    },
+    [MEDIA_COMMANDS.SET_QUALITY]: (element, { levelId = null }) => {
+      selectMediaTrack(element, 'quality', levelId);
+    },
+
+    /**
+     * 设置音量
+     *
+     * 音量限制在 0-1 之间；调高音量时顺带取消静音，
+     * 否则用户拖动音量条却听不到声音
+     */
+    [MEDIA_COMMANDS.SET_VOLUME]: (element, { volume }) => {
+      if (!Number.isFinite(volume)) return;
+      element.volume = Math.min(Math.max(0, volume), 1);
+      if (element.volume > 0 && element.muted) {
+        element.muted = false;
+      }
+    },
+
+    /**
+     * 切换静音
+     */
+    [MEDIA_COMMANDS.TOGGLE_MUTE]: (element) => {
+      element.muted = !element.muted;
+    },
+
+    /**
+     * 设置播放速率
+     *
+     * 限制在浏览器支持的范围内，超出范围的赋值会抛出 NotSupportedError
+     */
+    [MEDIA_COMMANDS.SET_RATE]: (element, { rate }) => {
+      if (!Number.isFinite(rate)) return;
+      element.playbackRate = Math.min(Math.max(MIN_PLAYBACK_RATE, rate), MAX_PLAYBACK_RATE);
+    },
+
+    /**
+     * 切换循环播放
+     *
+     * loop 属性变化不会触发媒体事件，依赖命令完成后的立即更新同步状态
+     */
+    [MEDIA_COMMANDS.TOGGLE_LOOP]: (element) => {
+      element.loop = !element.loop;
+    },
+
+    /**
+     * 触发页面注册的 Media Session 动作（下一首、上一首、跳过广告等）
+     *
+     * 动作由页面主世界中的桥接脚本执行，这里无法得知页面回调的结果
+     */
+    [MEDIA_COMMANDS.MEDIA_SESSION_ACTION]: (element, { action }) => {
+      if (!mediaSessionActions.includes(action)) {
+        throw new Error(`Media Session action "${action}" is not available`);
+      }
+      document.dispatchEvent(new CustomEvent(MEDIA_SESSION_BRIDGE_EVENTS.INVOKE, { detail: action }));
+    },
+
+    /**
+     * 进入 / 退出画中画
+     *
+     * requestPictureInPicture() 需要用户激活，页面或浏览器策略不允许时会 reject，
+     * 错误会原样回传给 background
+     */
+    [MEDIA_COMMANDS.TOGGLE_PIP]: async (element) => {
+      if (document.pictureInPictureElement === element) {
+        await document.exitPictureInPicture();
+        return;
+      }
+      if (!isPipSupported(element)) {
+        throw new Error('Picture-in-Picture is not available for this element');
+      }
+      await element.requestPictureInPicture();
     }
   };
 
+  /**
+   * 判断元素能否进入画中画
+   *
+   * 只有 <video> 支持画中画，且页面可能通过 disablePictureInPicture 禁用
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @returns {boolean}
+   */
+  function isPipSupported(element) {
+    return (
+      document.pictureInPictureEnabled === true &&
+      element instanceof HTMLVideoElement &&
+      !element.disablePictureInPicture
+    );
+  }
+
   /**
    * 安全地设置播放位置
    *
@@ -717,6 +1671,65 @@
     element.currentTime = nextTime;
   }
 
+  /**
+   * 切换轨道或画质
+   *
+   * 绑定了 hls.js / dash.js 的元素把请求转给主世界桥接脚本（同步执行），
+   * 切换完成后播放器事件会带来新的轨道状态；其余元素直接操作原生轨道列表
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @param {string} kind - 'audio' | 'video' | 'quality'
+   * @param {string|null} id - 轨道或档位 id；只有画质可以为 null（自动）
+   */
+  function selectMediaTrack(element, kind, id) {
+    const { trackProvider, audioTracks, videoTracks, qualityLevels, qualityAuto } = readMediaTracks(element);
+    const list = { audio: audioTracks, video: videoTracks, quality: qualityLevels }[kind] || [];
+    const valid =
+      id === null ? kind === 'quality' && qualityAuto !== null : list.some((item) => item.id === String(id));
+    if (!valid) {
+      throw new Error('unknown-track');
+    }
+
+    if (trackProvider !== 'native') {
+      element.dispatchEvent(
+        new CustomEvent(STREAMING_BRIDGE_EVENTS.SELECT, { detail: JSON.stringify({ kind, id: id === null ? null : String(id) }) })
+      );
+      return;
+    }
+
+    const target = Number(id);
+    if (kind === 'audio') {
+      // AudioTrackList 允许同时启用多条，这里只保留选中的一条
+      Array.from(element.audioTracks).forEach((track, index) => {
+        track.enabled = index === target;
+      });
+    } else {
+      // VideoTrackList 是单选，选中一条会自动取消其他轨道
+      element.videoTracks[target].selected = true;
+    }
+  }
+
+  /**
+   * 跳到相邻章节
+   *
+   * 没有章节或已是最后一章时抛错，由命令响应带回 no-chapters / no-next-chapter
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @param {number} direction - -1 为上一章，1 为下一章
+   */
+  function seekChapter(element, direction) {
+    const chapters = readChapters(element, SiteAdapters.extractMetadata(element, location.hostname));
+    if (!chapters.length) {
+      throw new Error('no-chapters');
+    }
+
+    const target = SessionUtils.chapterSeekTarget(chapters, element.currentTime, direction);
+    if (target === null) {
+      throw new Error('no-next-chapter');
+    }
+    seekTo(element, target);
+  }
+
   /**
    * 监听来自 background 的控制命令
    *
@@ -730,12 +1743,32 @@
    *   elementId: string,  // 目标媒体元素
    *   command: string,    // 命令类型
    *   delta?: number,     // 相对跳转秒数
-   *   time?: number       // 绝对时间点
+   *   time?: number,      // 绝对时间点
+   *   volume?: number,    // 目标音量（0-1）
+   *   rate?: number,      // 目标播放速率
+   *   action?: string,    // Media Session 动作名
+   *   trackIndex?: number, // 字幕轨道（textTracks 中的位置）
+   *   trackId?: string,   // 音轨 / 视频轨道 id
+   *   levelId?: string    // 画质档位 id，null 为自动
    * }
+   *
+   * 投屏中转时另有：
+   * - MANIFEST_LOOKUP { elementId }：查询元素背后的清单地址，回复 { manifestUrl }
+   * - RELAY_START { elementId, relayId }：开始录制元素，回复 { ok, mimeType?, error? }
    */
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    // 只处理媒体命令类型的消息
-    if (message?.type !== MESSAGE_TYPES.MEDIA_COMMAND) {
+    // worker 重启后索取快照：重新上报所有已上报的元素
+    if (message?.type === MESSAGE_TYPES.MEDIA_SNAPSHOT_REQUEST) {
+      refreshReportedElements();
+      return;
+    }
+
+    // 只处理媒体命令与投屏中转的消息
+    if (
+      message?.type !== MESSAGE_TYPES.MEDIA_COMMAND &&
+      message?.type !== MESSAGE_TYPES.MANIFEST_LOOKUP &&
+      message?.type !== MESSAGE_TYPES.RELAY_START
+    ) {
       return;
     }
 
@@ -744,24 +1777,55 @@
     // 查找目标元素
     const tracked = trackedElements.get(elementId);
 
+    // 投屏中转：查询清单地址，找不到时 background 改为录制
+    if (message.type === MESSAGE_TYPES.MANIFEST_LOOKUP) {
+      sendResponse({ manifestUrl: tracked ? readManifestUrl(tracked.element) : null });
+      return;
+    }
+
+    // 投屏中转：开始录制元素（background 断开中转端口时结束）
+    if (message.type === MESSAGE_TYPES.RELAY_START) {
+      if (!tracked) {
+        sendResponse({ ok: false, error: 'unknown-element' });
+        return;
+      }
+      try {
+        sendResponse({ ok: true, mimeType: MediaRelay.start(tracked.element, message.relayId) });
+      } catch (error) {
+        sendResponse({ ok: false, error: error?.message || 'capture-failed', reason: error?.name || null });
+      }
+      return;
+    }
+
     // 验证元素存在且命令有效
     if (!tracked || !commandHandlers[command]) {
       sendResponse?.({ ok: false, error: 'unknown-element' });
       return;
     }
 
-    // 执行命令，可能返回 Promise（如 play()）
-    const maybePromise = commandHandlers[command](tracked.element, message);
-
     /**
      * 完成响应的辅助函数
      *
-     * 发送响应并触发状态更新
+     * 发送结构化结果并触发状态更新：
+     * { ok, error?, reason?, state: { isPlaying, currentTime } }
+     * reason 为错误名（如自动播放策略拒绝时的 NotAllowedError），state 为命令执行后的实际状态。
      * 包装在 try-catch 中防止端口关闭错误
      */
-    const finalize = (ok, error) => {
+    const finalize = (ok, err) => {
+      const { element } = tracked;
+      const response = {
+        ok,
+        state: {
+          isPlaying: !element.paused && !element.ended,
+          currentTime: element.currentTime
+        }
+      };
+      if (!ok) {
+        response.error = err?.message || String(err || 'command-failed');
+        response.reason = err?.name || null;
+      }
       try {
-        sendResponse?.({ ok, error });
+        sendResponse?.(response);
       } catch {
         // 忽略发送响应时的错误（端口可能已关闭）
       }
@@ -769,9 +1833,18 @@
       scheduleUpdate(tracked.element, true);
     };
 
+    // 执行命令，可能返回 Promise（如 play()）；同步命令也可能因参数或状态非法而抛错
+    let maybePromise;
+    try {
+      maybePromise = commandHandlers[command](tracked.element, message);
+    } catch (err) {
+      finalize(false, err);
+      return false;
+    }
+
     // 处理异步命令（如 play()）
     if (maybePromise && typeof maybePromise.then === 'function') {
-      maybePromise.then(() => finalize(true)).catch((err) => finalize(false, err?.message));
+      maybePromise.then(() => finalize(true)).catch((err) => finalize(false, err));
       // 返回 true 表示我们将异步发送响应
       return true;
     }
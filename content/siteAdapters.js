@@ -0,0 +1,447 @@
+/**
+ * CastToTV Media Hub - 站点适配器
+ *
+ * 通用的元数据读取（Media Session、元素属性、文件名）在很多站点上只能拿到
+ * blob: 地址的文件名或页面标题。适配器按域名注册，从已知的 DOM 结构或
+ * JSON-LD 结构化数据中读取更准确的信息：
+ * - title: 标题
+ * - artist: 作者 / 频道 / 歌手
+ * - artwork: 封面地址
+ * - chapters: 章节列表 [{ title, startTime }]，startTime 为秒
+ * - episode: 分集标签，如 "P3"、"第 12 集"
+ * - canonicalUrl: 媒体的规范地址（单页应用里地址栏可能带无关参数）
+ *
+ * 适配器只需返回能读到的字段，缺失的字段由 mediaTracker.js 的通用回退补齐。
+ * 没有域名适配器匹配时，尝试页面的 JSON-LD；仍然没有时完全使用通用回退。
+ */
+(() => {
+  /**
+   * 已注册的适配器：hostname -> adapter
+   *
+   * 域名匹配规则与设置中的站点列表一致（Settings.matchSite）：
+   * `youtube.com` 同时匹配 `www.youtube.com`、`m.youtube.com`
+   */
+  const adapters = {};
+
+  // JSON-LD 中代表可播放媒体的类型
+  const JSON_LD_MEDIA_TYPES = [
+    'VideoObject',
+    'AudioObject',
+    'MusicRecording',
+    'PodcastEpisode',
+    'Episode',
+    'TVEpisode',
+    'Movie'
+  ];
+
+  // JSON-LD 解析结果缓存：页面地址与脚本数量不变时复用
+  let jsonLdCache = { key: null, items: [] };
+
+  // YouTube 简介章节缓存：简介只随视频变化，按视频 ID 复用
+  let youtubeDescriptionCache = { key: null, chapters: [] };
+
+  /**
+   * 注册站点适配器
+   *
+   * @param {Object} adapter - 适配器
+   * @param {string} adapter.id - 标识（调试用）
+   * @param {string[]} adapter.hosts - 适用的域名（父域名匹配子域名）
+   * @param {Function} adapter.extract - (element) => 元数据对象（字段均可省略）
+   */
+  function registerAdapter(adapter) {
+    adapter.hosts.forEach((host) => {
+      adapters[host] = adapter;
+    });
+  }
+
+  /**
+   * 查找适用于某个域名的适配器
+   * @param {string} hostname - 页面域名
+   * @returns {Object|undefined}
+   */
+  function findAdapter(hostname) {
+    return self.Settings?.matchSite(adapters, hostname);
+  }
+
+  /**
+   * 读取媒体元素的站点元数据
+   *
+   * 适配器抛出的异常（站点改版导致结构变化等）被吞掉并记录，回退到通用逻辑
+   *
+   * @param {HTMLMediaElement} element - 媒体元素
+   * @param {string} hostname - 页面域名
+   * @returns {Object} 规范化后的元数据，没有任何信息时为空对象
+   */
+  function extractMetadata(element, hostname) {
+    const adapter = findAdapter(hostname);
+    let result = null;
+
+    try {
+      result = adapter ? adapter.extract(element) : readJsonLdMetadata();
+    } catch (error) {
+      console.warn('[CastToTV] Site adapter failed', adapter?.id || 'json-ld', error);
+    }
+
+    return normalizeMetadata(result);
+  }
+
+  /**
+   * 去掉空值、统一地址与章节格式
+   * @param {Object|null} raw - 适配器返回值
+   * @returns {Object}
+   */
+  function normalizeMetadata(raw) {
+    if (!raw) return {};
+
+    const metadata = {};
+    ['title', 'artist', 'episode'].forEach((key) => {
+      const value = cleanText(raw[key]);
+      if (value) metadata[key] = value;
+    });
+
+    ['artwork', 'canonicalUrl'].forEach((key) => {
+      const value = toAbsoluteUrl(raw[key]);
+      if (value) metadata[key] = value;
+    });
+
+    const chapters = normalizeChapters(raw.chapters);
+    if (chapters.length) metadata.chapters = chapters;
+
+    return metadata;
+  }
+
+  /**
+   * 统一章节格式：按起始时间排序，丢弃时间无效或重复的条目
+   *
+   * mediaTracker.js 读取 <track kind="chapters"> 与播客 JSON 章节时也经过这里
+   *
+   * @param {Object[]} list - [{ title, startTime }]
+   * @returns {Object[]}
+   */
+  function normalizeChapters(list) {
+    return (Array.isArray(list) ? list : [])
+      .map((chapter) => ({ title: cleanText(chapter?.title), startTime: Number(chapter?.startTime) }))
+      .filter((chapter) => Number.isFinite(chapter.startTime) && chapter.startTime >= 0)
+      .sort((a, b) => a.startTime - b.startTime)
+      // 章节面板在页面中可能渲染两份，按起始时间去重
+      .filter((chapter, index, list) => index === 0 || chapter.startTime !== list[index - 1].startTime);
+  }
+
+  /**
+   * 从简介文字中解析时间戳章节，每行一个，如 "0:00 开场"、"12:34 - 正题"、"正题 (12:34)"
+   *
+   * 与 YouTube 自身的规则一致：至少 3 个时间戳且第一个为 0:00 才视为章节列表，
+   * 避免把评论式的零散时间戳当成章节
+   *
+   * @param {string} text - 多行文本
+   * @returns {Object[]} [{ title, startTime }]，不构成章节列表时为空数组
+   */
+  function parseChapterList(text) {
+    const chapters = String(text || '')
+      .split('\n')
+      .map((line) => {
+        const match = /(?:^|[\s(\[])(\d{1,2}(?::\d{2}){1,2})(?:[)\]]|(?=\s|$))/.exec(line);
+        if (!match) return null;
+        const title = (line.slice(0, match.index) + line.slice(match.index + match[0].length))
+          .replace(/^[\s\-–—:|.)\]]+|[\s\-–—:|(\[]+$/g, '');
+        return { title, startTime: parseTimestamp(match[1]) };
+      })
+      .filter(Boolean);
+
+    return chapters.length >= 3 && chapters[0].startTime === 0 ? chapters : [];
+  }
+
+  // ========================================
+  // 通用工具
+  // ========================================
+
+  /**
+   * 合并空白并去掉首尾空白
+   * @param {*} value - 文本
+   * @returns {string}
+   */
+  function cleanText(value) {
+    return value === null || value === undefined ? '' : String(value).replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * 转换为绝对地址（支持 // 开头的协议相对地址）
+   * @param {string} value - 地址
+   * @returns {string|null}
+   */
+  function toAbsoluteUrl(value) {
+    if (!value || typeof value !== 'string') return null;
+    try {
+      return new URL(value, document.baseURI).href;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 读取第一个匹配元素的文本
+   * @param {string} selector - CSS 选择器
+   * @param {ParentNode} [scope=document] - 查找范围
+   * @returns {string}
+   */
+  function textOf(selector, scope = document) {
+    return cleanText(scope.querySelector(selector)?.textContent);
+  }
+
+  /**
+   * 读取 <meta> 的 content（property 或 name）
+   * @param {string} name - 如 og:image
+   * @returns {string}
+   */
+  function metaContent(name) {
+    return document.querySelector(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`)?.content || '';
+  }
+
+  /**
+   * 把 "1:02:03"、"12:34" 这类时间戳转换为秒
+   * @param {string} text - 时间戳
+   * @returns {number} 无法解析时为 NaN
+   */
+  function parseTimestamp(text) {
+    const parts = cleanText(text).split(':');
+    if (!parts.length || parts.some((part) => !/^\d+$/.test(part))) return NaN;
+    return parts.reduce((total, part) => total * 60 + Number(part), 0);
+  }
+
+  /**
+   * 把 ISO 8601 时长（如 "PT1M30S"）转换为秒，JSON-LD 的 startOffset 也可能直接是数字
+   * @param {string|number} value - 时长
+   * @returns {number}
+   */
+  function parseIsoDuration(value) {
+    if (typeof value === 'number') return value;
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/.exec(String(value || ''));
+    if (!match) return Number(value);
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+
+  // ========================================
+  // JSON-LD
+  // ========================================
+
+  /**
+   * 解析页面中所有 JSON-LD 节点（展开 @graph 与数组）
+   * @returns {Object[]}
+   */
+  function readJsonLdItems() {
+    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+    const key = `${location.href}\n${scripts.length}`;
+    if (jsonLdCache.key === key) return jsonLdCache.items;
+
+    const items = [];
+    const collect = (node) => {
+      if (Array.isArray(node)) {
+        node.forEach(collect);
+      } else if (node && typeof node === 'object') {
+        items.push(node);
+        if (node['@graph']) collect(node['@graph']);
+      }
+    };
+
+    scripts.forEach((script) => {
+      try {
+        collect(JSON.parse(script.textContent));
+      } catch {
+        // 站点输出的 JSON-LD 不合法时跳过该节点
+      }
+    });
+
+    jsonLdCache = { key, items };
+    return items;
+  }
+
+  /**
+   * 从 JSON-LD 中找出第一个媒体节点并转换为元数据
+   * @returns {Object|null}
+   */
+  function readJsonLdMetadata() {
+    const hasType = (item) => [].concat(item['@type'] || []).some((type) => JSON_LD_MEDIA_TYPES.includes(type));
+    const media = readJsonLdItems().find(hasType);
+    if (!media) return null;
+
+    const nameOf = (value) =>
+      [].concat(value || [])
+        .map((entry) => (typeof entry === 'string' ? entry : entry?.name))
+        .filter(Boolean)
+        .join(', ');
+    const imageOf = (value) => {
+      const first = [].concat(value || [])[0];
+      return typeof first === 'string' ? first : first?.url || first?.contentUrl || null;
+    };
+
+    return {
+      title: media.name || media.headline,
+      artist: nameOf(media.byArtist) || nameOf(media.author) || nameOf(media.partOfSeries) || nameOf(media.creator),
+      artwork: imageOf(media.thumbnailUrl) || imageOf(media.image),
+      episode: media.episodeNumber ? String(media.episodeNumber) : '',
+      canonicalUrl: media.url || media.mainEntityOfPage?.['@id'] || null,
+      // Google 推荐用 hasPart 中的 Clip 标注视频章节
+      chapters: [].concat(media.hasPart || [])
+        .filter((part) => [].concat(part['@type'] || []).includes('Clip'))
+        .map((clip) => ({ title: clip.name, startTime: parseIsoDuration(clip.startOffset) }))
+    };
+  }
+
+  // ========================================
+  // 内置适配器
+  // ========================================
+
+  /**
+   * 从 YouTube 观看页的简介中解析章节
+   *
+   * 用 textContent 而不是 innerText：innerText 每次都会强制布局，而这里在每次上报时调用。
+   * 简介的 yt-attributed-string 把换行保留在文本节点里，textContent 同样能按行拆分。
+   * 单页应用切换视频后简介会晚于地址栏更新，只有 ytd-watch-flexy 已切换到该视频时才写入缓存
+   *
+   * @param {string|null} videoId - 当前视频 ID
+   * @returns {Object[]} [{ title, startTime }]
+   */
+  function readYoutubeDescriptionChapters(videoId) {
+    if (videoId && youtubeDescriptionCache.key === videoId) {
+      return youtubeDescriptionCache.chapters;
+    }
+
+    const description = document.querySelector('ytd-watch-metadata #description-inline-expander yt-attributed-string');
+    const chapters = parseChapterList(description?.textContent);
+
+    if (videoId && description && document.querySelector('ytd-watch-flexy')?.getAttribute('video-id') === videoId) {
+      youtubeDescriptionCache = { key: videoId, chapters };
+    }
+    return chapters;
+  }
+
+  /**
+   * YouTube：观看页标题、频道与章节（章节面板或简介中的时间戳）
+   *
+   * 单页应用切换视频时 <meta> 不会更新，视频 ID 以地址栏为准
+   */
+  registerAdapter({
+    id: 'youtube',
+    hosts: ['youtube.com', 'youtube-nocookie.com'],
+    extract() {
+      const url = new URL(location.href);
+      const embedId = /^\/embed\/([\w-]{6,})/.exec(url.pathname)?.[1];
+      const shortsId = /^\/shorts\/([\w-]{6,})/.exec(url.pathname)?.[1];
+      const videoId = url.searchParams.get('v') || embedId || shortsId;
+
+      const panelChapters = Array.from(
+        document.querySelectorAll('ytd-engagement-panel-section-list-renderer ytd-macro-markers-list-item-renderer')
+      ).map((item) => ({
+        title: textOf('h4', item),
+        startTime: parseTimestamp(textOf('#time', item))
+      }));
+      // 章节面板是懒渲染的，没有时从简介里的时间戳解析
+      const chapters = panelChapters.length ? panelChapters : readYoutubeDescriptionChapters(videoId);
+
+      return {
+        title:
+          textOf('ytd-watch-metadata h1') ||
+          textOf('.ytp-title-link') ||
+          textOf('ytd-reel-video-renderer[is-active] .title'),
+        artist: textOf('ytd-watch-metadata ytd-channel-name a') || textOf('.ytp-title-channel-name'),
+        artwork: videoId ? `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg` : null,
+        chapters,
+        canonicalUrl: videoId ? `https://www.youtube.com/watch?v=${videoId}` : null
+      };
+    }
+  });
+
+  /**
+   * Bilibili：视频标题、UP 主与分 P
+   *
+   * 番剧页的类名带构建哈希，只按前缀匹配
+   */
+  registerAdapter({
+    id: 'bilibili',
+    hosts: ['bilibili.com'],
+    extract() {
+      const url = new URL(location.href);
+      const bvid = /\/video\/(BV\w+)/.exec(url.pathname)?.[1];
+      const part = Number(url.searchParams.get('p')) || 0;
+
+      return {
+        title: textOf('h1.video-title') || textOf('[class^="mediainfo_mediaTitle"]') || metaContent('og:title'),
+        artist: textOf('.up-detail-top .up-name') || textOf('.up-name') || textOf('.staff-name'),
+        artwork: metaContent('og:image') || metaContent('image'),
+        episode: part > 1 ? `P${part}` : '',
+        canonicalUrl: bvid ? `https://www.bilibili.com/video/${bvid}${part > 1 ? `?p=${part}` : ''}` : null
+      };
+    }
+  });
+
+  /**
+   * 网易云音乐：底部播放条中的歌曲、歌手与封面
+   *
+   * 播放条和 <audio> 都在顶层文档中，歌曲详情页在 iframe 里，这里只读播放条
+   */
+  registerAdapter({
+    id: 'netease-music',
+    hosts: ['music.163.com'],
+    extract() {
+      const bar = document.querySelector('.m-playbar');
+      if (!bar) return null;
+
+      const songLink = bar.querySelector('.words .name');
+      const cover = bar.querySelector('.head img')?.getAttribute('src') || '';
+      const songId = /id=(\d+)/.exec(songLink?.getAttribute('href') || '')?.[1];
+
+      return {
+        title: cleanText(songLink?.textContent),
+        artist: textOf('.words .by', bar),
+        // 播放条里的封面是 34×34 的缩略图，换成较大的尺寸
+        artwork: cover.replace(/\?param=\d+y\d+$/, '?param=300y300'),
+        canonicalUrl: songId ? `https://music.163.com/#/song?id=${songId}` : null
+      };
+    }
+  });
+
+  /**
+   * Spotify 网页版：正在播放组件中的曲目、艺人与封面
+   */
+  registerAdapter({
+    id: 'spotify',
+    hosts: ['open.spotify.com'],
+    extract() {
+      const widget = document.querySelector('[data-testid="now-playing-widget"]');
+      if (!widget) return null;
+
+      const trackLink = widget.querySelector('[data-testid="context-item-link"]');
+      const artists = Array.from(widget.querySelectorAll('[data-testid="context-item-info-artist"]'), (node) =>
+        cleanText(node.textContent)
+      );
+
+      return {
+        title: cleanText(trackLink?.textContent),
+        artist: artists.filter(Boolean).join(', '),
+        artwork: widget.querySelector('[data-testid="cover-art-image"]')?.getAttribute('src'),
+        canonicalUrl: trackLink?.getAttribute('href')
+      };
+    }
+  });
+
+  const SiteAdapters = {
+    registerAdapter,
+    findAdapter,
+    extractMetadata,
+    normalizeChapters,
+    parseChapterList,
+    parseTimestamp,
+    parseIsoDuration
+  };
+
+  // 浏览器环境下（content script）挂载到全局 self
+  if (typeof self !== 'undefined') {
+    self.SiteAdapters = SiteAdapters;
+  }
+
+  // CommonJS 环境（例如单测或构建脚本）通过 require 引入
+  if (typeof module !== 'undefined') {
+    module.exports = SiteAdapters;
+  }
+})();
@@ -0,0 +1,416 @@
+/**
+ * CastToTV Media Hub - 流媒体播放器桥接脚本（页面主世界）
+ *
+ * HLS / DASH 播放器（hls.js、dash.js）通过 MSE 播放，音轨与画质由播放器实例管理，
+ * 媒体元素的 audioTracks / videoTracks 里看不到。实例只存在于页面主世界，
+ * 本脚本以 world: "MAIN" 在 document_start 注入，在页面脚本定义全局 Hls / dashjs 时挂钩：
+ * 1. 记录每个媒体元素对应的播放器实例
+ * 2. 播放器的音轨、画质变化时，把状态以 DOM 事件发给隔离世界的 mediaTracker.js
+ * 3. 收到隔离世界的切换请求时调用播放器的 API
+ * 状态中还带有播放器加载的清单地址，投屏 blob: 源时交给本地中转宿主直接拉取。
+ *
+ * 事件都派发在媒体元素上，detail 一律为 JSON 字符串（见 mediaSessionBridge.js 的说明）。
+ * 打包进页面代码、没有暴露全局变量的播放器无法挂钩，此时只有元素自身的原生轨道可用。
+ */
+(() => {
+  'use strict';
+
+  // 与 content/mediaTracker.js 约定的事件名
+  const BRIDGE_EVENTS = {
+    STATE: 'casttotv:media-tracks', // 主世界 -> 隔离世界：元素的轨道状态（detail 为 JSON，null 表示播放器已解绑）
+    QUERY: 'casttotv:media-tracks-query', // 隔离世界 -> 主世界：请求重新发送某个元素的状态
+    SELECT: 'casttotv:media-tracks-select' // 隔离世界 -> 主世界：切换轨道（detail 为 { kind: 'audio' | 'quality', id }）
+  };
+
+  /**
+   * 媒体元素 -> 播放器适配器 { provider, read(), select(kind, id) }
+   */
+  const adapters = new WeakMap();
+
+  // 已挂钩的类、工厂与播放器实例，避免重复包装或重复订阅事件
+  const hooked = new WeakSet();
+
+  // 播放器实例 -> 适配器（hls.js 每次 attachMedia 都需要找回同一个适配器）
+  const playerAdapters = new WeakMap();
+
+  // 疑似 hls.js / dash.js 的脚本地址：文件名（或 CDN 的包名）以 hls / dash 开头，
+  // 如 hls.min.js、dash.all.min.js、/npm/hls.js@1、/npm/dashjs@4
+  const PLAYER_SCRIPT_PATTERN = /\/(?:hls|dash)[^/]*$/i;
+
+  /**
+   * 把元素当前的轨道状态发给隔离世界
+   * @param {HTMLMediaElement} media - 媒体元素
+   */
+  const announce = (media) => {
+    if (!(media instanceof HTMLMediaElement)) return;
+
+    const adapter = adapters.get(media);
+    let state = null;
+    if (adapter) {
+      try {
+        state = { provider: adapter.provider, ...adapter.read() };
+      } catch (error) {
+        console.warn('[CastToTV] Failed to read player tracks', adapter.provider, error);
+      }
+    }
+    media.dispatchEvent(new CustomEvent(BRIDGE_EVENTS.STATE, { detail: JSON.stringify(state) }));
+  };
+
+  /**
+   * 绑定元素与适配器；同一元素换了播放器时以后绑定的为准
+   * @param {HTMLMediaElement} media - 媒体元素
+   * @param {Object} adapter - 播放器适配器
+   */
+  const bindMedia = (media, adapter) => {
+    if (!(media instanceof HTMLMediaElement)) return;
+    adapters.set(media, adapter);
+    announce(media);
+  };
+
+  /**
+   * 解除绑定（播放器销毁或换到别的元素）
+   * @param {HTMLMediaElement} media - 媒体元素
+   * @param {Object} adapter - 只解除仍属于该适配器的绑定
+   */
+  const unbindMedia = (media, adapter) => {
+    if (!media || adapters.get(media) !== adapter) return;
+    adapters.delete(media);
+    announce(media);
+  };
+
+  /**
+   * 对某个全局变量执行挂钩，挂钩函数出错只记录日志
+   * @param {string} name - 全局变量名
+   * @param {*} value - 全局变量的值
+   */
+  const runGlobalHook = (name, value) => {
+    try {
+      GLOBAL_HOOKS[name](value);
+    } catch (error) {
+      console.warn('[CastToTV] Failed to hook', name, error);
+    }
+  };
+
+  /**
+   * 挂钩页面已经定义的全局变量（挂钩函数自行去重，可以重复调用）
+   */
+  const hookDefinedGlobals = () => {
+    Object.keys(GLOBAL_HOOKS).forEach((name) => {
+      if (window[name]) runGlobalHook(name, window[name]);
+    });
+  };
+
+  /**
+   * 在全局变量被赋值的那一刻挂钩
+   *
+   * UMD 构建以 `window.Hls = ...` / `var dashjs = ...` 的形式暴露全局变量，
+   * 预先定义的存取器能在页面创建第一个实例之前拿到类。存取器不可枚举，
+   * 第一次赋值时换回普通的数据属性，此后与页面自己定义的全局变量没有区别
+   *
+   * @param {string} name - 全局变量名
+   */
+  const trapGlobalAssignment = (name) => {
+    // 已定义（或已设好存取器）时不再处理
+    if (Object.prototype.hasOwnProperty.call(window, name)) return;
+
+    try {
+      Object.defineProperty(window, name, {
+        configurable: true,
+        enumerable: false,
+        get: () => undefined,
+        set: (value) => {
+          Object.defineProperty(window, name, { value, writable: true, enumerable: true, configurable: true });
+          if (value) runGlobalHook(name, value);
+        }
+      });
+    } catch {
+      // 属性已被页面定义为不可配置时放弃挂钩
+    }
+  };
+
+  /**
+   * 只在加载了播放器库的页面上预先设好存取器
+   *
+   * 每个网站都凭空多出 window.Hls / window.dashjs 会干扰页面自己的特性检测（'Hls' in window），
+   * 因此先观察插入的 <script>：地址像 hls.js / dash.js 时才设存取器（外链脚本在插入后才下载执行，
+   * MutationObserver 的回调先于它运行）。地址认不出来的脚本（改名、自建 CDN）在 load 事件，
+   * 也就是脚本执行完毕后检查全局变量，此时已创建的 dash.js 实例会错过，hls.js 的原型挂钩不受影响
+   */
+  const watchPlayerScripts = () => {
+    const observer = new MutationObserver((records) => {
+      records.forEach((record) =>
+        record.addedNodes.forEach((node) => {
+          if (node instanceof HTMLScriptElement && PLAYER_SCRIPT_PATTERN.test(node.src.split(/[?#]/)[0])) {
+            Object.keys(GLOBAL_HOOKS).forEach(trapGlobalAssignment);
+            observer.disconnect();
+          }
+        })
+      );
+    });
+    observer.observe(document, { childList: true, subtree: true });
+
+    // script 的 load 不冒泡，在捕获阶段监听
+    document.addEventListener(
+      'load',
+      (event) => {
+        if (event.target instanceof HTMLScriptElement) hookDefinedGlobals();
+      },
+      true
+    );
+  };
+
+  // ========================================
+  // hls.js
+  // ========================================
+
+  /**
+   * 为 hls.js 实例创建适配器
+   *
+   * 清单地址为 loadSource() 传入的 hls.url；画质对应 levels，id 为下标；currentLevel 赋值会立即切换，赋值 -1 恢复自动（ABR）
+   *
+   * @param {Object} hls - Hls 实例
+   * @returns {Object} 适配器
+   */
+  const createHlsAdapter = (hls) => ({
+    provider: 'hls.js',
+    read() {
+      return {
+        manifestUrl: hls.url || null,
+        audioTracks: (hls.audioTracks || []).map((track, index) => ({
+          id: String(index),
+          label: track.name || '',
+          language: track.lang || '',
+          active: index === hls.audioTrack
+        })),
+        qualityLevels: (hls.levels || []).map((level, index) => ({
+          id: String(index),
+          height: level.height || null,
+          bitrate: level.bitrate || null,
+          active: index === hls.currentLevel
+        })),
+        qualityAuto: Boolean(hls.autoLevelEnabled)
+      };
+    },
+    select(kind, id) {
+      if (kind === 'audio') {
+        hls.audioTrack = Number(id);
+      } else if (kind === 'quality') {
+        hls.currentLevel = id === null ? -1 : Number(id);
+      }
+    }
+  });
+
+  /**
+   * 挂钩 Hls 类：包装 attachMedia，记录实例绑定的元素并订阅轨道事件
+   * @param {Function} Hls - hls.js 导出的类
+   */
+  const hookHls = (Hls) => {
+    const proto = Hls?.prototype;
+    if (!proto || typeof proto.attachMedia !== 'function' || hooked.has(proto)) return;
+    hooked.add(proto);
+
+    const events = Hls.Events || {};
+    const originalAttachMedia = proto.attachMedia;
+
+    proto.attachMedia = function attachMedia(media) {
+      const result = originalAttachMedia.apply(this, arguments);
+      const hls = this;
+
+      if (!playerAdapters.has(hls)) {
+        const adapter = createHlsAdapter(hls);
+        playerAdapters.set(hls, adapter);
+
+        [
+          events.MANIFEST_PARSED || 'hlsManifestParsed',
+          events.LEVEL_SWITCHED || 'hlsLevelSwitched',
+          events.AUDIO_TRACKS_UPDATED || 'hlsAudioTracksUpdated',
+          events.AUDIO_TRACK_SWITCHED || 'hlsAudioTrackSwitched'
+        ].forEach((event) => hls.on(event, () => announce(hls.media)));
+
+        hls.on(events.MEDIA_DETACHING || 'hlsMediaDetaching', () => unbindMedia(hls.media, adapter));
+      }
+
+      bindMedia(media, playerAdapters.get(hls));
+      return result;
+    };
+  };
+
+  // ========================================
+  // dash.js
+  // ========================================
+
+  /**
+   * 为 dash.js 播放器创建适配器
+   *
+   * 画质优先使用 4.x 的 bitrate API（getBitrateInfoListFor / setQualityFor），
+   * 没有时使用 5.x 的 representation API；手动选择画质前需关闭自动码率切换。
+   * getSource() 在以清单对象而不是地址初始化时返回对象，此时没有清单地址
+   *
+   * @param {Object} player - dashjs.MediaPlayer().create() 的结果
+   * @returns {Object} 适配器
+   */
+  const createDashAdapter = (player) => {
+    const setAutoSwitch = (enabled) => {
+      player.updateSettings({ streaming: { abr: { autoSwitchBitrate: { video: enabled } } } });
+    };
+
+    const readQualityLevels = () => {
+      if (typeof player.getBitrateInfoListFor === 'function') {
+        const current = player.getQualityFor('video');
+        return (player.getBitrateInfoListFor('video') || []).map((info, index) => ({
+          id: String(index),
+          height: info.height || null,
+          bitrate: info.bitrate || null,
+          active: index === current
+        }));
+      }
+      if (typeof player.getRepresentationsByType === 'function') {
+        const current = player.getCurrentRepresentationForType('video');
+        return (player.getRepresentationsByType('video') || []).map((representation, index) => ({
+          id: String(index),
+          height: representation.height || null,
+          bitrate: representation.bandwidth || null,
+          active: representation.id === current?.id
+        }));
+      }
+      return [];
+    };
+
+    return {
+      provider: 'dash.js',
+      read() {
+        const current = player.getCurrentTrackFor('audio');
+        const source = typeof player.getSource === 'function' ? player.getSource() : null;
+        return {
+          manifestUrl: typeof source === 'string' ? source : null,
+          audioTracks: (player.getTracksFor('audio') || []).map((track, index) => ({
+            id: String(index),
+            label: track.labels?.[0]?.text || '',
+            language: track.lang || '',
+            active: track === current || (Boolean(track.id) && track.id === current?.id)
+          })),
+          qualityLevels: readQualityLevels(),
+          qualityAuto: Boolean(player.getSettings()?.streaming?.abr?.autoSwitchBitrate?.video)
+        };
+      },
+      select(kind, id) {
+        if (kind === 'audio') {
+          const track = (player.getTracksFor('audio') || [])[Number(id)];
+          if (track) player.setCurrentTrack(track);
+          return;
+        }
+        if (kind !== 'quality') return;
+
+        if (id === null) {
+          setAutoSwitch(true);
+          return;
+        }
+        setAutoSwitch(false);
+        if (typeof player.setQualityFor === 'function') {
+          player.setQualityFor('video', Number(id), true);
+        } else {
+          player.setRepresentationForTypeByIndex('video', Number(id), true);
+        }
+        announce(player.getVideoElement());
+      }
+    };
+  };
+
+  /**
+   * 挂钩播放器实例：包装 initialize / attachView 以得知绑定的元素
+   * @param {Object} player - dash.js 播放器实例
+   */
+  const hookDashPlayer = (player) => {
+    if (!player || playerAdapters.has(player)) return;
+
+    const adapter = createDashAdapter(player);
+    playerAdapters.set(player, adapter);
+    let boundMedia = null;
+
+    const rebind = (view) => {
+      if (boundMedia && boundMedia !== view) unbindMedia(boundMedia, adapter);
+      boundMedia = view || null;
+      if (boundMedia) bindMedia(boundMedia, adapter);
+    };
+
+    ['initialize', 'attachView'].forEach((method) => {
+      const original = player[method];
+      if (typeof original !== 'function') return;
+      player[method] = function (view) {
+        const result = original.apply(this, arguments);
+        if (view) rebind(view);
+        return result;
+      };
+    });
+
+    const originalReset = player.reset;
+    if (typeof originalReset === 'function') {
+      player.reset = function () {
+        rebind(null);
+        return originalReset.apply(this, arguments);
+      };
+    }
+
+    // 事件名见 dashjs.MediaPlayer.events
+    ['streamInitialized', 'qualityChangeRendered', 'trackChangeRendered', 'periodSwitchCompleted'].forEach((event) =>
+      player.on(event, () => announce(boundMedia))
+    );
+  };
+
+  /**
+   * 挂钩 dashjs 命名空间：包装 MediaPlayer 工厂，拿到每个 create() 出来的实例
+   * @param {Object} dashjs - dash.js 导出的命名空间
+   */
+  const hookDash = (dashjs) => {
+    const originalFactory = dashjs?.MediaPlayer;
+    if (typeof originalFactory !== 'function' || hooked.has(originalFactory)) return;
+
+    const MediaPlayer = function MediaPlayer() {
+      const factory = originalFactory.apply(this, arguments);
+      const originalCreate = factory?.create;
+      if (typeof originalCreate === 'function') {
+        factory.create = function () {
+          const player = originalCreate.apply(this, arguments);
+          hookDashPlayer(player);
+          return player;
+        };
+      }
+      return factory;
+    };
+    // 保留 MediaPlayer.events 等静态成员
+    Object.assign(MediaPlayer, originalFactory);
+    hooked.add(MediaPlayer);
+    dashjs.MediaPlayer = MediaPlayer;
+  };
+
+  // 需要挂钩的全局变量 -> 挂钩函数
+  const GLOBAL_HOOKS = {
+    Hls: hookHls,
+    dashjs: hookDash
+  };
+
+  hookDefinedGlobals();
+  watchPlayerScripts();
+
+  // 隔离世界注册元素时查询一次（播放器可能早于 content script 加载完成就已绑定）
+  document.addEventListener(BRIDGE_EVENTS.QUERY, (event) => announce(event.target), true);
+
+  /**
+   * 执行隔离世界的切换请求
+   */
+  document.addEventListener(
+    BRIDGE_EVENTS.SELECT,
+    (event) => {
+      const adapter = adapters.get(event.target);
+      if (!adapter) return;
+
+      try {
+        const { kind, id } = JSON.parse(event.detail);
+        adapter.select(kind, id === null ? null : String(id));
+      } catch (error) {
+        console.warn('[CastToTV] Failed to switch player track', adapter.provider, error);
+      }
+    },
+    true
+  );
+})();
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * CastToTV Media Hub - native messaging 宿主（com.casttotv.bridge）
+ *
+ * 扩展做不到的事情交给这个 Node 脚本完成：
+ * - ssdp-search：向局域网发送 SSDP M-SEARCH 组播，收集设备的原始响应（sendNativeMessage，一问一答）
+ * - relay-start / relay-chunk / relay-stop：blob:/MSE 源的本地 HTTP 中转（connectNative 长连接，见 relay.js）
+ *
+ * 只依赖 Node 内置模块（Node 16+）；manifest 模式的中转另需 PATH 中有 ffmpeg（或由 CASTTOTV_FFMPEG 指定）。
+ * 安装方法见 host/install.js。
+ *
+ * native messaging 协议：stdin / stdout 上的每条消息都是 4 字节小端长度 + UTF-8 JSON。
+ * Chrome 关闭 stdin（sendNativeMessage 收到回复、connectNative 端口断开）时进程退出。
+ */
+'use strict';
+
+const dgram = require('dgram');
+const relay = require('./relay');
+
+// SSDP 组播地址与端口（UPnP 规范固定值）
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+
+// 搜索时长的上下限（毫秒），防止扩展传入异常值让宿主长时间挂起
+const SSDP_MIN_TIMEOUT_MS = 500;
+const SSDP_MAX_TIMEOUT_MS = 10000;
+
+// UDP 可能丢包，M-SEARCH 按这些延迟（毫秒）各发送一次
+const SSDP_SEND_DELAYS_MS = [0, 500];
+
+/**
+ * 按 native messaging 的格式向扩展发送一条消息
+ * @param {Object} message - 可 JSON 序列化的对象
+ */
+function sendMessage(message) {
+  const body = Buffer.from(JSON.stringify(message), 'utf8');
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(body.length, 0);
+  process.stdout.write(Buffer.concat([header, body]));
+}
+
+/**
+ * 从可读流中逐条解析 native messaging 消息
+ * @param {stream.Readable} input - 通常为 process.stdin
+ * @param {Function} onMessage - 每解析出一条消息调用一次
+ */
+function readMessages(input, onMessage) {
+  let buffer = Buffer.alloc(0);
+
+  input.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data]);
+    while (buffer.length >= 4) {
+      const length = buffer.readUInt32LE(0);
+      if (buffer.length < 4 + length) break;
+
+      const body = buffer.subarray(4, 4 + length);
+      buffer = buffer.subarray(4 + length);
+      try {
+        onMessage(JSON.parse(body.toString('utf8')));
+      } catch (error) {
+        console.error('[bridge] Failed to handle message', error);
+      }
+    }
+  });
+}
+
+/**
+ * 发送 M-SEARCH 并收集响应
+ *
+ * @param {string} request - 完整的 M-SEARCH 报文（由扩展的 DlnaClient 构造）
+ * @param {number} timeoutMs - 等待响应的时长
+ * @returns {Promise<string[]>} 原始响应文本
+ */
+function ssdpSearch(request, timeoutMs) {
+  const waitMs = Math.min(Math.max(Number(timeoutMs) || 0, SSDP_MIN_TIMEOUT_MS), SSDP_MAX_TIMEOUT_MS);
+
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    const responses = [];
+
+    socket.on('message', (message) => responses.push(message.toString('utf8')));
+    socket.on('error', (error) => {
+      socket.close();
+      reject(error);
+    });
+
+    socket.bind(0, () => {
+      const payload = Buffer.from(String(request || ''), 'utf8');
+      SSDP_SEND_DELAYS_MS.forEach((delay) => {
+        setTimeout(() => socket.send(payload, SSDP_PORT, SSDP_ADDRESS), delay);
+      });
+      setTimeout(() => {
+        socket.close();
+        resolve(responses);
+      }, waitMs);
+    });
+  });
+}
+
+/**
+ * 消息类型 -> 处理函数；处理函数的返回值作为回复发给扩展，没有返回值时不回复
+ */
+const handlers = {
+  'ssdp-search': async (message) => ({
+    responses: await ssdpSearch(message.request, message.timeoutMs)
+  }),
+  // 中转的处理函数自行把错误转为 relay-error，不会走通用的 { error } 回复
+  'relay-start': (message) => relay.startRelay(message, sendMessage),
+  'relay-chunk': (message) => relay.pushChunk(message, sendMessage),
+  'relay-stop': (message) => relay.stopRelay(message)
+};
+
+/**
+ * 分发扩展发来的消息；出错时回复 { error }
+ * @param {Object} message - 扩展发来的消息
+ */
+async function handleMessage(message) {
+  const handler = handlers[message?.type];
+  if (!handler) {
+    sendMessage({ error: `Unknown message type: ${message?.type}` });
+    return;
+  }
+
+  try {
+    const reply = await handler(message);
+    if (reply) sendMessage(reply);
+  } catch (error) {
+    sendMessage({ error: error.message || String(error) });
+  }
+}
+
+// 作为宿主被 Chrome 启动时才接管 stdin / stdout；被 require 时只导出函数
+if (require.main === module) {
+  // stdout 是协议通道，日志一律写到 stderr（Chrome 会转发到自己的 stderr）
+  console.log = console.error;
+
+  readMessages(process.stdin, handleMessage);
+  // 扩展断开时结束全部中转（包括 ffmpeg 子进程）再退出
+  process.stdin.on('end', () => {
+    relay.stopAllRelays();
+    process.exit(0);
+  });
+}
+
+module.exports = { sendMessage, readMessages, ssdpSearch, handlers };
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * CastToTV Media Hub - 安装 native messaging 宿主
+ *
+ * 用法：node host/install.js <扩展 ID> [chrome|chromium|edge]
+ *
+ * 扩展 ID 在 chrome://extensions 中开启开发者模式后可见（加载已解压的扩展时由路径决定）。
+ * 脚本会在浏览器的 NativeMessagingHosts 目录中写入：
+ * - com.casttotv.bridge.json：由同目录下的模板填入宿主路径与扩展 ID
+ * - 启动脚本：用当前的 node 绝对路径运行 host/bridge.js（浏览器启动宿主时不读取 shell 的 PATH）
+ *
+ * Windows 通过注册表登记宿主，文件写在 %LOCALAPPDATA%\CastToTV 下，并打印需要执行的 reg add 命令。
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOST_NAME = 'com.casttotv.bridge';
+
+// 各浏览器在 Linux / macOS 下的用户级 NativeMessagingHosts 目录
+const HOST_DIRECTORIES = {
+  linux: {
+    chrome: '.config/google-chrome/NativeMessagingHosts',
+    chromium: '.config/chromium/NativeMessagingHosts',
+    edge: '.config/microsoft-edge/NativeMessagingHosts'
+  },
+  darwin: {
+    chrome: 'Library/Application Support/Google/Chrome/NativeMessagingHosts',
+    chromium: 'Library/Application Support/Chromium/NativeMessagingHosts',
+    edge: 'Library/Application Support/Microsoft Edge/NativeMessagingHosts'
+  }
+};
+
+// 各浏览器在 Windows 注册表中登记宿主的位置
+const WINDOWS_REGISTRY_KEYS = {
+  chrome: 'HKCU\\Software\\Google\\Chrome\\NativeMessagingHosts',
+  chromium: 'HKCU\\Software\\Chromium\\NativeMessagingHosts',
+  edge: 'HKCU\\Software\\Microsoft\\Edge\\NativeMessagingHosts'
+};
+
+/**
+ * 写入启动脚本与宿主清单
+ * @param {string[]} args - [扩展 ID, 浏览器]
+ */
+function main([extensionId, browser = 'chrome']) {
+  if (!/^[a-p]{32}$/.test(extensionId || '')) {
+    console.error('Usage: node host/install.js <extension-id> [chrome|chromium|edge]');
+    process.exit(1);
+  }
+  if (!WINDOWS_REGISTRY_KEYS[browser]) {
+    console.error(`Unknown browser: ${browser}`);
+    process.exit(1);
+  }
+
+  const isWindows = process.platform === 'win32';
+  const relative = HOST_DIRECTORIES[process.platform]?.[browser];
+  if (!isWindows && !relative) {
+    console.error(`Unsupported platform: ${process.platform}`);
+    process.exit(1);
+  }
+
+  const targetDir = isWindows
+    ? path.join(process.env.LOCALAPPDATA || os.homedir(), 'CastToTV')
+    : path.join(os.homedir(), relative);
+  fs.mkdirSync(targetDir, { recursive: true });
+
+  // 启动脚本
+  const bridgePath = path.join(__dirname, 'bridge.js');
+  const launcherPath = path.join(targetDir, `${HOST_NAME}${isWindows ? '.bat' : '.sh'}`);
+  const launcher = isWindows
+    ? `@echo off\r\n"${process.execPath}" "${bridgePath}" %*\r\n`
+    : `#!/bin/sh\nexec "${process.execPath}" "${bridgePath}" "$@"\n`;
+  fs.writeFileSync(launcherPath, launcher, { mode: 0o755 });
+
+  // 宿主清单
+  const template = JSON.parse(fs.readFileSync(path.join(__dirname, `${HOST_NAME}.json`), 'utf8'));
+  const manifest = {
+    ...template,
+    path: launcherPath,
+    allowed_origins: [`chrome-extension://${extensionId}/`]
+  };
+  const manifestPath = path.join(targetDir, `${HOST_NAME}.json`);
+  fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+
+  console.log(`Installed ${HOST_NAME} for ${browser}: ${manifestPath}`);
+  if (isWindows) {
+    console.log(`Register it with:\n  reg add "${WINDOWS_REGISTRY_KEYS[browser]}\\${HOST_NAME}" /ve /t REG_SZ /d "${manifestPath}" /f`);
+  }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,418 @@
+/**
+ * CastToTV Media Hub - 宿主端的本地 HTTP 中转
+ *
+ * 电视只能拉取 http(s) 地址，blob:/MSE 源由扩展请宿主在局域网地址上开一个端点
+ * （协议见 background/relayClient.js 的说明）：
+ * - capture：扩展按顺序发来 MediaRecorder 录制的 WebM 分片，原样写入 HTTP 响应
+ * - manifest：宿主用 ffmpeg 拉取 HLS / DASH 清单，按原速（-re）转封装为 MPEG-TS 输出
+ *
+ * 所有中转共用一个 HTTP 服务（0.0.0.0 上的随机端口），地址为 /relay/<relayId>.<扩展名>。
+ * 响应不带 Content-Length，按分块传输发送直到中转结束；不支持 Range，电视从当前位置开始播放。
+ * 电视可能先探测一次再正式连接，也可能中途重连，因此每个新连接都先补发能让解码器起步的数据：
+ * - WebM：第一个 Cluster 之前的头部（EBML 头、Segment 信息、Tracks），加上最近一个 Cluster 开始以来的数据
+ * - MPEG-TS：从下一个 188 字节的包边界开始，ffmpeg 会周期性重复 PAT / PMT
+ */
+'use strict';
+
+const dgram = require('dgram');
+const http = require('http');
+const { spawn } = require('child_process');
+
+// WebM（Matroska）Cluster 元素的 ID 与其第一个子元素 Timecode 的 ID
+const WEBM_CLUSTER_ID = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+const WEBM_TIMECODE_ID = 0xe7;
+
+// MPEG-TS 包长度
+const TS_PACKET_SIZE = 188;
+
+// 录制分片缺号时最多暂存的后续分片数（每秒一个），超过即认为缺的分片已丢失
+const MAX_PENDING_CHUNKS = 10;
+
+// 单个连接积压超过该字节数时断开（电视拉流跟不上或已停止读取）
+const MAX_CLIENT_BACKLOG_BYTES = 32 * 1024 * 1024;
+
+// manifest 模式等待 ffmpeg 产出第一批数据的最长时间（毫秒），需短于扩展等待 relay-started 的 15 秒
+const FFMPEG_START_TIMEOUT_MS = 12000;
+
+// 报告 ffmpeg 错误时附带的 stderr 末尾长度
+const FFMPEG_STDERR_TAIL = 500;
+
+// DLNA 渲染器要求的传输头：流式传输，不支持按字节或时间跳转
+const DLNA_HEADERS = {
+  'transferMode.dlna.org': 'Streaming',
+  'contentFeatures.dlna.org': 'DLNA.ORG_OP=00;DLNA.ORG_CI=0;DLNA.ORG_FLAGS=01700000000000000000000000000000'
+};
+
+/**
+ * 进行中的中转：relayId -> relay
+ * relay: { relayId, mode, mimeType, extension, clients, nextSeq, pendingChunks, header, recent, scanFrom,
+ *          totalBytes, ffmpeg }
+ */
+const relays = new Map();
+
+// 所有中转共用的 HTTP 服务，没有中转时关闭
+let server = null;
+let serverReady = null;
+
+/**
+ * 找出与对方通信时使用的本机地址（UDP connect 不会真正发包）
+ * @param {string} remoteAddress - 渲染器地址
+ * @returns {Promise<string>}
+ */
+function localAddressFor(remoteAddress) {
+  return new Promise((resolve) => {
+    const socket = dgram.createSocket('udp4');
+    socket.on('error', () => {
+      socket.close();
+      resolve('127.0.0.1');
+    });
+    socket.connect(1900, remoteAddress || '127.0.0.1', () => {
+      const { address } = socket.address();
+      socket.close();
+      resolve(address);
+    });
+  });
+}
+
+/**
+ * 取得 HTTP 服务监听的端口，没有服务时启动
+ * @returns {Promise<number>}
+ */
+function ensureServer() {
+  if (serverReady) return serverReady;
+
+  server = http.createServer(handleRequest);
+  serverReady = new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '0.0.0.0', () => resolve(server.address().port));
+  });
+  serverReady.catch(() => {
+    server = null;
+    serverReady = null;
+  });
+  return serverReady;
+}
+
+/**
+ * 没有进行中的中转时关闭 HTTP 服务
+ */
+function releaseServerIfIdle() {
+  if (!server || relays.size) return;
+  server.close();
+  server = null;
+  serverReady = null;
+}
+
+/**
+ * 处理电视的拉流请求
+ * @param {http.IncomingMessage} request - 请求
+ * @param {http.ServerResponse} response - 响应
+ */
+function handleRequest(request, response) {
+  const relayId = /^\/relay\/([\w-]+)\.\w+$/.exec(request.url.split('?')[0])?.[1];
+  const relay = relays.get(relayId);
+
+  if (!relay || !['GET', 'HEAD'].includes(request.method)) {
+    response.writeHead(relay ? 405 : 404);
+    response.end();
+    return;
+  }
+
+  response.writeHead(200, {
+    'Content-Type': relay.mimeType,
+    'Cache-Control': 'no-store',
+    ...DLNA_HEADERS
+  });
+  if (request.method === 'HEAD') {
+    response.end();
+    return;
+  }
+
+  const client = { response, aligned: relay.mode !== 'manifest' };
+  if (relay.mode === 'capture') {
+    const replay = relay.header ? Buffer.concat([relay.header, relay.recent]) : relay.recent;
+    if (replay.length) response.write(replay);
+  }
+  relay.clients.add(client);
+  console.log(`[relay] ${relayId}: client ${request.socket.remoteAddress} connected`);
+
+  response.on('close', () => {
+    relay.clients.delete(client);
+    console.log(`[relay] ${relayId}: client ${request.socket.remoteAddress} disconnected`);
+  });
+}
+
+/**
+ * 把一段输出写给所有连接
+ *
+ * MPEG-TS 的新连接从包边界开始：streamOffset 为这段数据在整个输出中的起始位置
+ *
+ * @param {Object} relay - 中转
+ * @param {Buffer} data - 数据
+ * @param {number} streamOffset - data 第一个字节在输出中的偏移
+ */
+function broadcast(relay, data, streamOffset) {
+  relay.clients.forEach((client) => {
+    let payload = data;
+    if (!client.aligned) {
+      const skip = (TS_PACKET_SIZE - (streamOffset % TS_PACKET_SIZE)) % TS_PACKET_SIZE;
+      if (skip >= data.length) return;
+      payload = data.subarray(skip);
+      client.aligned = true;
+    }
+
+    client.response.write(payload);
+    if (client.response.writableLength > MAX_CLIENT_BACKLOG_BYTES) {
+      console.log(`[relay] ${relay.relayId}: dropping a client that stopped reading`);
+      client.response.destroy();
+      relay.clients.delete(client);
+    }
+  });
+}
+
+/**
+ * 判断 buffer[index] 处是否为一个 Cluster 的开始
+ *
+ * 媒体数据中也可能碰巧出现 Cluster 的 4 字节 ID，要求其后紧跟合法的大小字段与 Timecode 子元素
+ *
+ * @param {Buffer} buffer - 数据
+ * @param {number} index - 候选位置
+ * @returns {boolean|null} 数据不够判断时为 null
+ */
+function isClusterAt(buffer, index) {
+  for (let i = 0; i < WEBM_CLUSTER_ID.length; i += 1) {
+    if (index + i >= buffer.length) return null;
+    if (buffer[index + i] !== WEBM_CLUSTER_ID[i]) return false;
+  }
+
+  const sizeIndex = index + WEBM_CLUSTER_ID.length;
+  if (sizeIndex >= buffer.length) return null;
+  // EBML 变长整数：首字节前导零的个数 + 1 为字段长度
+  const sizeLength = Math.clz32(buffer[sizeIndex]) - 23;
+  if (sizeLength < 1 || sizeLength > 8) return false;
+
+  const timecodeIndex = sizeIndex + sizeLength;
+  if (timecodeIndex >= buffer.length) return null;
+  return buffer[timecodeIndex] === WEBM_TIMECODE_ID;
+}
+
+/**
+ * 记录录制分片，维护新连接需要补发的数据
+ *
+ * recent 为最近一个 Cluster 开始以来的数据（找到第一个 Cluster 之前为全部数据），
+ * 找到第一个 Cluster 时把它之前的部分存为 header
+ *
+ * @param {Object} relay - capture 模式的中转
+ * @param {Buffer} data - 按顺序到达的分片
+ */
+function appendWebm(relay, data) {
+  relay.recent = Buffer.concat([relay.recent, data]);
+
+  let firstCluster = -1;
+  let lastCluster = -1;
+  let index = relay.scanFrom;
+  for (; index + WEBM_CLUSTER_ID.length <= relay.recent.length; index += 1) {
+    const found = isClusterAt(relay.recent, index);
+    if (found === null) break;
+    if (found) {
+      if (firstCluster < 0) firstCluster = index;
+      lastCluster = index;
+    }
+  }
+  relay.scanFrom = index;
+
+  if (lastCluster < 0) return;
+  if (!relay.header) {
+    relay.header = relay.recent.subarray(0, firstCluster);
+  }
+  relay.recent = relay.recent.subarray(lastCluster);
+  relay.scanFrom -= lastCluster;
+  if (relay.scanFrom < 1) relay.scanFrom = 1;
+}
+
+/**
+ * 用 ffmpeg 拉取清单并转封装为 MPEG-TS
+ *
+ * 等到 ffmpeg 产出第一批数据才算开始成功：清单需要 Cookie、地址失效等情况下
+ * 扩展能尽早收到 relay-error 并改为录制
+ *
+ * @param {Object} relay - manifest 模式的中转
+ * @param {Object} message - relay-start 消息
+ * @param {Function} send - 向扩展发送消息
+ * @returns {Promise<void>}
+ */
+function startFfmpeg(relay, message, send) {
+  const args = ['-hide_banner', '-loglevel', 'error', '-re'];
+  if (message.userAgent) args.push('-user_agent', message.userAgent);
+  if (message.referrer) args.push('-headers', `Referer: ${message.referrer}\r\n`);
+  // 主清单有多个档位时由 ffmpeg 默认选出最高画质的视频与一路音频；字幕（WebVTT）无法直接封装进 TS，丢弃
+  args.push('-i', message.manifestUrl, '-sn', '-dn', '-c', 'copy', '-f', 'mpegts', 'pipe:1');
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(process.env.CASTTOTV_FFMPEG || 'ffmpeg', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    relay.ffmpeg = ffmpeg;
+
+    let started = false;
+    let stderr = '';
+    const timer = setTimeout(() => {
+      if (started) return;
+      ffmpeg.kill();
+      reject(new Error('ffmpeg produced no output'));
+    }, FFMPEG_START_TIMEOUT_MS);
+
+    ffmpeg.stderr.on('data', (data) => {
+      stderr = (stderr + data).slice(-FFMPEG_STDERR_TAIL);
+    });
+
+    ffmpeg.stdout.on('data', (data) => {
+      if (!started) {
+        started = true;
+        clearTimeout(timer);
+        resolve();
+      }
+      broadcast(relay, data, relay.totalBytes);
+      relay.totalBytes += data.length;
+    });
+
+    ffmpeg.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error.code === 'ENOENT' ? new Error('ffmpeg not found') : error);
+    });
+
+    // exit 可能早于 stdout 读完，等 stdio 关闭后再处理，点播结尾的数据才不会被截掉
+    ffmpeg.on('close', (code, signal) => {
+      clearTimeout(timer);
+      relay.ffmpeg = null;
+      const reason = stderr.trim() || `ffmpeg exited with ${signal || code}`;
+
+      if (!started) {
+        reject(new Error(reason));
+        return;
+      }
+      // 扩展已结束的中转不再报告
+      if (!relays.has(relay.relayId)) return;
+
+      if (code === 0) {
+        // 点播清单播放完毕：结束响应，电视随之进入 STOPPED
+        relay.clients.forEach((client) => client.response.end());
+        relay.clients.clear();
+      } else {
+        send({ type: 'relay-error', relayId: relay.relayId, error: reason });
+        stopRelay({ relayId: relay.relayId });
+      }
+    });
+  });
+}
+
+/**
+ * relay-start：开一个中转端点
+ *
+ * @param {Object} message - { relayId, mode, manifestUrl?, referrer?, userAgent?, mimeType?, rendererHost }
+ * @param {Function} send - 向扩展发送消息（manifest 模式中途出错时使用）
+ * @returns {Promise<Object>} relay-started 或 relay-error 消息
+ */
+async function startRelay(message, send) {
+  const { relayId, mode } = message;
+
+  try {
+    if (!/^[\w-]+$/.test(relayId || '')) {
+      throw new Error('Invalid relayId');
+    }
+    if (relays.has(relayId)) {
+      throw new Error('Relay already started');
+    }
+    if (mode !== 'capture' && mode !== 'manifest') {
+      throw new Error(`Unknown relay mode: ${mode}`);
+    }
+    if (mode === 'manifest' && !/^https?:/i.test(message.manifestUrl || '')) {
+      throw new Error('Missing manifestUrl');
+    }
+
+    const relay = {
+      relayId,
+      mode,
+      // DIDL-Lite 的 protocolInfo 与 Content-Type 只用基本类型，不带 codecs 参数
+      mimeType: mode === 'manifest' ? 'video/mp2t' : String(message.mimeType || 'video/webm').split(';')[0].trim(),
+      extension: mode === 'manifest' ? 'ts' : 'webm',
+      clients: new Set(),
+      nextSeq: 0,
+      pendingChunks: new Map(),
+      header: null,
+      recent: Buffer.alloc(0),
+      scanFrom: 0,
+      totalBytes: 0,
+      ffmpeg: null
+    };
+    relays.set(relayId, relay);
+
+    const [port, address] = await Promise.all([ensureServer(), localAddressFor(message.rendererHost)]);
+    if (mode === 'manifest') {
+      await startFfmpeg(relay, message, send);
+    }
+    if (!relays.has(relayId)) {
+      // 等待期间扩展已取消
+      return null;
+    }
+
+    const url = `http://${address}:${port}/relay/${relayId}.${relay.extension}`;
+    console.log(`[relay] ${relayId}: ${mode} relay at ${url}`);
+    return { type: 'relay-started', relayId, url, mimeType: relay.mimeType };
+  } catch (error) {
+    stopRelay({ relayId });
+    return { type: 'relay-error', relayId, error: error.message || String(error) };
+  }
+}
+
+/**
+ * relay-chunk：按序号顺序写出录制分片（乱序到达的先暂存）
+ *
+ * 缺号迟迟补不上时暂存会无限增长、电视也收不到数据，超过 MAX_PENDING_CHUNKS 即报告 relay-error 并结束中转
+ *
+ * @param {Object} message - { relayId, seq, data }
+ * @param {Function} send - 向扩展发送消息
+ */
+function pushChunk({ relayId, seq, data }, send) {
+  const relay = relays.get(relayId);
+  if (!relay || relay.mode !== 'capture' || !Number.isInteger(seq) || seq < relay.nextSeq) return;
+
+  relay.pendingChunks.set(seq, Buffer.from(String(data || ''), 'base64'));
+  if (relay.pendingChunks.size > MAX_PENDING_CHUNKS && !relay.pendingChunks.has(relay.nextSeq)) {
+    send({ type: 'relay-error', relayId, error: `Recorded chunk ${relay.nextSeq} never arrived` });
+    stopRelay({ relayId });
+    return;
+  }
+  while (relay.pendingChunks.has(relay.nextSeq)) {
+    const chunk = relay.pendingChunks.get(relay.nextSeq);
+    relay.pendingChunks.delete(relay.nextSeq);
+    relay.nextSeq += 1;
+
+    broadcast(relay, chunk, relay.totalBytes);
+    relay.totalBytes += chunk.length;
+    appendWebm(relay, chunk);
+  }
+}
+
+/**
+ * relay-stop：关闭中转端点
+ * @param {Object} message - { relayId }
+ */
+function stopRelay({ relayId }) {
+  const relay = relays.get(relayId);
+  if (!relay) return;
+  relays.delete(relayId);
+
+  relay.ffmpeg?.kill();
+  relay.clients.forEach((client) => client.response.end());
+  relay.clients.clear();
+  console.log(`[relay] ${relayId}: stopped after ${relay.totalBytes} bytes`);
+  releaseServerIfIdle();
+}
+
+/**
+ * 结束全部中转（宿主退出前调用，避免留下 ffmpeg 子进程）
+ */
+function stopAllRelays() {
+  Array.from(relays.keys()).forEach((relayId) => stopRelay({ relayId }));
+}
+
+module.exports = { startRelay, pushChunk, stopRelay, stopAllRelays };
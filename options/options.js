@@ -0,0 +1,126 @@
+/**
+ * CastToTV 设置页
+ *
+ * 把表单与 utils/settings.js 中的设置对象互相转换：
+ * - 打开页面时读取设置填充表单
+ * - 提交时把表单序列化为设置并保存到 chrome.storage.sync
+ * 各组件通过 onSettingsChanged 监听变化，保存后立即生效
+ */
+(() => {
+  'use strict';
+
+  const { Settings } = self;
+
+  if (!chrome?.storage || !Settings) {
+    console.error('[CastToTV] Options page failed to initialize (missing storage or settings)');
+    return;
+  }
+
+  const { TRACKING_MODES } = Settings;
+
+  const form = document.getElementById('settings-form');
+  const status = document.getElementById('save-status');
+
+  init();
+
+  /**
+   * 读取设置并绑定表单提交
+   */
+  async function init() {
+    fillForm(await Settings.loadSettings());
+    form.addEventListener('submit', onSubmit);
+  }
+
+  /**
+   * 用设置对象填充表单
+   * @param {Object} settings - 完整设置
+   */
+  function fillForm(settings) {
+    form.elements.trackingMode.value = settings.trackingMode;
+    form.elements.multiSites.value = sitesWithValue(settings.siteTrackingModes, TRACKING_MODES.MULTI).join('\n');
+    form.elements.singleSites.value = sitesWithValue(settings.siteTrackingModes, TRACKING_MODES.SINGLE).join('\n');
+    form.elements.exclusivePlayback.checked = settings.exclusivePlayback;
+    form.elements.exclusiveAllowlist.value = settings.exclusiveAllowlist.join('\n');
+    form.elements.positionUpdateIntervalMs.value = String(settings.positionUpdateIntervalMs);
+    form.elements.positionMemory.checked = settings.positionMemory;
+    form.elements.positionMemoryOptOut.value = settings.positionMemoryOptOut.join('\n');
+    form.elements.liveCaptions.checked = settings.liveCaptions;
+  }
+
+  /**
+   * 处理表单提交：序列化并保存设置
+   * @param {Event} event - 提交事件
+   */
+  async function onSubmit(event) {
+    event.preventDefault();
+
+    const siteTrackingModes = {};
+    parseHostList(form.elements.multiSites.value).forEach((host) => {
+      siteTrackingModes[host] = TRACKING_MODES.MULTI;
+    });
+    parseHostList(form.elements.singleSites.value).forEach((host) => {
+      siteTrackingModes[host] = TRACKING_MODES.SINGLE;
+    });
+
+    try {
+      fillForm(
+        await Settings.saveSettings({
+          trackingMode: form.elements.trackingMode.value || TRACKING_MODES.SINGLE,
+          siteTrackingModes,
+          exclusivePlayback: form.elements.exclusivePlayback.checked,
+          exclusiveAllowlist: parseHostList(form.elements.exclusiveAllowlist.value),
+          positionUpdateIntervalMs: parsePositionInterval(form.elements.positionUpdateIntervalMs.value),
+          positionMemory: form.elements.positionMemory.checked,
+          positionMemoryOptOut: parseHostList(form.elements.positionMemoryOptOut.value),
+          liveCaptions: form.elements.liveCaptions.checked
+        })
+      );
+      status.textContent = '已保存';
+    } catch (error) {
+      status.textContent = `保存失败：${error.message}`;
+    }
+  }
+
+  /**
+   * 解析进度上报间隔，不在可选列表中时回退到默认值
+   * @param {string} value - 下拉框的值
+   * @returns {number} 毫秒
+   */
+  function parsePositionInterval(value) {
+    const interval = Number(value);
+    return Settings.POSITION_UPDATE_INTERVALS.includes(interval)
+      ? interval
+      : Settings.SETTINGS_DEFAULTS.positionUpdateIntervalMs;
+  }
+
+  /**
+   * 解析"每行一个域名"的文本，允许直接粘贴完整 URL
+   * @param {string} text - 文本框内容
+   * @returns {string[]} 去重后的小写域名
+   */
+  function parseHostList(text) {
+    const hosts = text
+      .split(/[\s,]+/)
+      .map((line) => line.trim().toLowerCase())
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return line.includes('://') ? new URL(line).hostname : line;
+        } catch {
+          return '';
+        }
+      })
+      .filter(Boolean);
+    return Array.from(new Set(hosts));
+  }
+
+  /**
+   * 从站点表中取出值等于 value 的域名
+   * @param {Object} siteMap - hostname -> 值
+   * @param {*} value - 目标值
+   * @returns {string[]} 域名列表
+   */
+  function sitesWithValue(siteMap, value) {
+    return Object.keys(siteMap || {}).filter((host) => siteMap[host] === value);
+  }
+})();
@@ -0,0 +1,447 @@
+#!/usr/bin/env node
+/**
+ * CastToTV Media Hub - 本地调试用的假 DLNA 渲染器
+ *
+ * 用法：node tools/fakeRenderer.js [--port 49152] [--name "Fake TV"] [--save 文件路径]
+ *
+ * 1. 在 HTTP 端口上提供 MediaRenderer 的设备描述（/description.xml）
+ * 2. 实现 AVTransport / RenderingControl 中扩展用到的 SOAP 动作，打印收到的每个请求，
+ *    并维护播放状态与进度，扩展的轮询能看到 PLAYING / PAUSED_PLAYBACK / STOPPED
+ * 3. 在 UDP 1900 上响应 SSDP M-SEARCH，配合 native messaging 宿主测试「搜索设备」；
+ *    端口被占用时只打印警告，仍可在 popup 中手动填入设备描述地址
+ * 4. Play 时像真电视一样拉取 CurrentURI，打印 Content-Type 与收到的字节数；
+ *    指定 --save 时把拉到的内容写入文件，可以用 ffprobe 检查
+ *
+ * 只依赖 Node 内置模块（Node 16+）。
+ */
+'use strict';
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+// SSDP 组播地址与端口（UPnP 规范固定值）
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+
+const UPNP_TYPES = {
+  MEDIA_RENDERER: 'urn:schemas-upnp-org:device:MediaRenderer:1',
+  AV_TRANSPORT: 'urn:schemas-upnp-org:service:AVTransport:1',
+  RENDERING_CONTROL: 'urn:schemas-upnp-org:service:RenderingControl:1'
+};
+
+// 拉流进度的打印间隔（毫秒）
+const FETCH_LOG_INTERVAL_MS = 5000;
+
+/**
+ * 解析命令行参数（--key value）
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {Object} { port, name, save }
+ */
+function parseArgs(argv) {
+  const options = { port: 49152, name: 'CastToTV Fake Renderer', save: null };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (key in options) {
+      options[key] = key === 'port' ? Number(argv[i + 1]) : argv[i + 1];
+    }
+  }
+  return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+// 由名称生成稳定的 UDN，重启后扩展保存的渲染器仍然对应同一台设备
+const udn = `uuid:${crypto.createHash('md5').update(options.name).digest('hex').replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5')}`;
+
+/**
+ * 渲染器状态：播放进度按 Play 时刻外推
+ */
+const state = {
+  uri: '',
+  metadata: '',
+  transportState: 'NO_MEDIA_PRESENT',
+  position: 0, // 暂停或停止时的进度（秒）
+  playingSince: null, // 开始播放的时刻（毫秒），未播放时为 null
+  volume: 50,
+  muted: false,
+  fetch: null // 正在进行的拉流 { request, bytes }
+};
+
+/**
+ * XML 实体转义
+ * @param {*} value - 任意值
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * XML 实体反转义
+ * @param {string} value - 含实体的文本
+ * @returns {string}
+ */
+function unescapeXml(value) {
+  return String(value ?? '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 当前进度（秒）
+ * @returns {number}
+ */
+function currentPosition() {
+  return state.playingSince === null ? state.position : state.position + (Date.now() - state.playingSince) / 1000;
+}
+
+/**
+ * 秒数 -> UPnP 时间字符串 H:MM:SS
+ * @param {number} seconds - 秒数
+ * @returns {string}
+ */
+function formatUpnpTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${Math.floor(total / 3600)}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+}
+
+/**
+ * UPnP 时间字符串 -> 秒数
+ * @param {string} value - 如 "0:03:25"
+ * @returns {number}
+ */
+function parseUpnpTime(value) {
+  const match = /^(\d+):(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/.exec(String(value || '').trim());
+  return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : 0;
+}
+
+/**
+ * 设备描述文档（各服务地址为相对路径，由扩展按描述文档的地址解析）
+ * @returns {string}
+ */
+function buildDescription() {
+  const service = (type, name) =>
+    '<service>' +
+    `<serviceType>${type}</serviceType>` +
+    `<serviceId>urn:upnp-org:serviceId:${name}</serviceId>` +
+    `<SCPDURL>/${name}/scpd.xml</SCPDURL>` +
+    `<controlURL>/${name}/control</controlURL>` +
+    `<eventSubURL>/${name}/event</eventSubURL>` +
+    '</service>';
+
+  return (
+    '<?xml version="1.0" encoding="utf-8"?>' +
+    '<root xmlns="urn:schemas-upnp-org:device-1-0">' +
+    '<specVersion><major>1</major><minor>0</minor></specVersion>' +
+    '<device>' +
+    `<deviceType>${UPNP_TYPES.MEDIA_RENDERER}</deviceType>` +
+    `<friendlyName>${escapeXml(options.name)}</friendlyName>` +
+    '<manufacturer>CastToTV</manufacturer>' +
+    '<modelName>Fake Renderer</modelName>' +
+    `<UDN>${udn}</UDN>` +
+    '<serviceList>' +
+    service(UPNP_TYPES.AV_TRANSPORT, 'AVTransport') +
+    service(UPNP_TYPES.RENDERING_CONTROL, 'RenderingControl') +
+    '</serviceList>' +
+    '</device>' +
+    '</root>'
+  );
+}
+
+/**
+ * 开始拉取 CurrentURI，模拟电视的 HTTP 请求
+ */
+function startFetch() {
+  stopFetch();
+
+  let client;
+  try {
+    const { protocol } = new URL(state.uri);
+    client = { 'http:': http, 'https:': https }[protocol];
+  } catch {
+    client = null;
+  }
+  if (!client) return;
+
+  const output = options.save ? fs.createWriteStream(options.save) : null;
+  const fetchState = { request: null, bytes: 0, timer: null };
+
+  // 拉流失败只打印日志，不影响 Play 的应答
+  try {
+    fetchState.request = client.get(state.uri, (response) => {
+      console.log(`[fetch] ${response.statusCode} ${response.headers['content-type'] || '(no content-type)'} ${state.uri}`);
+      fetchState.timer = setInterval(() => console.log(`[fetch] ${fetchState.bytes} bytes`), FETCH_LOG_INTERVAL_MS);
+
+      response.on('data', (chunk) => {
+        fetchState.bytes += chunk.length;
+        output?.write(chunk);
+      });
+      response.on('end', () => {
+        console.log(`[fetch] finished after ${fetchState.bytes} bytes`);
+        clearInterval(fetchState.timer);
+        output?.end();
+        if (state.fetch === fetchState) {
+          state.fetch = null;
+        }
+      });
+    });
+  } catch (error) {
+    console.log(`[fetch] ${error.message}`);
+    output?.end();
+    return;
+  }
+  fetchState.request.on('error', (error) => {
+    console.log(`[fetch] ${error.message}`);
+    clearInterval(fetchState.timer);
+    output?.end();
+  });
+
+  state.fetch = fetchState;
+}
+
+/**
+ * 停止拉流（Stop、换地址时）
+ */
+function stopFetch() {
+  if (!state.fetch) return;
+  clearInterval(state.fetch.timer);
+  state.fetch.request.destroy();
+  console.log(`[fetch] stopped after ${state.fetch.bytes} bytes${options.save ? `, saved to ${options.save}` : ''}`);
+  state.fetch = null;
+}
+
+/**
+ * SOAP 动作处理函数：参数为请求中的输入参数，返回输出参数
+ */
+const actions = {
+  SetAVTransportURI: (args) => {
+    stopFetch();
+    Object.assign(state, {
+      uri: args.CurrentURI,
+      metadata: args.CurrentURIMetaData,
+      transportState: 'STOPPED',
+      position: 0,
+      playingSince: null
+    });
+    return {};
+  },
+  Play: () => {
+    if (!state.uri) throw Object.assign(new Error('Transition not available'), { upnpCode: 701 });
+    if (state.playingSince === null) state.playingSince = Date.now();
+    if (!state.fetch) startFetch();
+    state.transportState = 'PLAYING';
+    return {};
+  },
+  Pause: () => {
+    state.position = currentPosition();
+    state.playingSince = null;
+    state.transportState = 'PAUSED_PLAYBACK';
+    return {};
+  },
+  Stop: () => {
+    stopFetch();
+    Object.assign(state, { position: 0, playingSince: null, transportState: 'STOPPED' });
+    return {};
+  },
+  Seek: (args) => {
+    state.position = parseUpnpTime(args.Target);
+    if (state.playingSince !== null) state.playingSince = Date.now();
+    return {};
+  },
+  GetTransportInfo: () => ({
+    CurrentTransportState: state.transportState,
+    CurrentTransportStatus: 'OK',
+    CurrentSpeed: 1
+  }),
+  GetPositionInfo: () => ({
+    Track: state.uri ? 1 : 0,
+    TrackDuration: '0:00:00',
+    TrackMetaData: state.metadata,
+    TrackURI: state.uri,
+    RelTime: formatUpnpTime(currentPosition()),
+    AbsTime: formatUpnpTime(currentPosition()),
+    RelCount: 2147483647,
+    AbsCount: 2147483647
+  }),
+  GetVolume: () => ({ CurrentVolume: state.volume }),
+  SetVolume: (args) => {
+    state.volume = Math.min(Math.max(0, Number(args.DesiredVolume) || 0), 100);
+    return {};
+  },
+  GetMute: () => ({ CurrentMute: state.muted ? 1 : 0 }),
+  SetMute: (args) => {
+    state.muted = args.DesiredMute === '1' || args.DesiredMute === 'true';
+    return {};
+  }
+};
+
+/**
+ * 构造 SOAP 响应
+ * @param {string} serviceType - 服务类型
+ * @param {string} action - 动作名
+ * @param {Object} result - 输出参数
+ * @returns {string}
+ */
+function buildSoapResponse(serviceType, action, result) {
+  const body = Object.entries(result)
+    .map(([key, value]) => `<${key}>${escapeXml(value)}</${key}>`)
+    .join('');
+  return (
+    '<?xml version="1.0" encoding="utf-8"?>' +
+    '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" ' +
+    's:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">' +
+    `<s:Body><u:${action}Response xmlns:u="${serviceType}">${body}</u:${action}Response></s:Body>` +
+    '</s:Envelope>'
+  );
+}
+
+/**
+ * 构造 UPnPError 响应（HTTP 500）
+ * @param {number} code - UPnP 错误码
+ * @param {string} description - 错误描述
+ * @returns {string}
+ */
+function buildSoapFault(code, description) {
+  return (
+    '<?xml version="1.0" encoding="utf-8"?>' +
+    '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" ' +
+    's:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">' +
+    '<s:Body><s:Fault><faultcode>s:Client</faultcode><faultstring>UPnPError</faultstring><detail>' +
+    '<UPnPError xmlns="urn:schemas-upnp-org:control-1-0">' +
+    `<errorCode>${code}</errorCode><errorDescription>${escapeXml(description)}</errorDescription>` +
+    '</UPnPError></detail></s:Fault></s:Body></s:Envelope>'
+  );
+}
+
+/**
+ * 处理 SOAP 控制请求
+ * @param {http.IncomingMessage} request - 请求
+ * @param {http.ServerResponse} response - 响应
+ * @param {string} body - 请求体
+ */
+function handleControl(request, response, body) {
+  // SOAPACTION: "urn:schemas-upnp-org:service:AVTransport:1#Play"
+  const [serviceType, action] = String(request.headers.soapaction || '').replace(/"/g, '').split('#');
+  const args = {};
+  const argsBlock = new RegExp(`<(?:[\\w-]+:)?${action}[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${action}>`).exec(body)?.[1] || '';
+  const pattern = /<([\w-]+)>([\s\S]*?)<\/\1>/g;
+  let match;
+  while ((match = pattern.exec(argsBlock))) {
+    args[match[1]] = unescapeXml(match[2]);
+  }
+
+  // 轮询动作每秒都有，不打印
+  if (!/^Get/.test(action)) {
+    console.log(`[soap] ${action} ${JSON.stringify(args)}`);
+  }
+
+  const handler = actions[action];
+  try {
+    if (!handler) throw Object.assign(new Error('Invalid Action'), { upnpCode: 401 });
+    const result = handler(args);
+    response.writeHead(200, { 'Content-Type': 'text/xml; charset="utf-8"' });
+    response.end(buildSoapResponse(serviceType, action, result));
+  } catch (error) {
+    console.log(`[soap] ${action} failed: ${error.message}`);
+    response.writeHead(500, { 'Content-Type': 'text/xml; charset="utf-8"' });
+    response.end(buildSoapFault(error.upnpCode || 501, error.message));
+  }
+}
+
+const server = http.createServer((request, response) => {
+  let body = '';
+  request.on('data', (chunk) => {
+    body += chunk;
+  });
+  request.on('end', () => {
+    if (request.method === 'GET' && request.url === '/description.xml') {
+      response.writeHead(200, { 'Content-Type': 'text/xml; charset="utf-8"' });
+      response.end(buildDescription());
+    } else if (request.method === 'POST' && /\/control$/.test(request.url)) {
+      handleControl(request, response, body);
+    } else {
+      response.writeHead(404);
+      response.end();
+    }
+  });
+});
+
+/**
+ * 找出与对方通信时使用的本机地址（UDP connect 不会真正发包）
+ * @param {string} remoteAddress - 对方地址
+ * @returns {Promise<string>}
+ */
+function localAddressFor(remoteAddress) {
+  return new Promise((resolve) => {
+    const socket = dgram.createSocket('udp4');
+    socket.connect(SSDP_PORT, remoteAddress, () => {
+      const { address } = socket.address();
+      socket.close();
+      resolve(address);
+    });
+    socket.on('error', () => {
+      socket.close();
+      resolve('127.0.0.1');
+    });
+  });
+}
+
+/**
+ * 响应 SSDP M-SEARCH
+ */
+function startSsdpResponder() {
+  const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+  socket.on('message', async (message, remote) => {
+    const text = message.toString('utf8');
+    if (!/^M-SEARCH \* HTTP\/1\.1/i.test(text)) return;
+
+    const st = (/^ST:\s*(.+)$/im.exec(text)?.[1] || '').trim();
+    if (!['ssdp:all', 'upnp:rootdevice', UPNP_TYPES.MEDIA_RENDERER, udn].includes(st)) return;
+
+    const address = await localAddressFor(remote.address);
+    const reply = [
+      'HTTP/1.1 200 OK',
+      'CACHE-CONTROL: max-age=1800',
+      'EXT:',
+      `LOCATION: http://${address}:${options.port}/description.xml`,
+      'SERVER: Node/CastToTV UPnP/1.0 FakeRenderer/1.0',
+      `ST: ${st}`,
+      `USN: ${udn}::${st}`,
+      '',
+      ''
+    ].join('\r\n');
+    socket.send(reply, remote.port, remote.address);
+    console.log(`[ssdp] answered M-SEARCH from ${remote.address}:${remote.port} (${st})`);
+  });
+
+  socket.on('error', (error) => {
+    console.warn(`[ssdp] discovery disabled: ${error.message}`);
+    socket.close();
+  });
+
+  socket.bind(SSDP_PORT, () => {
+    try {
+      socket.addMembership(SSDP_ADDRESS);
+    } catch (error) {
+      console.warn(`[ssdp] cannot join ${SSDP_ADDRESS}: ${error.message}`);
+    }
+  });
+}
+
+server.listen(options.port, () => {
+  console.log(`[renderer] ${options.name} (${udn})`);
+  console.log(`[renderer] description: http://127.0.0.1:${options.port}/description.xml`);
+  startSsdpResponder();
+});
@@ -0,0 +1,2211 @@
+/**
+ * CastToTV 媒体控制中心（popup、侧边栏与迷你播放器共用）
+ *
+ * 该模块负责管理媒体控制界面的所有功能，包括：
+ * - 生成界面结构并与后台服务建立持久连接
+ * - 渲染媒体会话卡片列表
+ * - 处理用户交互（播放/暂停、进度跳转等）
+ * - 发送媒体控制命令到后台服务
+ * - 管理投屏设备并发起投屏
+ * - 展示与编辑跨标签页播放队列
+ * - 设置睡眠定时器并显示倒计时
+ *
+ * 页面只需提供 `<main class="app" data-surface="...">` 并加载本脚本，
+ * data-surface 取值见 SURFACES，决定连接使用的端口名称与少量行为差异
+ */
+(() => {
+  'use strict';
+
+  // ========================================
+  // 初始化与依赖检查
+  // ========================================
+
+  // 从全局作用域获取共享常量
+  // MESSAGE_TYPES: 消息类型枚举
+  // MEDIA_COMMANDS: 媒体控制命令枚举
+  // PORT_NAMES: 端口名称枚举
+  // SessionUtils: 会话排序与进度推算工具（与 background 共用）
+  const { MESSAGE_TYPES, MEDIA_COMMANDS, PORT_NAMES, SessionUtils } = self;
+
+  // 检查必要的依赖是否存在
+  // 如果 Chrome 运行时 API 或常量缺失，则无法正常工作
+  if (!chrome?.runtime || !MESSAGE_TYPES || !PORT_NAMES || !SessionUtils) {
+    console.error('[CastToTV] Media hub failed to initialize (missing runtime or constants)');
+    return;
+  }
+
+  // ========================================
+  // 界面类型与页面结构
+  // ========================================
+
+  /**
+   * 各界面的差异
+   * - portName: 连接后台使用的端口名称
+   * - closeAfterSwitch: 切换到来源标签页后是否关闭自身（popup 失去焦点本来就会关闭）
+   * - canOpenSidePanel / canOpenMiniPlayer: 是否显示打开侧边栏 / 迷你播放器的按钮
+   */
+  const SURFACES = {
+    popup: { portName: PORT_NAMES.POPUP, closeAfterSwitch: true, canOpenSidePanel: true, canOpenMiniPlayer: true },
+    'side-panel': { portName: PORT_NAMES.SIDE_PANEL, closeAfterSwitch: false, canOpenSidePanel: false, canOpenMiniPlayer: true },
+    'mini-player': { portName: PORT_NAMES.MINI_PLAYER, closeAfterSwitch: false, canOpenSidePanel: false, canOpenMiniPlayer: false }
+  };
+
+  // 界面结构：头部、投屏设备、媒体 / 队列两个面板以及卡片模板
+  const HUB_MARKUP = `
+  <header class="app__header">
+    <div>
+      <h1>媒体控制中心</h1>
+      <p>最近播放的音频与视频</p>
+    </div>
+    <div class="app__header-actions">
+      <button id="sleep-toggle" class="app__pause-all" type="button" title="睡眠定时：到时暂停所有媒体" aria-expanded="false">
+        ⏾ <span id="sleep-badge" class="sleep-badge">定时</span>
+      </button>
+      <button id="pause-all" class="app__pause-all" type="button" title="暂停所有正在播放的媒体">全部暂停</button>
+      <button id="open-side-panel" class="app__pause-all" type="button" title="在侧边栏中打开，切换标签页时保持显示" hidden>◧</button>
+      <button id="open-mini-player" class="app__pause-all" type="button" title="打开独立的迷你播放器窗口" hidden>⧉</button>
+    </div>
+  </header>
+  <div id="sleep-menu" class="sleep-menu" hidden>
+    <div class="sleep-menu__options">
+      <button type="button" data-sleep-minutes="15">15 分钟</button>
+      <button type="button" data-sleep-minutes="30">30 分钟</button>
+      <button type="button" data-sleep-minutes="60">60 分钟</button>
+      <button type="button" data-sleep-end-of-item="true">本集结束</button>
+    </div>
+    <div class="sleep-menu__footer">
+      <label><input id="sleep-fade" type="checkbox" /> 最后 30 秒渐弱</label>
+      <button id="sleep-cancel" type="button" hidden>取消定时</button>
+    </div>
+  </div>
+  <details class="cast-devices">
+    <summary>投屏设备</summary>
+    <div class="cast-devices__body">
+      <form id="renderer-form" class="cast-devices__form">
+        <input id="renderer-input" type="url" placeholder="设备描述地址，如 http://192.168.1.20:49152/description.xml" required />
+        <button type="submit">添加</button>
+      </form>
+      <div class="cast-devices__footer">
+        <span id="renderer-status" class="cast-devices__status"></span>
+        <button id="renderer-discover" type="button">搜索设备</button>
+      </div>
+    </div>
+  </details>
+  <nav class="app__tabs" role="tablist">
+    <button id="tab-sessions" class="app__tab is-active" type="button" role="tab" data-panel="sessions-panel" aria-selected="true">媒体</button>
+    <button id="tab-queue" class="app__tab" type="button" role="tab" data-panel="queue-panel" aria-selected="false">
+      队列 <span id="queue-count" class="app__tab-count"></span>
+    </button>
+  </nav>
+  <div id="sessions-panel" role="tabpanel" aria-labelledby="tab-sessions">
+    <section id="empty-state" class="empty-state" hidden>
+      <p>没有检测到正在播放的媒体。</p>
+      <p class="empty-state__hint">在打开的视频或音频页面点击播放后再尝试。</p>
+    </section>
+    <section id="media-list" class="media-list" aria-live="polite"></section>
+    <section id="recent" class="recent" hidden>
+      <h2 class="recent__heading">最近播放</h2>
+      <ul id="recent-list" class="recent__list"></ul>
+    </section>
+  </div>
+  <div id="queue-panel" class="queue" role="tabpanel" aria-labelledby="tab-queue" hidden>
+    <div class="queue__toolbar">
+      <button id="queue-repeat" type="button" title="循环模式">🔁 不循环</button>
+      <button id="queue-shuffle" type="button" title="随机播放">🔀 随机</button>
+      <button id="queue-add-tab" type="button" title="把当前标签页加入队列">＋ 当前页</button>
+      <button id="queue-clear" type="button" title="清空队列">清空</button>
+    </div>
+    <p id="queue-empty" class="empty-state">队列为空。点击媒体卡片上的「＋」把页面加入队列，当前项播放完毕后会自动切换到下一项。</p>
+    <ol id="queue-list" class="queue__list"></ol>
+  </div>
+  <div id="toast" class="toast" role="status" hidden></div>
+<template id="media-card-template">
+  <article class="media-card">
+    <div class="media-card__artwork">
+      <img class="media-card__artwork-img" alt="媒体封面" />
+    </div>
+    <div class="media-card__body">
+      <div class="media-card__meta">
+        <div class="media-card__origin" title="来源站点">
+          <img class="media-card__favicon" alt="站点图标" />
+          <span class="media-card__origin-text"></span>
+        </div>
+        <div class="media-card__actions">
+          <button class="media-card__open media-card__pin" data-action="pin" title="固定为快捷键目标">📌</button>
+          <button class="media-card__open media-card__queue" data-action="queue-add" title="加入播放队列">＋</button>
+          <button class="media-card__open" data-action="cast" title="投屏到…">📺</button>
+          <button class="media-card__open" data-action="open-tab" title="切换到来源标签页">↗</button>
+        </div>
+      </div>
+      <div class="media-card__cast-menu" hidden></div>
+      <div class="media-card__title" title="标题"></div>
+      <div class="media-card__artist" title="作者"></div>
+      <div class="media-card__status"></div>
+      <div class="media-card__error" role="alert" hidden></div>
+      <div class="media-card__cast-status" hidden>
+        <span class="media-card__cast-text"></span>
+        <button class="media-card__cast-stop" data-action="cast-stop" type="button">停止投屏</button>
+      </div>
+      <div class="media-card__controls" role="group" aria-label="播放控制">
+        <button class="media-card__icon-button media-card__session-action" data-command="media-session-action" data-session-action="previoustrack" title="上一首" hidden>⏮</button>
+        <button class="media-card__icon-button media-card__chapter-nav" data-command="previous-chapter" title="上一章" hidden>⇤</button>
+        <button class="media-card__icon-button" data-command="seek-relative" data-delta="-10" title="后退 10 秒">⏪ 10s</button>
+        <button class="media-card__play" data-command="play" title="播放 / 暂停">
+          <span class="media-card__play-icon" aria-hidden="true">▶</span>
+        </button>
+        <button class="media-card__icon-button" data-command="seek-relative" data-delta="10" title="快进 10 秒">10s ⏩</button>
+        <button class="media-card__icon-button media-card__chapter-nav" data-command="next-chapter" title="下一章" hidden>⇥</button>
+        <button class="media-card__icon-button media-card__session-action" data-command="media-session-action" data-session-action="nexttrack" title="下一首" hidden>⏭</button>
+        <button class="media-card__icon-button media-card__session-action" data-command="media-session-action" data-session-action="skipad" title="跳过广告" hidden>跳过广告</button>
+      </div>
+      <div class="media-card__progress">
+        <span class="media-card__time media-card__time--elapsed">0:00</span>
+        <div class="media-card__track">
+          <input class="media-card__slider" type="range" min="0" max="0" value="0" step="0.1" aria-label="播放进度" />
+          <div class="media-card__chapter-ticks" aria-hidden="true"></div>
+        </div>
+        <span class="media-card__time media-card__time--total">0:00</span>
+      </div>
+      <div class="media-card__chapter" hidden></div>
+      <div class="media-card__cue" aria-live="off" hidden></div>
+      <div class="media-card__extras" role="group" aria-label="更多控制">
+        <button class="media-card__icon-button media-card__mute" data-command="toggle-mute" title="静音 / 取消静音">🔊</button>
+        <input class="media-card__volume" type="range" min="0" max="1" step="0.05" value="1" aria-label="音量" />
+        <select class="media-card__rate" aria-label="播放速度" title="播放速度">
+          <option value="0.5">0.5×</option>
+          <option value="0.75">0.75×</option>
+          <option value="1">1×</option>
+          <option value="1.25">1.25×</option>
+          <option value="1.5">1.5×</option>
+          <option value="2">2×</option>
+        </select>
+        <button class="media-card__icon-button media-card__loop" data-command="toggle-loop" title="循环播放">🔁</button>
+        <button class="media-card__icon-button media-card__pip" data-command="toggle-pip" title="画中画">⧉</button>
+      </div>
+      <div class="media-card__tracks" role="group" aria-label="字幕、音轨与画质" hidden>
+        <select class="media-card__text-track" aria-label="字幕" title="字幕" hidden></select>
+        <select class="media-card__audio-track" aria-label="音轨" title="音轨" hidden></select>
+        <select class="media-card__video-track" aria-label="视频轨道" title="视频轨道" hidden></select>
+        <select class="media-card__quality" aria-label="画质" title="画质" hidden></select>
+      </div>
+    </div>
+  </article>
+</template>
+`;
+
+  // 挂载点与当前界面类型（未知的 data-surface 按 popup 处理）
+  const root = document.querySelector('.app[data-surface]');
+  if (!root) {
+    console.error('[CastToTV] Media hub failed to initialize (missing .app[data-surface])');
+    return;
+  }
+  const surface = SURFACES[root.dataset.surface] || SURFACES.popup;
+  root.innerHTML = HUB_MARKUP;
+
+  // ========================================
+  // DOM 元素引用缓存
+  // ========================================
+
+  // 缓存常用 DOM 元素的引用，避免重复查询
+  const refs = {
+    list: document.getElementById('media-list'),           // 媒体列表容器
+    empty: document.getElementById('empty-state'),         // 空状态提示元素
+    template: document.getElementById('media-card-template'), // 媒体卡片模板
+    rendererForm: document.getElementById('renderer-form'),       // 手动添加设备表单
+    rendererInput: document.getElementById('renderer-input'),     // 设备描述地址输入框
+    rendererStatus: document.getElementById('renderer-status'),   // 设备发现状态
+    rendererDiscover: document.getElementById('renderer-discover'), // 搜索设备按钮
+    pauseAll: document.getElementById('pause-all'),               // 全部暂停按钮
+    sleepToggle: document.getElementById('sleep-toggle'),         // 睡眠定时按钮
+    sleepBadge: document.getElementById('sleep-badge'),           // 睡眠定时倒计时
+    sleepMenu: document.getElementById('sleep-menu'),             // 睡眠定时选项
+    sleepFade: document.getElementById('sleep-fade'),             // 渐弱选项
+    sleepCancel: document.getElementById('sleep-cancel'),         // 取消定时按钮
+    toast: document.getElementById('toast'),                      // 操作失败提示
+    recent: document.getElementById('recent'),                    // 最近播放区域
+    recentList: document.getElementById('recent-list'),           // 最近播放列表
+    tabs: document.querySelectorAll('.app__tab'),                 // 媒体 / 队列 标签
+    queueCount: document.getElementById('queue-count'),           // 队列标签上的条目数
+    queueList: document.getElementById('queue-list'),             // 播放队列列表
+    queueEmpty: document.getElementById('queue-empty'),           // 队列为空的提示
+    queueRepeat: document.getElementById('queue-repeat'),         // 循环模式按钮
+    queueShuffle: document.getElementById('queue-shuffle'),       // 随机播放按钮
+    queueAddTab: document.getElementById('queue-add-tab'),        // 加入当前标签页按钮
+    queueClear: document.getElementById('queue-clear'),           // 清空队列按钮
+    openSidePanel: document.getElementById('open-side-panel'),    // 在侧边栏中打开
+    openMiniPlayer: document.getElementById('open-mini-player')   // 打开迷你播放器窗口
+  };
+
+  // ========================================
+  // 状态管理
+  // ========================================
+
+  // 存储当前所有媒体会话的 Map
+  // 键: sessionId (格式: "tabId:frameId:elementId")
+  // 值: 会话数据对象
+  const sessionMap = new Map();
+
+  // 与后台服务的持久连接端口
+  let port = null;
+
+  // 已应用的最后一条会话消息的序号；null 表示尚未收到快照（或正在等待重新同步）
+  let sessionsSeq = null;
+
+  // 合并同一帧内多条增量消息的渲染请求
+  let renderFrame = null;
+
+  // 可用的投屏渲染器列表及发现状态（来自 RENDERERS_UPDATED）
+  const rendererState = { renderers: [], discovering: false, error: null };
+
+  // 当前展开"投屏到…"菜单的会话 ID（列表重绘后需要保持展开）
+  let castMenuSessionId = null;
+
+  // 已发出、尚未收到 COMMAND_RESULT 的命令
+  // 键: requestId，值: { sessionId, timer }
+  const pendingCommands = new Map();
+
+  // 每张卡片最近一条命令的反馈状态
+  // 键: sessionId，值: { requestId, command, status: 'pending'|'success'|'error', message }
+  const commandStates = new Map();
+
+  // 生成 requestId 的自增计数
+  let requestCounter = 0;
+
+  // 后台在 5 秒后报告超时；popup 多等一会儿，兜底处理后台重启导致回执丢失的情况
+  const COMMAND_RESULT_GRACE_MS = 6000;
+
+  // 成功高亮与错误提示的显示时长（毫秒）
+  const COMMAND_SUCCESS_MS = 800;
+  const COMMAND_ERROR_MS = 6000;
+  const TOAST_DURATION_MS = 3000;
+
+  // toast 自动隐藏定时器
+  let toastTimer = null;
+
+  // 已渲染的卡片节点，按 sessionId 复用
+  const cardNodes = new Map();
+
+  // 乐观更新：命令发出后立即在卡片上体现预期结果，等真实状态到达后撤下
+  // 键: sessionId，值: { requestId, fields, at, settled }
+  // fields 覆盖会话中的 isPlaying / currentTime，at 为 fields.currentTime 对应的时刻
+  const optimisticUpdates = new Map();
+
+  // 音量拖动的节流：每张卡片最多一条 set-volume 在途，期间的新值只保留最后一个
+  // 键: sessionId，值: { requestId, volume, queued }（queued 为等待发送的音量，没有时为 null）
+  const volumeRequests = new Map();
+
+  // 界面所在窗口的 ID，初始化时读取一次；点击「在侧边栏中打开」时必须同步调用 sidePanel.open
+  let currentWindowId = null;
+
+  // 用户正在操作的控件，推送更新不覆盖它的值
+  // { sessionId, control: 'progress' | 'volume' }，未操作时为 null
+  let interaction = null;
+
+  // 进度插值的刷新间隔（毫秒）
+  const PROGRESS_TICK_MS = 250;
+
+  // 播放历史条目（来自 HISTORY_UPDATED，按最近播放排序）
+  let historyEntries = [];
+
+  // "最近播放"区域最多显示的条目数
+  const RECENT_LIMIT = 10;
+
+  // 上次渲染的"最近播放"内容签名：内容不变时不重建列表，避免打断正在进行的点击
+  let recentSignature = '';
+
+  // 播放队列（来自 QUEUE_UPDATED）
+  let queueState = { items: [], currentId: null, repeat: 'off', shuffle: false };
+
+  // 循环模式按钮依次切换的模式与文字
+  const QUEUE_REPEAT_LABELS = {
+    off: '🔁 不循环',
+    all: '🔁 全部循环',
+    one: '🔂 单项循环'
+  };
+
+  // 正在拖动的队列条目 ID；拖动期间不重建队列列表，否则拖动会被中断
+  let draggingQueueId = null;
+
+  // 睡眠定时器（来自 SLEEP_TIMER_UPDATED），未设置时为 null
+  let sleepTimer = null;
+
+  // 倒计时的刷新间隔（毫秒）
+  const SLEEP_TICK_MS = 1000;
+
+  // ========================================
+  // 应用入口
+  // ========================================
+
+  // 初始化应用
+  init();
+
+  /**
+   * 初始化函数
+   * 建立与后台的连接并设置事件监听器
+   */
+  function init() {
+    // 建立与后台服务的持久连接
+    connectPort();
+
+    // 使用事件委托处理列表内的所有点击事件
+    refs.list.addEventListener('click', onListClick);
+
+    // 监听进度条滑动输入（实时更新时间显示）
+    refs.list.addEventListener('input', onSliderInput);
+
+    // 监听进度条值改变完成（触发跳转命令）
+    refs.list.addEventListener('change', onSliderCommit);
+
+    // 监听音量拖动与速度选择
+    refs.list.addEventListener('input', onVolumeInput);
+    refs.list.addEventListener('change', onVolumeCommit);
+    refs.list.addEventListener('change', onRateChange);
+    refs.list.addEventListener('change', onTrackMenuChange);
+
+    // 记录正在拖动的进度条 / 音量条，松开（或键盘操作提交）后恢复跟随推送
+    refs.list.addEventListener('pointerdown', onControlPointerDown);
+    document.addEventListener('pointerup', onControlPointerUp);
+    document.addEventListener('pointercancel', onControlPointerUp);
+    refs.list.addEventListener('change', onControlPointerUp);
+
+    // 两次推送之间按播放速度推进进度条
+    setInterval(tickProgress, PROGRESS_TICK_MS);
+
+    // 投屏设备管理：手动添加与 SSDP 搜索
+    refs.rendererForm.addEventListener('submit', onRendererSubmit);
+    refs.rendererDiscover.addEventListener('click', () => postToBackground({ type: MESSAGE_TYPES.CAST_DISCOVER }));
+
+    // 一键暂停所有会话（包括投屏中的会话）
+    refs.pauseAll.addEventListener('click', () => postToBackground({ type: MESSAGE_TYPES.PAUSE_ALL }));
+
+    // 打开其他界面：侧边栏与迷你播放器在失去焦点后仍保持显示
+    // 侧边栏按钮在拿到窗口 ID 后才显示
+    refs.openSidePanel.hidden = true;
+    if (surface.canOpenSidePanel && chrome.sidePanel) {
+      chrome.windows.getCurrent().then((currentWindow) => {
+        currentWindowId = currentWindow.id;
+        refs.openSidePanel.hidden = false;
+      });
+    }
+    refs.openSidePanel.addEventListener('click', openSidePanel);
+    refs.openMiniPlayer.hidden = !surface.canOpenMiniPlayer;
+    refs.openMiniPlayer.addEventListener('click', () => {
+      postToBackground({ type: MESSAGE_TYPES.MINI_PLAYER_OPEN });
+      closeIfPopup();
+    });
+
+    // 睡眠定时：展开选项、设置或取消，并每秒刷新倒计时
+    refs.sleepToggle.addEventListener('click', () => toggleSleepMenu(refs.sleepMenu.hidden));
+    refs.sleepMenu.addEventListener('click', onSleepMenuClick);
+    setInterval(renderSleepTimer, SLEEP_TICK_MS);
+
+    // 最近播放：重新打开或删除
+    refs.recentList.addEventListener('click', onRecentClick);
+
+    // 媒体 / 队列 标签切换
+    refs.tabs.forEach((tab) => tab.addEventListener('click', () => selectTab(tab)));
+
+    // 播放队列：播放、删除、拖动排序与模式切换
+    refs.queueList.addEventListener('click', onQueueClick);
+    refs.queueList.addEventListener('dragstart', onQueueDragStart);
+    refs.queueList.addEventListener('dragover', onQueueDragOver);
+    refs.queueList.addEventListener('drop', onQueueDrop);
+    refs.queueList.addEventListener('dragend', onQueueDragEnd);
+    refs.queueRepeat.addEventListener('click', onQueueRepeatClick);
+    refs.queueShuffle.addEventListener('click', () =>
+      postToBackground({ type: MESSAGE_TYPES.QUEUE_SET_MODE, shuffle: !queueState.shuffle })
+    );
+    refs.queueAddTab.addEventListener('click', addActiveTabToQueue);
+    refs.queueClear.addEventListener('click', () => postToBackground({ type: MESSAGE_TYPES.QUEUE_CLEAR }));
+  }
+
+  // ========================================
+  // 通信层：与后台服务的消息传递
+  // ========================================
+
+  /**
+   * 建立与后台服务的持久端口连接
+   *
+   * 使用持久连接（而非一次性消息）的优势：
+   * - 后台可以主动推送会话更新
+   * - 减少消息开销
+   * - 连接断开时自动重连
+   */
+  function connectPort() {
+    try {
+      // 使用指定的端口名称建立连接
+      port = chrome.runtime.connect({ name: surface.portName });
+    } catch (error) {
+      console.error('[CastToTV] Unable to open runtime port', error);
+      return;
+    }
+
+    // 监听来自后台的消息
+    port.onMessage.addListener(handlePortMessage);
+
+    // 监听连接断开事件
+    // 当 Service Worker 休眠或重启时会触发；重连后后台会在恢复注册表之后
+    // 重新推送 SESSIONS_SNAPSHOT，列表随之与后台保持一致
+    port.onDisconnect.addListener(() => {
+      port = null;
+      sessionsSeq = null;
+      // 600ms 后尝试重新连接
+      setTimeout(connectPort, 600);
+    });
+  }
+
+  /**
+   * 处理从后台服务接收的消息
+   * @param {Object} message - 消息对象
+   */
+  function handlePortMessage(message) {
+    switch (message?.type) {
+      case MESSAGE_TYPES.SESSIONS_SNAPSHOT:
+        applySnapshot(message);
+        break;
+      case MESSAGE_TYPES.SESSION_ADDED:
+      case MESSAGE_TYPES.SESSION_PATCHED:
+      case MESSAGE_TYPES.SESSION_REMOVED:
+        applySessionDelta(message);
+        break;
+      case MESSAGE_TYPES.RENDERERS_UPDATED:
+        updateRenderers(message);
+        break;
+      case MESSAGE_TYPES.COMMAND_RESULT:
+        handleCommandResult(message);
+        break;
+      case MESSAGE_TYPES.HISTORY_UPDATED:
+        historyEntries = message.entries || [];
+        renderRecent();
+        break;
+      case MESSAGE_TYPES.QUEUE_UPDATED:
+        queueState = {
+          items: message.items || [],
+          currentId: message.currentId || null,
+          repeat: message.repeat || 'off',
+          shuffle: Boolean(message.shuffle)
+        };
+        renderQueue();
+        // 卡片上的"加入队列"按钮反映页面是否已在队列中
+        renderAll();
+        break;
+      case MESSAGE_TYPES.SLEEP_TIMER_UPDATED:
+        sleepTimer = message.timer || null;
+        if (message.error === 'no-playing-media') {
+          showToast('没有正在播放的媒体，无法设置"本集结束"');
+        }
+        renderSleepTimer();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 通过端口向后台发送消息（端口断开时静默丢弃）
+   * @param {Object} message - 消息对象
+   */
+  function postToBackground(message) {
+    if (!port) return;
+    port.postMessage(message);
+  }
+
+  // ========================================
+  // 会话数据管理
+  // ========================================
+
+  /**
+   * 用完整快照替换本地会话数据
+   * @param {Object} message - SESSIONS_SNAPSHOT 消息 { seq, sessions }
+   */
+  function applySnapshot({ seq, sessions = [] }) {
+    // 清空旧数据
+    sessionMap.clear();
+
+    // 将新数据存入 Map，便于快速查找
+    sessions.forEach((session) => sessionMap.set(session.sessionId, session));
+
+    sessionsSeq = seq;
+    onSessionsChanged();
+  }
+
+  /**
+   * 应用一条增量消息（SESSION_ADDED / SESSION_PATCHED / SESSION_REMOVED）
+   *
+   * 序号必须紧接上一条；出现缺口（或尚未收到快照）时丢弃后续增量，
+   * 请求后台重新发送快照
+   *
+   * @param {Object} message - 增量消息
+   */
+  function applySessionDelta(message) {
+    if (sessionsSeq === null) return;
+
+    if (message.seq !== sessionsSeq + 1) {
+      sessionsSeq = null;
+      postToBackground({ type: MESSAGE_TYPES.SESSIONS_RESYNC });
+      return;
+    }
+    sessionsSeq = message.seq;
+
+    switch (message.type) {
+      case MESSAGE_TYPES.SESSION_ADDED:
+        sessionMap.set(message.session.sessionId, message.session);
+        break;
+      case MESSAGE_TYPES.SESSION_PATCHED: {
+        const current = sessionMap.get(message.sessionId);
+        if (!current) break;
+        const next = { ...current };
+        // 值为 null 的字段表示已从会话中删除
+        Object.entries(message.changes || {}).forEach(([key, value]) => {
+          if (value === null) {
+            delete next[key];
+          } else {
+            next[key] = value;
+          }
+        });
+        sessionMap.set(message.sessionId, next);
+        break;
+      }
+      case MESSAGE_TYPES.SESSION_REMOVED:
+        sessionMap.delete(message.sessionId);
+        break;
+      default:
+        break;
+    }
+
+    onSessionsChanged();
+  }
+
+  /**
+   * 会话数据变化后的共同处理：对齐乐观更新与菜单状态，并安排重绘
+   */
+  function onSessionsChanged() {
+    // 撤下已被真实状态取代的乐观更新
+    reconcileOptimisticUpdates();
+
+    // 展开菜单的会话已消失时收起菜单
+    if (castMenuSessionId && !sessionMap.has(castMenuSessionId)) {
+      castMenuSessionId = null;
+    }
+
+    // 一次广播可能包含多条增量，合并到下一帧统一渲染
+    if (renderFrame === null) {
+      renderFrame = requestAnimationFrame(() => {
+        renderFrame = null;
+        renderAll();
+      });
+    }
+  }
+
+  /**
+   * 更新渲染器列表与发现状态
+   * @param {Object} message - RENDERERS_UPDATED 消息
+   */
+  function updateRenderers({ renderers = [], discovering = false, error = null }) {
+    rendererState.renderers = renderers;
+    rendererState.discovering = discovering;
+    rendererState.error = error;
+
+    refs.rendererDiscover.disabled = discovering;
+    if (discovering) {
+      refs.rendererStatus.textContent = '正在搜索…';
+    } else if (error) {
+      refs.rendererStatus.textContent = `出错：${error}`;
+    } else {
+      refs.rendererStatus.textContent = `已知设备 ${renderers.length} 台`;
+    }
+
+    // 投屏菜单的内容依赖渲染器列表，需要重绘
+    renderAll();
+  }
+
+  // ========================================
+  // UI 渲染层
+  // ========================================
+
+  /**
+   * 按统一的排序规则渲染当前所有会话
+   */
+  function renderAll() {
+    renderSessions(SessionUtils.sortSessions(sessionMap.values()));
+    renderRecent();
+  }
+
+  /**
+   * 渲染"最近播放"列表
+   *
+   * 已经在会话列表中的媒体不重复显示
+   */
+  function renderRecent() {
+    const liveKeys = new Set(Array.from(sessionMap.values(), SessionUtils.historyKey));
+    const entries = historyEntries.filter((entry) => !liveKeys.has(entry.key)).slice(0, RECENT_LIMIT);
+
+    const signature = entries.map((entry) => `${entry.key}@${entry.updatedAt}`).join('|');
+    if (signature === recentSignature) return;
+    recentSignature = signature;
+
+    refs.recent.hidden = !entries.length;
+
+    const fragment = document.createDocumentFragment();
+    entries.forEach((entry) => fragment.appendChild(buildRecentItem(entry)));
+    refs.recentList.replaceChildren(fragment);
+  }
+
+  /**
+   * 构建一条最近播放条目
+   * @param {Object} entry - 历史条目
+   * @returns {HTMLElement}
+   */
+  function buildRecentItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'recent__item';
+    item.dataset.key = entry.key;
+
+    const hasDuration = Number.isFinite(entry.duration) && entry.duration > 0;
+    const position = hasDuration
+      ? `${formatTime(entry.currentTime)} / ${formatTime(entry.duration)}`
+      : formatTime(entry.currentTime);
+
+    const open = document.createElement('button');
+    open.type = 'button';
+    open.className = 'recent__open';
+    open.dataset.action = 'history-resume';
+    open.title = hasDuration ? `重新打开并从 ${formatTime(entry.currentTime)} 继续` : '重新打开页面';
+
+    const artwork = document.createElement('img');
+    artwork.className = 'recent__artwork';
+    artwork.alt = '';
+    artwork.src = entry.artwork || chrome.runtime.getURL('assets/artwork-placeholder.svg');
+
+    const text = document.createElement('span');
+    text.className = 'recent__text';
+
+    const title = document.createElement('span');
+    title.className = 'recent__title';
+    title.textContent = entry.title || '未命名媒体';
+
+    const meta = document.createElement('span');
+    meta.className = 'recent__meta';
+    meta.textContent = [entry.artist || entry.origin, position].filter(Boolean).join(' · ');
+
+    text.append(title, meta);
+    open.append(artwork, text);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'recent__remove';
+    remove.dataset.action = 'history-remove';
+    remove.title = '从最近播放中删除';
+    remove.textContent = '×';
+
+    item.append(open, remove);
+    return item;
+  }
+
+  /**
+   * 渲染播放队列：条目列表、当前项、循环 / 随机按钮与标签上的计数
+   *
+   * 拖动排序期间跳过，拖动结束后再按最新状态重建
+   */
+  function renderQueue() {
+    const { items, currentId, repeat, shuffle } = queueState;
+
+    refs.queueCount.textContent = items.length ? `(${items.length})` : '';
+    refs.queueRepeat.textContent = QUEUE_REPEAT_LABELS[repeat] || QUEUE_REPEAT_LABELS.off;
+    refs.queueRepeat.classList.toggle('is-active', repeat !== 'off');
+    refs.queueShuffle.classList.toggle('is-active', shuffle);
+    refs.queueClear.disabled = !items.length;
+    refs.queueEmpty.hidden = items.length > 0;
+
+    if (draggingQueueId) return;
+
+    const fragment = document.createDocumentFragment();
+    items.forEach((item) => fragment.appendChild(buildQueueItem(item, item.id === currentId)));
+    refs.queueList.replaceChildren(fragment);
+  }
+
+  /**
+   * 构建一条队列条目（外观与"最近播放"一致，另有拖动手柄）
+   * @param {Object} item - 队列条目
+   * @param {boolean} isCurrent - 是否为正在播放的条目
+   * @returns {HTMLElement}
+   */
+  function buildQueueItem(item, isCurrent) {
+    const row = document.createElement('li');
+    row.className = 'queue__item';
+    row.classList.toggle('is-current', isCurrent);
+    row.dataset.itemId = item.id;
+    row.draggable = true;
+
+    const handle = document.createElement('span');
+    handle.className = 'queue__handle';
+    handle.title = '拖动调整顺序';
+    handle.textContent = '⋮⋮';
+
+    const open = document.createElement('button');
+    open.type = 'button';
+    open.className = 'recent__open';
+    open.dataset.action = 'queue-play';
+    open.title = item.tabId === null ? '在新标签页中打开并播放' : '切换到该标签页并播放';
+
+    const artwork = document.createElement('img');
+    artwork.className = 'recent__artwork';
+    artwork.alt = '';
+    artwork.src = item.artwork || chrome.runtime.getURL('assets/artwork-placeholder.svg');
+
+    const text = document.createElement('span');
+    text.className = 'recent__text';
+
+    const title = document.createElement('span');
+    title.className = 'recent__title';
+    title.textContent = `${isCurrent ? '▶ ' : ''}${item.title || '未命名页面'}`;
+
+    const meta = document.createElement('span');
+    meta.className = 'recent__meta';
+    meta.textContent = [
+      item.artist || item.origin,
+      Number.isFinite(item.duration) && item.duration > 0 ? formatTime(item.duration) : '',
+      item.tabId === null ? '标签页已关闭' : ''
+    ]
+      .filter(Boolean)
+      .join(' · ');
+
+    text.append(title, meta);
+    open.append(artwork, text);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'recent__remove';
+    remove.dataset.action = 'queue-remove';
+    remove.title = '从队列中删除';
+    remove.textContent = '×';
+
+    row.append(handle, open, remove);
+    return row;
+  }
+
+  /**
+   * 渲染睡眠定时按钮上的倒计时与选项状态
+   *
+   * "本集结束"模式优先用本地会话推算剩余时间，与卡片上的进度一致
+   */
+  function renderSleepTimer() {
+    refs.sleepToggle.classList.toggle('is-active', Boolean(sleepTimer));
+    refs.sleepCancel.hidden = !sleepTimer;
+    if (sleepTimer) {
+      refs.sleepFade.checked = sleepTimer.fade;
+    }
+
+    refs.sleepMenu.querySelectorAll('[data-sleep-end-of-item]').forEach((button) => {
+      button.classList.toggle('is-active', sleepTimer?.mode === 'end-of-item');
+    });
+
+    if (!sleepTimer) {
+      refs.sleepBadge.textContent = '定时';
+      refs.sleepToggle.title = '睡眠定时：到时暂停所有媒体';
+      return;
+    }
+
+    const remaining = sleepTimerRemaining(Date.now());
+    const countdown = remaining === null ? '' : formatTime(remaining);
+    if (sleepTimer.mode === 'end-of-item') {
+      refs.sleepBadge.textContent = countdown ? `本集 ${countdown}` : '本集结束';
+    } else {
+      refs.sleepBadge.textContent = countdown;
+    }
+    refs.sleepToggle.title = sleepTimer.fading ? '音量渐弱中，即将暂停所有媒体' : '睡眠定时进行中，点击修改或取消';
+  }
+
+  /**
+   * 计算睡眠定时器的剩余秒数
+   * @param {number} now - 时间戳（毫秒）
+   * @returns {number|null} 无法推算（"本集结束"且媒体暂停或为直播）时返回 null
+   */
+  function sleepTimerRemaining(now) {
+    if (sleepTimer.mode === 'end-of-item') {
+      const session = sessionMap.get(sleepTimer.sessionId);
+      if (session) {
+        const view = viewSession(session);
+        const hasDuration = Number.isFinite(view.duration) && view.duration > 0;
+        if (!view.isPlaying || !hasDuration) return null;
+        return Math.max(0, (view.duration - projectTime(view, now)) / (Number(view.playbackRate) || 1));
+      }
+    }
+    return Number.isFinite(sleepTimer.endsAt) ? Math.max(0, (sleepTimer.endsAt - now) / 1000) : null;
+  }
+
+  /**
+   * 渲染所有媒体会话卡片
+   *
+   * 按 sessionId 复用已有卡片节点，只修补变化的部分并调整顺序：
+   * 正在拖动的进度条、音量条和展开的菜单不会因为推送更新而被重建
+   *
+   * @param {Array} sessions - 会话数据数组
+   */
+  function renderSessions(sessions) {
+    // 根据会话数量控制空状态提示的显示
+    refs.empty.hidden = sessions.length > 0;
+
+    // 移除已消失会话的卡片
+    const liveIds = new Set(sessions.map((session) => session.sessionId));
+    cardNodes.forEach((node, sessionId) => {
+      if (!liveIds.has(sessionId)) {
+        node.remove();
+        cardNodes.delete(sessionId);
+      }
+    });
+
+    // 按会话顺序修补或创建卡片；只有位置不对时才移动节点
+    let cursor = refs.list.firstElementChild;
+    sessions.forEach((session) => {
+      let node = cardNodes.get(session.sessionId);
+      if (!node) {
+        node = createCard(session.sessionId);
+        cardNodes.set(session.sessionId, node);
+      }
+
+      patchCard(node, viewSession(session));
+
+      if (node === cursor) {
+        cursor = cursor.nextElementSibling;
+      } else {
+        refs.list.insertBefore(node, cursor);
+      }
+    });
+  }
+
+  /**
+   * 从模板创建一张空卡片
+   * @param {string} sessionId - 会话 ID
+   * @returns {HTMLElement} 卡片元素
+   */
+  function createCard(sessionId) {
+    // 从模板克隆一个新的卡片节点
+    const node = refs.template.content.firstElementChild.cloneNode(true);
+
+    // 设置卡片的会话 ID（用于后续识别）
+    node.dataset.sessionId = sessionId;
+
+    return node;
+  }
+
+  /**
+   * 用会话数据修补卡片
+   *
+   * 可以在同一节点上反复调用；用户正在操作的控件（拖动中的进度条 / 音量条）保持不动
+   *
+   * @param {HTMLElement} node - 卡片元素
+   * @param {Object} session - 会话数据（已叠加乐观更新，见 viewSession）
+   */
+  function patchCard(node, session) {
+    // 根据播放状态切换样式类
+    node.classList.toggle('media-card--inactive', !session.isPlaying);
+
+    // ---- 封面图片 ----
+    const artworkImg = node.querySelector('.media-card__artwork-img');
+    // 优先使用会话提供的封面，否则使用占位图；地址不变时不重新赋值，避免图片闪烁
+    setAttributeIfChanged(artworkImg, 'src', session.artwork || chrome.runtime.getURL('assets/artwork-placeholder.svg'));
+    artworkImg.alt = session.title || '媒体封面';
+
+    // ---- 来源信息 ----
+    const originText = node.querySelector('.media-card__origin-text');
+    // 按优先级获取来源：origin > 从 URL 提取的主机名 > 站点名称 > 默认值
+    const origin = session.origin || extractHost(session.sourceUrl) || session.siteName || '未知来源';
+    originText.textContent = origin;
+
+    // ---- 网站图标 ----
+    const favicon = node.querySelector('.media-card__favicon');
+    setAttributeIfChanged(favicon, 'src', resolveFavicon(session));
+    favicon.alt = origin;
+
+    // ---- 标题 ----
+    const titleEl = node.querySelector('.media-card__title');
+    titleEl.textContent = session.title || '未命名媒体';
+    titleEl.title = session.title || ''; // 鼠标悬停显示完整标题
+
+    // ---- 艺术家/作者（站点适配器提供分集时附在后面）----
+    const artistEl = node.querySelector('.media-card__artist');
+    const artistText = [session.artist, session.episode].filter(Boolean).join(' · ');
+    // 没有艺术家信息时隐藏该元素
+    artistEl.hidden = !artistText;
+    artistEl.textContent = artistText;
+    artistEl.title = artistText;
+
+    // ---- 播放状态 ----
+    const statusEl = node.querySelector('.media-card__status');
+    // 根据是否有时长和播放状态显示不同文本
+    statusEl.textContent = session.duration
+      ? session.isPlaying
+        ? '播放中'
+        : '已暂停'
+      : '直播'; // 无时长表示直播流
+
+    // ---- 最近一次命令的反馈（执行中 / 成功 / 失败） ----
+    renderCommandState(node, commandStates.get(session.sessionId));
+
+    // ---- 是否已在播放队列中 ----
+    const queueButton = node.querySelector('.media-card__queue');
+    const queued = queueState.items.some((item) => item.pageUrl === session.pageUrl);
+    queueButton.classList.toggle('is-active', queued);
+    queueButton.title = queued ? '已在播放队列中' : '加入播放队列';
+
+    // ---- 快捷键固定状态 ----
+    const pinButton = node.querySelector('.media-card__pin');
+    pinButton.classList.toggle('is-active', Boolean(session.shortcutPinned));
+    pinButton.title = session.shortcutPinned ? '取消固定（快捷键恢复控制最近的媒体）' : '固定为快捷键目标';
+
+    // ---- 投屏状态与菜单 ----
+    renderCastStatus(node.querySelector('.media-card__cast-status'), session.castTarget);
+    const castMenu = node.querySelector('.media-card__cast-menu');
+    castMenu.hidden = castMenuSessionId !== session.sessionId;
+    if (!castMenu.hidden) {
+      buildCastMenu(castMenu);
+    }
+
+    // ---- 播放/暂停按钮 ----
+    const playButton = node.querySelector('.media-card__play');
+    const playIcon = node.querySelector('.media-card__play-icon');
+    // 根据播放状态显示不同图标
+    playIcon.textContent = session.isPlaying ? '❚❚' : '▶';
+    playButton.classList.toggle('is-paused', !session.isPlaying);
+    // 按显示的状态发送明确的 play / pause，而不是 toggle：
+    // 列表稍有滞后时也不会把刚开始播放的媒体误暂停
+    playButton.dataset.command = session.isPlaying ? MEDIA_COMMANDS.PAUSE : MEDIA_COMMANDS.PLAY;
+
+    // ---- 进度滑块和时间显示 ----
+    const slider = node.querySelector('.media-card__slider');
+    const totalEl = node.querySelector('.media-card__time--total');
+
+    // 检查是否有有效的时长
+    const hasDuration = Number.isFinite(session.duration) && session.duration > 0;
+
+    // 直播流禁用进度条
+    slider.disabled = !hasDuration;
+    if (hasDuration) {
+      // 设置滑块的最大值（当前值由 renderProgress 按插值结果设置）
+      slider.max = session.duration;
+    }
+
+    // 显示总时长或"直播"标识
+    totalEl.textContent = hasDuration ? formatTime(session.duration) : '直播';
+
+    renderChapterTicks(node, session);
+    renderProgress(node, session);
+
+    // ---- 上一章 / 下一章（投屏时由 background 换算成渲染器跳转，照常显示）----
+    const hasChapters = hasDuration && Boolean(session.chapters?.length);
+    node.querySelectorAll('.media-card__chapter-nav').forEach((button) => {
+      button.hidden = !hasChapters;
+    });
+
+    // ---- 当前字幕（设置页开启「实时字幕」时由页面上报）----
+    const cueEl = node.querySelector('.media-card__cue');
+    cueEl.hidden = !session.activeCue;
+    cueEl.textContent = session.activeCue || '';
+
+    // ---- 页面提供的 Media Session 动作（上一首 / 下一首 / 跳过广告）----
+    // 只显示页面确实注册了回调的动作；投屏时页面回调无法控制电视，一并隐藏
+    const sessionActions = session.mediaSessionActions || [];
+    node.querySelectorAll('.media-card__session-action').forEach((button) => {
+      button.hidden =
+        !sessionActions.includes(button.dataset.sessionAction) || SessionUtils.isRemotePlayback(session);
+    });
+
+    // ---- 音量、速度、循环、画中画 ----
+    renderExtras(node, session);
+  }
+
+  /**
+   * 更新进度条与已播放时间
+   *
+   * 播放中的媒体按 playbackRate 从上次更新时刻推算当前位置，
+   * 两次 MEDIA_UPDATE 之间进度也能平滑前进；用户正在拖动进度条时不覆盖
+   *
+   * @param {HTMLElement} node - 卡片元素
+   * @param {Object} session - 会话数据（viewSession 的结果）
+   */
+  function renderProgress(node, session) {
+    if (isInteracting(session.sessionId, 'progress')) return;
+
+    const slider = node.querySelector('.media-card__slider');
+    const elapsedEl = node.querySelector('.media-card__time--elapsed');
+    const time = projectTime(session, Date.now());
+
+    slider.value = slider.disabled ? 0 : time;
+    // 显示已播放时间
+    elapsedEl.textContent = formatTime(time);
+    renderChapterName(node, session, time);
+  }
+
+  /**
+   * 在进度条上标出章节起点
+   *
+   * 章节与时长都不变时不重建刻度；第一章从 0 开始，不画刻度
+   *
+   * @param {HTMLElement} node - 卡片元素
+   * @param {Object} session - 会话数据
+   */
+  function renderChapterTicks(node, session) {
+    const ticks = node.querySelector('.media-card__chapter-ticks');
+    const hasDuration = Number.isFinite(session.duration) && session.duration > 0;
+    const chapters = hasDuration ? session.chapters || [] : [];
+    const key = chapters.length ? `${session.duration}\n${JSON.stringify(chapters)}` : '';
+    if (ticks.dataset.key === key) return;
+    ticks.dataset.key = key;
+
+    ticks.replaceChildren(
+      ...chapters
+        .filter((chapter) => chapter.startTime > 0 && chapter.startTime < session.duration)
+        .map((chapter) => {
+          const tick = document.createElement('span');
+          tick.className = 'media-card__chapter-tick';
+          tick.style.left = `${(chapter.startTime / session.duration) * 100}%`;
+          return tick;
+        })
+    );
+  }
+
+  /**
+   * 显示某一位置所在的章节名
+   * @param {HTMLElement} node - 卡片元素
+   * @param {Object} session - 会话数据
+   * @param {number} time - 播放位置（拖动进度条时为拖到的位置）
+   */
+  function renderChapterName(node, session, time) {
+    const chapterEl = node.querySelector('.media-card__chapter');
+    const chapters = session.chapters || [];
+    const title = chapters[SessionUtils.chapterIndexAt(chapters, time)]?.title || '';
+
+    chapterEl.hidden = !title;
+    if (chapterEl.textContent !== title) {
+      chapterEl.textContent = title;
+      chapterEl.title = title;
+    }
+  }
+
+  /**
+   * 定时推进所有播放中卡片的进度显示
+   */
+  function tickProgress() {
+    cardNodes.forEach((node, sessionId) => {
+      const session = sessionMap.get(sessionId);
+      if (!session) return;
+
+      const view = viewSession(session);
+      if (view.isPlaying) {
+        renderProgress(node, view);
+      }
+    });
+  }
+
+  /**
+   * 只在属性值变化时赋值（img.src 重复赋值可能触发重新加载）
+   * @param {HTMLElement} el - 目标元素
+   * @param {string} name - 属性名
+   * @param {string} value - 新值
+   */
+  function setAttributeIfChanged(el, name, value) {
+    if (el.getAttribute(name) !== value) {
+      el.setAttribute(name, value);
+    }
+  }
+
+  /**
+   * 渲染音量、速度、循环与画中画控件，全部反映 MEDIA_UPDATE 上报的真实状态
+   * @param {HTMLElement} node - 卡片元素
+   * @param {Object} session - 会话数据
+   */
+  function renderExtras(node, session) {
+    const silent = session.muted || session.volume === 0;
+
+    const muteButton = node.querySelector('.media-card__mute');
+    muteButton.textContent = silent ? '🔇' : '🔊';
+    muteButton.classList.toggle('is-active', Boolean(session.muted));
+
+    const volumeSlider = node.querySelector('.media-card__volume');
+    if (!isInteracting(session.sessionId, 'volume')) {
+      volumeSlider.value = session.muted ? 0 : session.volume ?? 1;
+    }
+
+    // 速度、循环、画中画只能作用于本地元素，投屏时禁用
+    const remote = SessionUtils.isRemotePlayback(session);
+
+    const rateSelect = node.querySelector('.media-card__rate');
+    const rate = Number(session.playbackRate) || 1;
+    // 页面自行设置的速度可能不在预设列表中，临时补充一个选项
+    if (!Array.from(rateSelect.options).some((option) => Number(option.value) === rate)) {
+      rateSelect.add(new Option(`${rate}×`, String(rate)));
+    }
+    rateSelect.value = Array.from(rateSelect.options).find((option) => Number(option.value) === rate).value;
+    rateSelect.disabled = remote;
+
+    const loopButton = node.querySelector('.media-card__loop');
+    loopButton.classList.toggle('is-active', Boolean(session.loop));
+    loopButton.disabled = remote;
+
+    const pipButton = node.querySelector('.media-card__pip');
+    pipButton.hidden = !session.pipSupported || remote;
+    pipButton.classList.toggle('is-active', Boolean(session.pipActive));
+
+    renderTrackMenus(node, session, remote);
+  }
+
+  /**
+   * 渲染字幕、音轨、视频轨道与画质下拉框
+   *
+   * 字幕有一条即可选择（可以关闭），其余只有两个以上选项时才显示；
+   * 投屏时这些都只作用于本地元素，一并隐藏
+   *
+   * @param {HTMLElement} node - 卡片元素
+   * @param {Object} session - 会话数据
+   * @param {boolean} remote - 是否正在投屏
+   */
+  function renderTrackMenus(node, session, remote) {
+    const textTracks = session.textTracks || [];
+    const showing = textTracks.find((track) => track.mode === 'showing');
+    const textSelect = node.querySelector('.media-card__text-track');
+    textSelect.hidden = remote || !textTracks.length;
+    syncSelectOptions(textSelect, [
+      ['字幕关', '-1'],
+      ...textTracks.map((track, i) => [describeTextTrack(track, i), String(track.index)])
+    ]);
+    textSelect.value = String(showing ? showing.index : -1);
+
+    [
+      ['.media-card__audio-track', session.audioTracks, '音轨'],
+      ['.media-card__video-track', session.videoTracks, '视频轨道']
+    ].forEach(([selector, tracks = [], fallbackName]) => {
+      const select = node.querySelector(selector);
+      select.hidden = remote || tracks.length < 2;
+      syncSelectOptions(
+        select,
+        tracks.map((track, i) => [track.label || track.language || `${fallbackName} ${i + 1}`, track.id])
+      );
+      const active = tracks.find((track) => track.active);
+      if (active) select.value = active.id;
+    });
+
+    // 画质按码率从高到低排列；自动模式下在「自动」后面注明当前档位
+    const levels = [...(session.qualityLevels || [])].sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0));
+    const activeLevel = levels.find((level) => level.active);
+    const hasAuto = session.qualityAuto !== null && session.qualityAuto !== undefined;
+    const qualitySelect = node.querySelector('.media-card__quality');
+    qualitySelect.hidden = remote || levels.length < 2;
+    syncSelectOptions(qualitySelect, [
+      ...(hasAuto ? [[activeLevel && session.qualityAuto ? `自动（${describeQualityLevel(activeLevel)}）` : '自动', 'auto']] : []),
+      ...levels.map((level) => [describeQualityLevel(level), level.id])
+    ]);
+    if (session.qualityAuto) {
+      qualitySelect.value = 'auto';
+    } else if (activeLevel) {
+      qualitySelect.value = activeLevel.id;
+    }
+
+    const tracksRow = node.querySelector('.media-card__tracks');
+    tracksRow.hidden = Array.from(tracksRow.querySelectorAll('select')).every((select) => select.hidden);
+  }
+
+  /**
+   * 按需重建下拉框选项：选项不变时不动 DOM，避免展开中的下拉框被推送更新关闭
+   * @param {HTMLSelectElement} select - 下拉框
+   * @param {Array<[string, string]>} options - [显示文字, 值]
+   */
+  function syncSelectOptions(select, options) {
+    const key = JSON.stringify(options);
+    if (select.dataset.key === key) return;
+    select.dataset.key = key;
+    select.replaceChildren(...options.map(([label, value]) => new Option(label, value)));
+  }
+
+  /**
+   * 画质档位的名称：有分辨率时显示 720p，否则显示码率
+   * @param {Object} level - 会话 qualityLevels 中的一项
+   * @returns {string}
+   */
+  function describeQualityLevel(level) {
+    if (level.height) return `${level.height}p`;
+    if (level.bitrate) return `${Math.round(level.bitrate / 1000)} kbps`;
+    return `档位 ${Number(level.id) + 1}`;
+  }
+
+  /**
+   * 字幕轨道在下拉框中的名称：标签 > 语言代码 > 序号，面向听障用户的 captions 标注 CC
+   * @param {Object} track - 会话 textTracks 中的一项
+   * @param {number} position - 在列表中的位置（从 0 开始）
+   * @returns {string}
+   */
+  function describeTextTrack(track, position) {
+    const name = track.label || track.language || `字幕 ${position + 1}`;
+    return track.kind === 'captions' ? `${name} (CC)` : name;
+  }
+
+  /**
+   * 在卡片上呈现最近一条命令的反馈
+   *
+   * 执行中的命令在对应按钮上显示旋转指示，成功时短暂高亮，失败时显示原因
+   *
+   * @param {HTMLElement} node - 卡片元素
+   * @param {Object|undefined} state - commandStates 中的记录
+   */
+  function renderCommandState(node, state) {
+    const errorEl = node.querySelector('.media-card__error');
+    const isError = state?.status === 'error';
+    errorEl.hidden = !isError;
+    errorEl.textContent = isError ? state.message : '';
+    node.classList.toggle('media-card--error', isError);
+
+    // 卡片节点会被复用，先清掉上一条命令留下的按钮状态
+    node.querySelectorAll('button.is-pending, button.is-done').forEach((button) => {
+      button.classList.remove('is-pending', 'is-done');
+    });
+
+    const button = state && findCommandButton(node, state.command);
+    if (!button) return;
+    button.classList.toggle('is-pending', state.status === 'pending');
+    button.classList.toggle('is-done', state.status === 'success');
+  }
+
+  /**
+   * 查找触发某条命令的按钮（进度条、音量等非按钮控件返回 null）
+   * @param {HTMLElement} node - 卡片元素
+   * @param {string} command - 命令类型
+   * @returns {HTMLElement|null}
+   */
+  function findCommandButton(node, command) {
+    // 播放按钮的 data-command 随状态在 play / pause 之间切换
+    if ([MEDIA_COMMANDS.PLAY, MEDIA_COMMANDS.PAUSE, MEDIA_COMMANDS.TOGGLE_PLAY].includes(command)) {
+      return node.querySelector('.media-card__play');
+    }
+    return node.querySelector(`button[data-command="${command}"]`);
+  }
+
+  /**
+   * 把失败的命令结果转换为提示文字
+   * @param {Object} result - COMMAND_RESULT 消息
+   * @returns {string}
+   */
+  function describeCommandError(result) {
+    // 画中画：点击手势没能激活页面，浏览器拒绝了 requestPictureInPicture()
+    if (result.reason === 'NotAllowedError' && result.command === MEDIA_COMMANDS.TOGGLE_PIP) {
+      return '浏览器拒绝进入画中画，请先在页面中点击一次';
+    }
+    // 自动播放策略：页面还没有获得用户激活，浏览器拒绝了 play()
+    if (result.reason === 'NotAllowedError') {
+      return '播放被网站拦截，请先在页面中点击一次';
+    }
+    if (result.reason === 'NotSupportedError') {
+      return '无法播放：媒体格式不受支持';
+    }
+    if (result.timedOut || result.error === 'timeout') {
+      return '页面没有响应，操作超时';
+    }
+    if (result.error === 'frame-unreachable' || result.error === 'unknown-session') {
+      return '无法连接到页面，可能已关闭或跳转';
+    }
+    if (result.error === 'unsupported-while-casting') {
+      return '投屏时不支持该操作';
+    }
+    if (result.error === 'no-next-chapter') {
+      return '已经是最后一章';
+    }
+    if (result.error === 'no-chapters') {
+      return '该媒体没有章节信息';
+    }
+    if (result.error === 'unknown-track') {
+      return '该轨道已不可用';
+    }
+    return `操作失败：${result.error || '未知错误'}`;
+  }
+
+  /**
+   * 在界面底部短暂显示一条提示
+   * @param {string} text - 提示文字
+   */
+  function showToast(text) {
+    refs.toast.textContent = text;
+    refs.toast.hidden = false;
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
+      refs.toast.hidden = true;
+    }, TOAST_DURATION_MS);
+  }
+
+  /**
+   * 渲染卡片上的投屏状态
+   * @param {HTMLElement} el - 状态元素
+   * @param {Object|null} castTarget - 会话的投屏目标
+   */
+  function renderCastStatus(el, castTarget) {
+    if (!castTarget) {
+      el.hidden = true;
+      return;
+    }
+
+    const relayNotes = { manifest: '（经本地中转）', capture: '（录制本页画面）' };
+    const labels = {
+      connecting: `正在投屏到 ${castTarget.rendererName}…`,
+      active: `正在 ${castTarget.rendererName} 上播放${relayNotes[castTarget.relay?.mode] || ''}`,
+      error: `投屏失败：${castTarget.error || '未知错误'}`
+    };
+
+    el.hidden = false;
+    el.querySelector('.media-card__cast-text').textContent = labels[castTarget.status] || castTarget.rendererName;
+    el.querySelector('.media-card__cast-stop').textContent = castTarget.status === 'error' ? '关闭' : '停止投屏';
+    el.classList.toggle('is-error', castTarget.status === 'error');
+  }
+
+  /**
+   * 填充"投屏到…"菜单：每台渲染器一个按钮，另附搜索按钮
+   * @param {HTMLElement} menu - 菜单容器
+   */
+  function buildCastMenu(menu) {
+    const fragment = document.createDocumentFragment();
+
+    rendererState.renderers.forEach((renderer) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.action = 'cast-to';
+      button.dataset.rendererId = renderer.id;
+      button.textContent = renderer.name;
+      button.title = [renderer.manufacturer, renderer.modelName].filter(Boolean).join(' ');
+      fragment.appendChild(button);
+    });
+
+    if (!rendererState.renderers.length) {
+      const hint = document.createElement('span');
+      hint.className = 'media-card__cast-hint';
+      hint.textContent = rendererState.discovering ? '正在搜索设备…' : '未发现设备';
+      fragment.appendChild(hint);
+    }
+
+    const discover = document.createElement('button');
+    discover.type = 'button';
+    discover.dataset.action = 'cast-discover';
+    discover.textContent = '搜索';
+    discover.disabled = rendererState.discovering;
+    fragment.appendChild(discover);
+
+    menu.replaceChildren(fragment);
+  }
+
+  // ========================================
+  // 工具函数
+  // ========================================
+
+  /**
+   * 从 URL 中提取主机名
+   * @param {string} url - 完整 URL
+   * @returns {string} 主机名，失败时返回空字符串
+   */
+  function extractHost(url) {
+    if (!url) return '';
+    try {
+      return new URL(url).hostname;
+    } catch {
+      // URL 解析失败时返回空字符串
+      return '';
+    }
+  }
+
+  /**
+   * 解析网站图标 URL
+   * @param {Object} session - 会话数据
+   * @returns {string} 图标 URL
+   */
+  function resolveFavicon(session) {
+    // 优先使用会话中提供的图标
+    if (session.favIcon) return session.favIcon;
+
+    // 尝试使用 Google 的 favicon 服务
+    const domain = session.origin || extractHost(session.sourceUrl);
+    if (domain) {
+      return `https://www.google.com/s2/favicons?domain=${domain}&sz=64`;
+    }
+
+    // 回退到占位图标
+    return chrome.runtime.getURL('assets/artwork-placeholder.svg');
+  }
+
+  /**
+   * 将秒数格式化为可读的时间字符串
+   * @param {number} seconds - 秒数
+   * @returns {string} 格式化的时间字符串 (如 "1:23:45" 或 "3:45")
+   */
+  function formatTime(seconds) {
+    // 处理无效输入
+    if (!Number.isFinite(seconds) || seconds < 0) return '0:00';
+
+    const totalSeconds = Math.floor(seconds);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const secs = totalSeconds % 60;
+
+    // 如果有小时数，分钟数需要补零
+    const mm = hours ? String(minutes).padStart(2, '0') : String(minutes);
+    // 小时数前缀（如果存在）
+    const prefix = hours ? `${hours}:` : '';
+
+    // 秒数始终补零到两位
+    return `${prefix}${mm}:${String(secs).padStart(2, '0')}`;
+  }
+
+  // ========================================
+  // 事件处理器
+  // ========================================
+
+  /**
+   * 处理列表内的点击事件（事件委托）
+   * @param {Event} event - 点击事件对象
+   */
+  function onListClick(event) {
+    // 查找被点击的按钮
+    const button = event.target.closest('button');
+    if (!button) return;
+
+    // 查找按钮所属的媒体卡片
+    const card = button.closest('.media-card');
+    if (!card) return;
+
+    // 获取会话 ID 并验证其有效性
+    const sessionId = card.dataset.sessionId;
+    if (!sessionMap.has(sessionId)) return;
+
+    // 处理"打开标签页"按钮
+    if (button.dataset.action === 'open-tab') {
+      focusSessionTab(sessionId);
+      return;
+    }
+
+    // 处理快捷键固定按钮：再次点击已固定的会话即取消固定
+    if (button.dataset.action === 'pin') {
+      postToBackground({
+        type: MESSAGE_TYPES.SHORTCUT_PIN,
+        sessionId: sessionMap.get(sessionId).shortcutPinned ? null : sessionId
+      });
+      return;
+    }
+
+    // 把会话所在页面加入播放队列
+    if (button.dataset.action === 'queue-add') {
+      postToBackground({ type: MESSAGE_TYPES.QUEUE_ADD, sessionId });
+      return;
+    }
+
+    // 处理投屏相关按钮
+    if (button.dataset.action === 'cast') {
+      castMenuSessionId = castMenuSessionId === sessionId ? null : sessionId;
+      renderAll();
+      return;
+    }
+
+    if (button.dataset.action === 'cast-to') {
+      castMenuSessionId = null;
+      postToBackground({
+        type: MESSAGE_TYPES.CAST_START,
+        sessionId,
+        rendererId: button.dataset.rendererId
+      });
+      return;
+    }
+
+    if (button.dataset.action === 'cast-stop') {
+      postToBackground({ type: MESSAGE_TYPES.CAST_STOP, sessionId });
+      return;
+    }
+
+    if (button.dataset.action === 'cast-discover') {
+      postToBackground({ type: MESSAGE_TYPES.CAST_DISCOVER });
+      return;
+    }
+
+    // 处理媒体控制按钮
+    const command = button.dataset.command;
+    if (!command) return;
+
+    // 构建命令负载
+    const payload = { command };
+
+    // 如果是相对跳转命令，添加偏移量参数
+    if (command === MEDIA_COMMANDS.SEEK_RELATIVE) {
+      payload.delta = Number(button.dataset.delta) || 0;
+    }
+
+    // Media Session 动作需要带上动作名
+    if (command === MEDIA_COMMANDS.MEDIA_SESSION_ACTION) {
+      payload.action = button.dataset.sessionAction;
+    }
+
+    // 进入画中画需要页面中的用户激活：先在这次点击中激活媒体所在的 frame，再转发命令
+    if (command === MEDIA_COMMANDS.TOGGLE_PIP) {
+      activateSessionFrame(sessionId).then(() => sendCommand(sessionId, payload));
+      return;
+    }
+
+    // 发送命令到后台
+    sendCommand(sessionId, payload);
+  }
+
+  /**
+   * 处理"最近播放"中的点击：重新打开页面并继续，或删除条目
+   * @param {Event} event - 点击事件对象
+   */
+  function onRecentClick(event) {
+    const button = event.target.closest('button');
+    const key = button?.closest('.recent__item')?.dataset.key;
+    if (!key) return;
+
+    if (button.dataset.action === 'history-resume') {
+      // 后台会在新的活动标签页中打开页面，popup 随之自动关闭（侧边栏与迷你播放器保持显示）
+      postToBackground({ type: MESSAGE_TYPES.HISTORY_RESUME, key });
+      return;
+    }
+
+    if (button.dataset.action === 'history-remove') {
+      postToBackground({ type: MESSAGE_TYPES.HISTORY_REMOVE, key });
+      // 立即从列表中移除，不必等待后台的防抖推送
+      historyEntries = historyEntries.filter((entry) => entry.key !== key);
+      renderRecent();
+    }
+  }
+
+  /**
+   * 切换 媒体 / 队列 标签页
+   * @param {HTMLElement} tab - 被点击的标签按钮
+   */
+  function selectTab(tab) {
+    refs.tabs.forEach((other) => {
+      const selected = other === tab;
+      other.classList.toggle('is-active', selected);
+      other.setAttribute('aria-selected', String(selected));
+      document.getElementById(other.dataset.panel).hidden = !selected;
+    });
+  }
+
+  /**
+   * 展开或收起睡眠定时选项
+   * @param {boolean} open - 是否展开
+   */
+  function toggleSleepMenu(open) {
+    refs.sleepMenu.hidden = !open;
+    refs.sleepToggle.setAttribute('aria-expanded', String(open));
+  }
+
+  /**
+   * 处理睡眠定时选项：按时长或"本集结束"设置（替换已有定时），或取消
+   * @param {Event} event - 点击事件对象
+   */
+  function onSleepMenuClick(event) {
+    const button = event.target.closest('button');
+    if (!button) return;
+
+    if (button === refs.sleepCancel) {
+      postToBackground({ type: MESSAGE_TYPES.SLEEP_TIMER_CANCEL });
+    } else if (button.dataset.sleepMinutes) {
+      postToBackground({
+        type: MESSAGE_TYPES.SLEEP_TIMER_SET,
+        minutes: Number(button.dataset.sleepMinutes),
+        fade: refs.sleepFade.checked
+      });
+    } else if (button.dataset.sleepEndOfItem) {
+      postToBackground({ type: MESSAGE_TYPES.SLEEP_TIMER_SET, endOfItem: true, fade: refs.sleepFade.checked });
+    } else {
+      return;
+    }
+
+    toggleSleepMenu(false);
+  }
+
+  /**
+   * 处理队列中的点击：播放或删除条目
+   * @param {Event} event - 点击事件对象
+   */
+  function onQueueClick(event) {
+    const button = event.target.closest('button');
+    const itemId = button?.closest('.queue__item')?.dataset.itemId;
+    if (!itemId) return;
+
+    if (button.dataset.action === 'queue-play') {
+      postToBackground({ type: MESSAGE_TYPES.QUEUE_PLAY, itemId });
+      return;
+    }
+
+    if (button.dataset.action === 'queue-remove') {
+      postToBackground({ type: MESSAGE_TYPES.QUEUE_REMOVE, itemId });
+    }
+  }
+
+  /**
+   * 开始拖动队列条目
+   * @param {DragEvent} event - 拖动事件
+   */
+  function onQueueDragStart(event) {
+    const row = event.target.closest?.('.queue__item');
+    if (!row) return;
+
+    draggingQueueId = row.dataset.itemId;
+    row.classList.add('is-dragging');
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', draggingQueueId);
+  }
+
+  /**
+   * 拖过其他条目时按指针位置标出插入点（条目上半部分插在前面，下半部分插在后面）
+   * @param {DragEvent} event - 拖动事件
+   */
+  function onQueueDragOver(event) {
+    if (!draggingQueueId) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+
+    const row = event.target.closest?.('.queue__item');
+    clearDropMarkers();
+    if (!row || row.dataset.itemId === draggingQueueId) return;
+
+    const rect = row.getBoundingClientRect();
+    const after = event.clientY > rect.top + rect.height / 2;
+    row.classList.add(after ? 'is-drop-after' : 'is-drop-before');
+  }
+
+  /**
+   * 放下条目：先在本地调整顺序，再通知后台（后台随后推送 QUEUE_UPDATED）
+   * @param {DragEvent} event - 拖动事件
+   */
+  function onQueueDrop(event) {
+    if (!draggingQueueId) return;
+    event.preventDefault();
+
+    const row = event.target.closest?.('.queue__item');
+    if (!row || row.dataset.itemId === draggingQueueId) return;
+
+    const rest = queueState.items.filter((item) => item.id !== draggingQueueId);
+    const moved = queueState.items.find((item) => item.id === draggingQueueId);
+    const after = row.classList.contains('is-drop-after');
+    const toIndex = rest.findIndex((item) => item.id === row.dataset.itemId) + (after ? 1 : 0);
+
+    rest.splice(toIndex, 0, moved);
+    queueState = { ...queueState, items: rest };
+    postToBackground({ type: MESSAGE_TYPES.QUEUE_MOVE, itemId: draggingQueueId, toIndex });
+  }
+
+  /**
+   * 拖动结束（无论是否放下）：清除标记并按最新状态重建列表
+   */
+  function onQueueDragEnd() {
+    draggingQueueId = null;
+    clearDropMarkers();
+    renderQueue();
+  }
+
+  /**
+   * 清除所有插入点标记
+   */
+  function clearDropMarkers() {
+    refs.queueList.querySelectorAll('.is-drop-before, .is-drop-after').forEach((row) => {
+      row.classList.remove('is-drop-before', 'is-drop-after');
+    });
+  }
+
+  /**
+   * 依次切换循环模式：不循环 → 全部循环 → 单项循环
+   */
+  function onQueueRepeatClick() {
+    const modes = Object.keys(QUEUE_REPEAT_LABELS);
+    const next = modes[(modes.indexOf(queueState.repeat) + 1) % modes.length];
+    postToBackground({ type: MESSAGE_TYPES.QUEUE_SET_MODE, repeat: next });
+  }
+
+  /**
+   * 把当前窗口的活动标签页加入队列（页面中可以还没有检测到媒体）
+   */
+  async function addActiveTabToQueue() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab?.id !== undefined) {
+        postToBackground({ type: MESSAGE_TYPES.QUEUE_ADD, tabId: tab.id });
+      }
+    } catch (error) {
+      console.warn('[CastToTV] 无法读取当前标签页', error);
+    }
+  }
+
+  /**
+   * 处理进度条滑动输入事件（实时更新时间显示）
+   * @param {Event} event - 输入事件对象
+   */
+  function onSliderInput(event) {
+    // 确保事件来自进度条
+    if (!event.target.classList.contains('media-card__slider')) return;
+
+    // 键盘拖动没有 pointerdown，在这里同样标记为操作中
+    interaction = resolveInteraction(event.target);
+
+    // 查找对应的时间显示元素
+    const card = event.target.closest('.media-card');
+    const elapsedEl = card?.querySelector('.media-card__time--elapsed');
+    if (!elapsedEl) return;
+
+    // 实时更新已播放时间显示，章节名跟随拖到的位置
+    elapsedEl.textContent = formatTime(Number(event.target.value));
+    const session = sessionMap.get(card.dataset.sessionId);
+    if (session) {
+      renderChapterName(card, session, Number(event.target.value));
+    }
+  }
+
+  /**
+   * 处理进度条值改变完成事件（触发跳转）
+   * @param {Event} event - 改变事件对象
+   */
+  function onSliderCommit(event) {
+    // 确保事件来自进度条
+    if (!event.target.classList.contains('media-card__slider')) return;
+
+    // 禁用状态的滑块不处理（如直播流）
+    if (event.target.disabled) return;
+
+    // 获取会话 ID 并验证
+    const card = event.target.closest('.media-card');
+    const sessionId = card?.dataset.sessionId;
+    if (!sessionMap.has(sessionId)) return;
+
+    // 获取目标时间并发送绝对跳转命令
+    const time = Number(event.target.value);
+    sendCommand(sessionId, { command: MEDIA_COMMANDS.SEEK_ABSOLUTE, time });
+  }
+
+  /**
+   * 按下进度条或音量条时开始保护其值不被推送覆盖
+   * @param {PointerEvent} event - 指针事件
+   */
+  function onControlPointerDown(event) {
+    interaction = resolveInteraction(event.target) || interaction;
+  }
+
+  /**
+   * 松开指针或控件值提交后结束保护，并按最新状态刷新卡片
+   *
+   * 推迟到下一个任务执行：pointerup 可能先于滑块的 change 事件派发，
+   * 立即重绘会在跳转命令读取滑块值之前把它改回旧位置
+   */
+  function onControlPointerUp() {
+    if (!interaction) return;
+    setTimeout(() => {
+      interaction = null;
+      renderAll();
+    }, 0);
+  }
+
+  /**
+   * 处理手动添加设备表单提交
+   * @param {Event} event - 表单提交事件
+   */
+  function onRendererSubmit(event) {
+    event.preventDefault();
+
+    const location = refs.rendererInput.value.trim();
+    if (!location) return;
+
+    postToBackground({ type: MESSAGE_TYPES.CAST_ADD_RENDERER, location });
+    refs.rendererInput.value = '';
+  }
+
+  /**
+   * 处理音量拖动（节流发送 set-volume，见 sendVolume）
+   * @param {Event} event - 输入事件对象
+   */
+  function onVolumeInput(event) {
+    if (!event.target.classList.contains('media-card__volume')) return;
+
+    interaction = resolveInteraction(event.target);
+
+    const sessionId = event.target.closest('.media-card')?.dataset.sessionId;
+    sendVolume(sessionId, Number(event.target.value));
+  }
+
+  /**
+   * 处理音量条值改变完成（松开或键盘操作），保证最终值一定发出
+   * @param {Event} event - 改变事件对象
+   */
+  function onVolumeCommit(event) {
+    if (!event.target.classList.contains('media-card__volume')) return;
+
+    const sessionId = event.target.closest('.media-card')?.dataset.sessionId;
+    sendVolume(sessionId, Number(event.target.value));
+  }
+
+  /**
+   * 发送音量，拖动期间每张卡片最多一条在途
+   *
+   * 已有在途的 set-volume 时只记下最新值，等它的结果回来（handleCommandResult）再发出；
+   * 投屏时每条命令都是一次 SOAP 请求，逐个 input 事件发送会在电视端排起长队
+   *
+   * @param {string} sessionId - 会话 ID
+   * @param {number} volume - 目标音量 0-1
+   */
+  function sendVolume(sessionId, volume) {
+    const inFlight = volumeRequests.get(sessionId);
+    if (inFlight) {
+      inFlight.queued = volume === inFlight.volume ? null : volume;
+      return;
+    }
+
+    const requestId = sendCommand(sessionId, { command: MEDIA_COMMANDS.SET_VOLUME, volume });
+    if (requestId) {
+      volumeRequests.set(sessionId, { requestId, volume, queued: null });
+    }
+  }
+
+  /**
+   * 处理速度选择（发送 set-rate）
+   * @param {Event} event - 改变事件对象
+   */
+  function onRateChange(event) {
+    if (!event.target.classList.contains('media-card__rate')) return;
+
+    const sessionId = event.target.closest('.media-card')?.dataset.sessionId;
+    sendCommand(sessionId, { command: MEDIA_COMMANDS.SET_RATE, rate: Number(event.target.value) });
+  }
+
+  /**
+   * 处理字幕 / 音轨 / 视频轨道 / 画质选择
+   *
+   * 「字幕关」对应 trackIndex: null，画质「自动」对应 levelId: null
+   *
+   * @param {Event} event - 改变事件对象
+   */
+  function onTrackMenuChange(event) {
+    const select = event.target;
+    if (!select.closest?.('.media-card__tracks')) return;
+
+    const sessionId = select.closest('.media-card')?.dataset.sessionId;
+    const { value } = select;
+
+    if (select.classList.contains('media-card__text-track')) {
+      const trackIndex = Number(value);
+      sendCommand(sessionId, { command: MEDIA_COMMANDS.SET_TEXT_TRACK, trackIndex: trackIndex >= 0 ? trackIndex : null });
+    } else if (select.classList.contains('media-card__audio-track')) {
+      sendCommand(sessionId, { command: MEDIA_COMMANDS.SET_AUDIO_TRACK, trackId: value });
+    } else if (select.classList.contains('media-card__video-track')) {
+      sendCommand(sessionId, { command: MEDIA_COMMANDS.SET_VIDEO_TRACK, trackId: value });
+    } else if (select.classList.contains('media-card__quality')) {
+      sendCommand(sessionId, { command: MEDIA_COMMANDS.SET_QUALITY, levelId: value === 'auto' ? null : value });
+    }
+  }
+
+  // ========================================
+  // 命令发送
+  // ========================================
+
+  /**
+   * 向后台服务发送媒体控制命令
+   *
+   * 每条命令带上 requestId，后台执行完成（或超时）后以 COMMAND_RESULT 回传结果，
+   * 期间卡片显示执行中状态
+   *
+   * @param {string} sessionId - 会话 ID
+   * @param {Object} payload - 命令负载（包含 command 和其他参数）
+   * @returns {string|null} requestId，未发送时为 null
+   */
+  function sendCommand(sessionId, payload) {
+    // 检查连接状态和会话有效性
+    if (!port || !sessionMap.has(sessionId)) return null;
+
+    requestCounter += 1;
+    const requestId = `${Date.now().toString(36)}-${requestCounter}`;
+
+    // 兜底：后台重启时回执会丢失，到时仍未收到结果按超时处理
+    const timer = setTimeout(() => {
+      handleCommandResult({ requestId, sessionId, command: payload.command, ok: false, error: 'timeout', timedOut: true });
+    }, COMMAND_RESULT_GRACE_MS);
+    pendingCommands.set(requestId, { sessionId, timer });
+    applyOptimisticUpdate(sessionId, requestId, payload);
+    setCommandState(sessionId, { requestId, command: payload.command, status: 'pending' });
+
+    // 通过端口发送消息
+    port.postMessage({
+      type: MESSAGE_TYPES.MEDIA_COMMAND,
+      requestId,
+      sessionId,
+      ...payload
+    });
+    return requestId;
+  }
+
+  /**
+   * 把当前的点击手势传给会话所在的 frame
+   *
+   * 扩展页面在用户手势中调用 chrome.scripting.executeScript 时，注入会激活目标 frame，
+   * 随后几秒内页面中的 requestPictureInPicture() 等需要用户激活的调用可以成功。
+   * 必须在点击处理函数中同步调用；注入失败时只记录警告，命令照常发送，
+   * 被拒绝的结果（NotAllowedError）通过 COMMAND_RESULT 显示
+   *
+   * @param {string} sessionId - 会话 ID
+   * @returns {Promise<void>} 注入完成后 resolve
+   */
+  function activateSessionFrame(sessionId) {
+    const session = sessionMap.get(sessionId);
+    if (!session || !chrome.scripting) return Promise.resolve();
+
+    return chrome.scripting
+      .executeScript({
+        target: { tabId: session.tabId, frameIds: [session.frameId] },
+        func: () => {}
+      })
+      .then(
+        () => {},
+        (error) => console.warn('[CastToTV] Failed to activate the media frame', error)
+      );
+  }
+
+  /**
+   * 处理命令执行结果
+   *
+   * 同一张卡片上连续发出多条命令时，只有最新一条的结果会改变卡片状态；
+   * 失败结果总会弹出提示，避免被后续命令覆盖而丢失
+   *
+   * @param {Object} result - COMMAND_RESULT 消息
+   */
+  function handleCommandResult(result) {
+    const pending = pendingCommands.get(result.requestId);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pendingCommands.delete(result.requestId);
+
+    // 在途的音量命令结束后发出拖动期间积攒的最新值
+    const volumeRequest = volumeRequests.get(pending.sessionId);
+    if (volumeRequest?.requestId === result.requestId) {
+      volumeRequests.delete(pending.sessionId);
+      if (volumeRequest.queued !== null) {
+        sendVolume(pending.sessionId, volumeRequest.queued);
+      }
+    }
+
+    const message = result.ok ? '' : describeCommandError(result);
+    if (!result.ok) {
+      showToast(message);
+    }
+
+    settleOptimisticUpdate(pending.sessionId, result);
+
+    if (commandStates.get(pending.sessionId)?.requestId !== result.requestId) return;
+
+    setCommandState(pending.sessionId, {
+      requestId: result.requestId,
+      command: result.command,
+      status: result.ok ? 'success' : 'error',
+      message
+    });
+
+    // 成功高亮与错误提示在一段时间后自动消失（期间没有新命令时）
+    setTimeout(() => {
+      if (commandStates.get(pending.sessionId)?.requestId === result.requestId) {
+        setCommandState(pending.sessionId, null);
+      }
+    }, result.ok ? COMMAND_SUCCESS_MS : COMMAND_ERROR_MS);
+  }
+
+  /**
+   * 更新卡片的命令反馈状态并重绘
+   * @param {string} sessionId - 会话 ID
+   * @param {Object|null} state - 新状态，null 表示清除
+   */
+  function setCommandState(sessionId, state) {
+    if (state) {
+      commandStates.set(sessionId, state);
+    } else {
+      commandStates.delete(sessionId);
+    }
+    renderAll();
+  }
+
+  // ========================================
+  // 乐观更新与进度插值
+  // ========================================
+
+  /**
+   * 计算卡片实际展示的会话数据：后台推送的状态叠加尚未确认的乐观更新
+   *
+   * 返回值额外带 timeBase：currentTime 对应的时刻，供进度插值使用
+   *
+   * @param {Object} session - 后台推送的会话数据
+   * @returns {Object}
+   */
+  function viewSession(session) {
+    const override = optimisticUpdates.get(session.sessionId);
+    if (!override) {
+      return { ...session, timeBase: session.lastUpdated };
+    }
+    return { ...session, ...override.fields, timeBase: override.at };
+  }
+
+  /**
+   * 推算某一时刻的播放位置
+   * @param {Object} view - viewSession 的结果
+   * @param {number} now - 时间戳（毫秒）
+   * @returns {number} 秒
+   */
+  function projectTime(view, now) {
+    return SessionUtils.projectCurrentTime({ ...view, lastUpdated: view.timeBase }, now);
+  }
+
+  /**
+   * 命令发出时立即应用预期结果（播放 / 暂停 / 跳转）
+   *
+   * 同一会话连续发出多条命令时叠加在前一条未确认的结果之上
+   *
+   * @param {string} sessionId - 会话 ID
+   * @param {string} requestId - 命令的 requestId
+   * @param {Object} payload - 命令负载
+   */
+  function applyOptimisticUpdate(sessionId, requestId, payload) {
+    const now = Date.now();
+    const view = viewSession(sessionMap.get(sessionId));
+    const currentTime = projectTime(view, now);
+    const hasDuration = Number.isFinite(view.duration) && view.duration > 0;
+    const clamp = (time) => Math.min(Math.max(0, time), hasDuration ? view.duration : Infinity);
+    const chapterTarget = (direction) => SessionUtils.chapterSeekTarget(view.chapters, currentTime, direction);
+
+    // 切换播放状态时也固定住当前进度，插值从命令发出时刻重新起算
+    const fields = {
+      [MEDIA_COMMANDS.PLAY]: { isPlaying: true, currentTime },
+      [MEDIA_COMMANDS.PAUSE]: { isPlaying: false, currentTime },
+      [MEDIA_COMMANDS.SEEK_ABSOLUTE]: Number.isFinite(payload.time) ? { currentTime: clamp(payload.time) } : null,
+      [MEDIA_COMMANDS.SEEK_RELATIVE]: Number.isFinite(payload.delta) ? { currentTime: clamp(currentTime + payload.delta) } : null,
+      [MEDIA_COMMANDS.PREVIOUS_CHAPTER]: view.chapters?.length ? { currentTime: clamp(chapterTarget(-1)) } : null,
+      [MEDIA_COMMANDS.NEXT_CHAPTER]: Number.isFinite(chapterTarget(1)) ? { currentTime: clamp(chapterTarget(1)) } : null
+    }[payload.command];
+    if (!fields) return;
+
+    const previous = optimisticUpdates.get(sessionId);
+    optimisticUpdates.set(sessionId, {
+      requestId,
+      fields: { ...(previous?.fields || {}), ...fields },
+      at: now,
+      settled: false
+    });
+  }
+
+  /**
+   * 收到命令结果后处理对应的乐观更新
+   *
+   * 失败（包括超时）时立即回滚到后台推送的状态；
+   * 成功时改用 content script 报告的实际状态，等下一次推送到达后撤下
+   *
+   * @param {string} sessionId - 会话 ID
+   * @param {Object} result - COMMAND_RESULT 消息
+   */
+  function settleOptimisticUpdate(sessionId, result) {
+    const override = optimisticUpdates.get(sessionId);
+    if (!override) return;
+
+    if (!result.ok) {
+      optimisticUpdates.delete(sessionId);
+      return;
+    }
+
+    // 只有最新一条命令的结果能代表最终状态
+    if (override.requestId !== result.requestId) return;
+
+    const fields = { ...override.fields };
+    if (result.state) {
+      if ('isPlaying' in fields) fields.isPlaying = result.state.isPlaying;
+      if (Number.isFinite(result.state.currentTime)) fields.currentTime = result.state.currentTime;
+    }
+    optimisticUpdates.set(sessionId, { ...override, fields, at: Date.now(), settled: true });
+  }
+
+  /**
+   * 用后台推送的真实状态撤下已确认的乐观更新
+   *
+   * 命令结果到达之后、且会话在命令发出之后有过更新时，推送的状态即为准：
+   * 与预期一致时界面不变，不一致（例如页面立刻又暂停了）时自然回滚
+   */
+  function reconcileOptimisticUpdates() {
+    optimisticUpdates.forEach((override, sessionId) => {
+      const session = sessionMap.get(sessionId);
+      if (!session || (override.settled && session.lastUpdated >= override.at)) {
+        optimisticUpdates.delete(sessionId);
+      }
+    });
+  }
+
+  /**
+   * 判断用户是否正在操作某张卡片上的控件
+   * @param {string} sessionId - 会话 ID
+   * @param {string} control - 'progress' | 'volume'
+   * @returns {boolean}
+   */
+  function isInteracting(sessionId, control) {
+    return interaction?.sessionId === sessionId && interaction.control === control;
+  }
+
+  /**
+   * 识别事件目标是否为可拖动控件
+   * @param {EventTarget} target - 事件目标
+   * @returns {Object|null} { sessionId, control }
+   */
+  function resolveInteraction(target) {
+    const control = target.classList?.contains('media-card__slider')
+      ? 'progress'
+      : target.classList?.contains('media-card__volume')
+        ? 'volume'
+        : null;
+    const sessionId = target.closest?.('.media-card')?.dataset.sessionId;
+    return control && sessionId ? { sessionId, control } : null;
+  }
+
+  // ========================================
+  // 标签页操作
+  // ========================================
+
+  /**
+   * 聚焦到指定会话所在的标签页
+   * @param {string} sessionId - 会话 ID
+   */
+  async function focusSessionTab(sessionId) {
+    const session = sessionMap.get(sessionId);
+    if (!session) return;
+
+    try {
+      // 激活目标标签页
+      await chrome.tabs.update(session.tabId, { active: true });
+
+      // 获取标签页详情以确定其所属窗口
+      const tab = await chrome.tabs.get(session.tabId);
+
+      // 如果标签页在其他窗口，聚焦该窗口
+      if (tab?.windowId !== undefined) {
+        await chrome.windows.update(tab.windowId, { focused: true });
+      }
+
+      // popup 切换后关闭；侧边栏与迷你播放器保持显示
+      closeIfPopup();
+    } catch (error) {
+      console.warn('[CastToTV] 无法切换到标签页', error);
+    }
+  }
+
+  /**
+   * 在当前窗口的侧边栏中打开媒体控制中心
+   *
+   * chrome.sidePanel.open 需要用户手势，必须在点击处理函数中同步调用：
+   * 先 await 其他异步 API 会丢失手势，因此窗口 ID 在初始化时预先读取
+   */
+  function openSidePanel() {
+    if (currentWindowId === null) return;
+
+    chrome.sidePanel
+      .open({ windowId: currentWindowId })
+      .then(closeIfPopup)
+      .catch((error) => console.warn('[CastToTV] 无法打开侧边栏', error));
+  }
+
+  /**
+   * 当前界面是 popup 时关闭自身
+   */
+  function closeIfPopup() {
+    if (surface.closeAfterSwitch) {
+      window.close();
+    }
+  }
+})();
@@ -4,22 +4,85 @@
     MEDIA_UPDATE: 'MEDIA_UPDATE', // content script -> background：媒体状态更新
     MEDIA_REMOVED: 'MEDIA_REMOVED', // content script -> background：播放器节点被移除
     MEDIA_COMMAND: 'MEDIA_COMMAND', // popup -> background -> content：媒体控制命令
-    SESSIONS_UPDATED: 'SESSIONS_UPDATED' // background -> popup：媒体会话列表刷新
+    MEDIA_SNAPSHOT_REQUEST: 'MEDIA_SNAPSHOT_REQUEST', // background -> content：worker 重启后索取最新媒体快照
+    POSITION_SAVE: 'POSITION_SAVE', // content -> background：保存长媒体的播放位置
+    POSITION_LOOKUP: 'POSITION_LOOKUP', // content -> background：查询保存的播放位置（sendResponse 返回 { entry }）
+    POSITION_CLEAR: 'POSITION_CLEAR', // content -> background：媒体播放完毕，删除保存的位置
+    SESSIONS_SNAPSHOT: 'SESSIONS_SNAPSHOT', // background -> popup：完整会话列表（连接时或应请求重新同步时）
+    SESSION_ADDED: 'SESSION_ADDED', // background -> popup：新增会话
+    SESSION_PATCHED: 'SESSION_PATCHED', // background -> popup：会话中变化的字段
+    SESSION_REMOVED: 'SESSION_REMOVED', // background -> popup：会话被移除
+    SESSIONS_RESYNC: 'SESSIONS_RESYNC', // popup -> background：发现序号缺口，请求重新发送快照
+    COMMAND_RESULT: 'COMMAND_RESULT', // background -> popup：MEDIA_COMMAND 的执行结果（按 requestId 对应）
+    PAUSE_ALL: 'PAUSE_ALL', // popup -> background：暂停所有正在播放的会话
+    SHORTCUT_PIN: 'SHORTCUT_PIN', // popup -> background：把会话固定为快捷键目标（sessionId 为 null 时取消）
+    CAST_DISCOVER: 'CAST_DISCOVER', // popup -> background：重新搜索局域网渲染器
+    CAST_ADD_RENDERER: 'CAST_ADD_RENDERER', // popup -> background：按设备描述地址手动添加渲染器
+    CAST_START: 'CAST_START', // popup -> background：把会话投送到指定渲染器
+    CAST_STOP: 'CAST_STOP', // popup -> background：结束投屏，控制权回到本地标签页
+    RENDERERS_UPDATED: 'RENDERERS_UPDATED', // background -> popup：可用渲染器列表刷新
+    HISTORY_UPDATED: 'HISTORY_UPDATED', // background -> popup：播放历史刷新
+    HISTORY_RESUME: 'HISTORY_RESUME', // popup -> background：重新打开历史条目并跳到保存的位置
+    HISTORY_REMOVE: 'HISTORY_REMOVE', // popup -> background：删除一条播放历史
+    QUEUE_UPDATED: 'QUEUE_UPDATED', // background -> popup：播放队列及循环 / 随机模式
+    QUEUE_ADD: 'QUEUE_ADD', // popup -> background：把会话（sessionId）或标签页（tabId）所在页面加入队列
+    QUEUE_REMOVE: 'QUEUE_REMOVE', // popup -> background：从队列删除一项
+    QUEUE_MOVE: 'QUEUE_MOVE', // popup -> background：把一项移动到新位置（拖动排序）
+    QUEUE_PLAY: 'QUEUE_PLAY', // popup -> background：立即播放队列中的一项
+    QUEUE_SET_MODE: 'QUEUE_SET_MODE', // popup -> background：设置循环（off/all/one）或随机模式
+    QUEUE_CLEAR: 'QUEUE_CLEAR', // popup -> background：清空队列
+    SLEEP_TIMER_SET: 'SLEEP_TIMER_SET', // popup -> background：设置睡眠定时器（minutes 或 endOfItem，可选 fade）
+    SLEEP_TIMER_CANCEL: 'SLEEP_TIMER_CANCEL', // popup -> background：取消睡眠定时器
+    SLEEP_TIMER_UPDATED: 'SLEEP_TIMER_UPDATED', // background -> popup：睡眠定时器状态（未设置时 timer 为 null）
+    MINI_PLAYER_OPEN: 'MINI_PLAYER_OPEN', // popup -> background：打开（或切换到）迷你播放器窗口
+    MANIFEST_LOOKUP: 'MANIFEST_LOOKUP', // background -> content：投屏 blob: 源时查询背后的 HLS / DASH 清单地址，回复 { manifestUrl }
+    RELAY_START: 'RELAY_START' // background -> content：录制媒体元素供本地中转（relayId），回复 { ok, mimeType?, error? }
   });
 
   // MEDIA_COMMANDS 枚举 popup 可以下发的控制指令
   const MEDIA_COMMANDS = Object.freeze({
     TOGGLE_PLAY: 'toggle-play', // 切换播放 / 暂停
+    PLAY: 'play', // 播放（已在播放时无操作）
+    PAUSE: 'pause', // 暂停（已暂停时无操作）
     SEEK_RELATIVE: 'seek-relative', // 相对跳转（快进 / 回退）
-    SEEK_ABSOLUTE: 'seek-absolute' // 绝对定位到指定时间
+    SEEK_ABSOLUTE: 'seek-absolute', // 绝对定位到指定时间
+    SET_VOLUME: 'set-volume', // 设置音量（0-1）
+    TOGGLE_MUTE: 'toggle-mute', // 切换静音
+    SET_RATE: 'set-rate', // 设置播放速率
+    TOGGLE_LOOP: 'toggle-loop', // 切换循环播放
+    TOGGLE_PIP: 'toggle-pip', // 进入 / 退出画中画
+    MEDIA_SESSION_ACTION: 'media-session-action', // 触发页面注册的 Media Session 动作（下一首等）
+    PREVIOUS_CHAPTER: 'previous-chapter', // 回到本章开头或跳到上一章
+    NEXT_CHAPTER: 'next-chapter', // 跳到下一章
+    SET_TEXT_TRACK: 'set-text-track', // 切换字幕轨道（trackIndex 为 null 时关闭字幕）
+    SET_AUDIO_TRACK: 'set-audio-track', // 切换音轨（trackId）
+    SET_VIDEO_TRACK: 'set-video-track', // 切换视频轨道（trackId）
+    SET_QUALITY: 'set-quality' // 切换画质（levelId 为 null 时恢复自动）
   });
 
-  // PORT_NAMES 记录不同长连接端口的名称，当前仅用于 popup 面板
+  // SHORTCUT_COMMANDS 对应 manifest.json 中 commands 的名称
+  const SHORTCUT_COMMANDS = Object.freeze({
+    TOGGLE_PLAY: 'toggle-play', // 播放 / 暂停
+    SEEK_BACKWARD: 'seek-backward', // 后退 10 秒
+    SEEK_FORWARD: 'seek-forward', // 快进 10 秒
+    NEXT_TRACK: 'next-track', // 下一首（Media Session nexttrack）
+    FOCUS_TAB: 'focus-media-tab' // 切换到媒体所在标签页
+  });
+
+  // PORT_NAMES 记录不同长连接端口的名称，前三种媒体控制界面使用同一套协议
   const PORT_NAMES = Object.freeze({
-    POPUP: 'popup-panel'
+    POPUP: 'popup-panel', // 工具栏 popup
+    SIDE_PANEL: 'side-panel', // 侧边栏
+    MINI_PLAYER: 'mini-player', // 独立的迷你播放器窗口
+    MEDIA_RELAY: 'media-relay' // content -> background：录制中转的 WebM 分片（断开即结束录制）
+  });
+
+  // NATIVE_HOSTS 记录 native messaging 宿主名称（负责 UDP 组播等扩展无法完成的工作）
+  const NATIVE_HOSTS = Object.freeze({
+    BRIDGE: 'com.casttotv.bridge'
   });
 
-  const Shared = { MESSAGE_TYPES, MEDIA_COMMANDS, PORT_NAMES };
+  const Shared = { MESSAGE_TYPES, MEDIA_COMMANDS, SHORTCUT_COMMANDS, PORT_NAMES, NATIVE_HOSTS };
 
   // 浏览器环境下（background / content）挂载到全局 self，方便直接引用
   if (typeof self !== 'undefined') {
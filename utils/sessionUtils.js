@@ -0,0 +1,188 @@
+(() => {
+  /**
+   * 「上一章」的回退窗口（秒）：当前章节已播放超过该时间时先回到本章开头，
+   * 否则跳到上一章，与常见播放器的「上一首」行为一致
+   */
+  const CHAPTER_RESTART_WINDOW = 3;
+
+  /**
+   * 「下一章」忽略的起点误差（秒）：刚跳到某章开头时 currentTime 可能略小于 startTime，
+   * 不能把同一章当作下一章
+   */
+  const CHAPTER_START_TOLERANCE = 0.5;
+
+  /**
+   * 会话排序规则（background 与 popup 共用，保证两边列表顺序一致）
+   * 1. 正在播放的媒体优先
+   * 2. 同状态下最近更新的在前
+   *
+   * @param {Object} a - 会话
+   * @param {Object} b - 会话
+   * @returns {number}
+   */
+  function compareSessions(a, b) {
+    if (Boolean(a.isPlaying) !== Boolean(b.isPlaying)) {
+      return a.isPlaying ? -1 : 1;
+    }
+    return (b.lastUpdated || 0) - (a.lastUpdated || 0);
+  }
+
+  /**
+   * 返回排序后的新数组，不修改传入的数组
+   * @param {Iterable<Object>} sessions - 会话集合
+   * @returns {Object[]}
+   */
+  function sortSessions(sessions) {
+    return Array.from(sessions).sort(compareSessions);
+  }
+
+  /**
+   * 推算会话在某一时刻的播放位置
+   *
+   * content script 在进度按预期前进时不再上报（见 mediaTracker.js 的 isPredictableUpdate），
+   * 消费方需要从 lastUpdated 起按 playbackRate 外推
+   *
+   * @param {Object} session - 会话（currentTime 对应 lastUpdated 时刻）
+   * @param {number} [now=Date.now()] - 目标时刻（毫秒）
+   * @returns {number} 秒，有时长时不超过 duration
+   */
+  function projectCurrentTime(session, now = Date.now()) {
+    const base = Number(session.currentTime) || 0;
+    if (!session.isPlaying || !session.lastUpdated) return base;
+
+    const elapsed = Math.max(0, now - session.lastUpdated) / 1000;
+    const projected = base + elapsed * (Number(session.playbackRate) || 1);
+    const hasDuration = Number.isFinite(session.duration) && session.duration > 0;
+    return hasDuration ? Math.min(projected, session.duration) : projected;
+  }
+
+  /**
+   * 播放历史的去重键：同一页面上同名的媒体视为同一条记录
+   * @param {Object} item - 会话或历史条目（pageUrl、title）
+   * @returns {string}
+   */
+  function historyKey(item) {
+    return `${item.pageUrl || ''}\n${item.title || ''}`;
+  }
+
+  /**
+   * 比较同一会话的两个版本，返回发生变化的字段
+   *
+   * 对象字段（castTarget、mediaSessionActions 等）按 JSON 比较；
+   * 新版本中不存在的字段以 null 表示，接收方据此删除。
+   *
+   * @param {Object} previous - 上一次发送的会话
+   * @param {Object} next - 当前会话
+   * @returns {Object|null} 变化的字段；没有变化时返回 null
+   */
+  function diffSession(previous, next) {
+    const changes = {};
+    let changed = false;
+
+    Object.keys(next).forEach((key) => {
+      if (!isSameValue(previous[key], next[key])) {
+        changes[key] = next[key];
+        changed = true;
+      }
+    });
+
+    Object.keys(previous).forEach((key) => {
+      if (!(key in next)) {
+        changes[key] = null;
+        changed = true;
+      }
+    });
+
+    return changed ? changes : null;
+  }
+
+  /**
+   * 判断两个字段值是否相同（可 JSON 序列化的值）
+   * @param {*} a
+   * @param {*} b
+   * @returns {boolean}
+   */
+  function isSameValue(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+      // NaN 视为相同，避免每次都被当成变化
+      return Number.isNaN(a) && Number.isNaN(b);
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * 找出某一时刻所在的章节
+   * @param {Object[]} chapters - 按 startTime 升序排列的章节 [{ title, startTime }]
+   * @param {number} time - 播放位置（秒）
+   * @returns {number} 章节下标；位于第一章之前或没有章节时为 -1
+   */
+  function chapterIndexAt(chapters, time) {
+    let index = -1;
+    (chapters || []).forEach((chapter, i) => {
+      if (chapter.startTime <= time + CHAPTER_START_TOLERANCE) index = i;
+    });
+    return index;
+  }
+
+  /**
+   * 计算「上一章 / 下一章」要跳转到的位置
+   *
+   * content script 执行章节命令、background 给投屏会话换算跳转、popup 做乐观更新都用这一份规则
+   *
+   * @param {Object[]} chapters - 按 startTime 升序排列的章节
+   * @param {number} time - 当前播放位置（秒）
+   * @param {number} direction - -1 为上一章，1 为下一章
+   * @returns {number|null} 目标时间（秒）；已经是最后一章时「下一章」返回 null
+   */
+  function chapterSeekTarget(chapters, time, direction) {
+    const list = chapters || [];
+    const index = chapterIndexAt(list, time);
+
+    if (direction > 0) {
+      return index + 1 < list.length ? list[index + 1].startTime : null;
+    }
+
+    if (index >= 0 && time - list[index].startTime > CHAPTER_RESTART_WINDOW) {
+      return list[index].startTime;
+    }
+    return index > 0 ? list[index - 1].startTime : 0;
+  }
+
+  /**
+   * 判断会话的播放状态与控制是否以渲染器为准
+   *
+   * 投屏进行中时电视自己拉流播放，本地的速度、循环、轨道等控件无效，命令要转成 AVTransport 动作。
+   * 录制中转（capture）例外：电视播放的是本地元素的实时画面，进度来自本地，
+   * 暂停、跳转等命令也要作用于本地元素，电视随之变化
+   *
+   * background 转发命令与 popup 禁用控件都以此为准
+   *
+   * @param {Object|undefined} session - 会话
+   * @returns {boolean}
+   */
+  function isRemotePlayback(session) {
+    return session?.castTarget?.status === 'active' && session.castTarget.relay?.mode !== 'capture';
+  }
+
+  const SessionUtils = {
+    compareSessions,
+    sortSessions,
+    projectCurrentTime,
+    historyKey,
+    diffSession,
+    chapterIndexAt,
+    chapterSeekTarget,
+    isRemotePlayback
+  };
+
+  // 浏览器环境下（background / popup / content script）挂载到全局 self
+  if (typeof self !== 'undefined') {
+    self.SessionUtils = SessionUtils;
+  }
+
+  // CommonJS 环境（例如单测或构建脚本）通过 require 引入
+  if (typeof module !== 'undefined') {
+    module.exports = SessionUtils;
+  }
+})();
@@ -0,0 +1,122 @@
+(() => {
+  // SETTINGS_STORAGE_KEY 是用户设置在 chrome.storage.sync 中的键名
+  const SETTINGS_STORAGE_KEY = 'settings';
+
+  // TRACKING_MODES 枚举 content script 的媒体追踪模式
+  const TRACKING_MODES = Object.freeze({
+    SINGLE: 'single', // 每个页面只上报最近播放的一个元素
+    MULTI: 'multi' // 每个符合条件的元素都作为独立会话上报
+  });
+
+  // SETTINGS_DEFAULTS 定义所有设置项及默认值，读取时与已保存的值合并
+  const SETTINGS_DEFAULTS = Object.freeze({
+    trackingMode: TRACKING_MODES.SINGLE, // 全局追踪模式
+    siteTrackingModes: {}, // 按站点覆盖追踪模式：hostname -> mode
+    exclusivePlayback: false, // 新媒体开始播放时自动暂停其他标签页的媒体
+    exclusiveAllowlist: [], // 不受独占播放影响的网站（如视频会议），hostname 列表
+    positionUpdateIntervalMs: 1000, // 播放中进度上报的最小间隔（毫秒），状态变化不受限制
+    positionMemory: true, // 自动记住并恢复长媒体的播放位置
+    positionMemoryOptOut: ['youtube.com', 'bilibili.com', 'netflix.com'], // 自带续播的网站，不做位置恢复
+    liveCaptions: false // 在媒体卡片上实时显示当前字幕（每条字幕都会触发一次上报）
+  });
+
+  // POSITION_UPDATE_INTERVALS 列出设置页可选的进度上报间隔（毫秒）
+  const POSITION_UPDATE_INTERVALS = Object.freeze([250, 500, 1000, 2000, 5000]);
+
+  /**
+   * 读取设置，缺失的项使用默认值
+   * @returns {Promise<Object>} 完整的设置对象
+   */
+  async function loadSettings() {
+    const stored = await chrome.storage.sync.get(SETTINGS_STORAGE_KEY);
+    return { ...SETTINGS_DEFAULTS, ...(stored[SETTINGS_STORAGE_KEY] || {}) };
+  }
+
+  /**
+   * 合并保存部分设置
+   * @param {Object} patch - 需要修改的设置项
+   * @returns {Promise<Object>} 保存后的完整设置
+   */
+  async function saveSettings(patch) {
+    const next = { ...(await loadSettings()), ...patch };
+    await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: next });
+    return next;
+  }
+
+  /**
+   * 订阅设置变化
+   * @param {Function} callback - 接收合并默认值后的新设置
+   */
+  function onSettingsChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync' || !changes[SETTINGS_STORAGE_KEY]) return;
+      callback({ ...SETTINGS_DEFAULTS, ...(changes[SETTINGS_STORAGE_KEY].newValue || {}) });
+    });
+  }
+
+  /**
+   * 在"hostname -> 值"的站点表中查找匹配项
+   *
+   * 规则 `example.com` 同时匹配 `example.com` 与 `www.example.com` 等子域名，
+   * 子域名规则优先于父域名规则。
+   *
+   * @param {Object} siteMap - hostname -> 值
+   * @param {string} hostname - 当前页面域名
+   * @returns {*} 匹配到的值；没有匹配时返回 undefined
+   */
+  function matchSite(siteMap, hostname) {
+    const labels = String(hostname || '').toLowerCase().split('.');
+    for (let i = 0; i < labels.length - 1; i += 1) {
+      const candidate = labels.slice(i).join('.');
+      if (Object.prototype.hasOwnProperty.call(siteMap || {}, candidate)) {
+        return siteMap[candidate];
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * 判断域名是否命中站点列表（同样支持父域名匹配子域名）
+   * @param {string[]} hosts - hostname 列表
+   * @param {string} hostname - 要判断的域名
+   * @returns {boolean}
+   */
+  function isSiteListed(hosts, hostname) {
+    const siteMap = Object.fromEntries((hosts || []).map((host) => [host, true]));
+    return matchSite(siteMap, hostname) === true;
+  }
+
+  /**
+   * 计算某个站点实际使用的追踪模式（站点覆盖 > 全局设置）
+   * @param {Object} settings - 完整设置
+   * @param {string} hostname - 当前页面域名
+   * @returns {string} TRACKING_MODES 中的值
+   */
+  function resolveTrackingMode(settings, hostname) {
+    const mode = matchSite(settings.siteTrackingModes, hostname) || settings.trackingMode;
+    return Object.values(TRACKING_MODES).includes(mode) ? mode : TRACKING_MODES.SINGLE;
+  }
+
+  const Settings = {
+    SETTINGS_STORAGE_KEY,
+    TRACKING_MODES,
+    SETTINGS_DEFAULTS,
+    POSITION_UPDATE_INTERVALS,
+    loadSettings,
+    saveSettings,
+    onSettingsChanged,
+    matchSite,
+    isSiteListed,
+    resolveTrackingMode
+  };
+
+  // 浏览器环境下（background / content / 页面）挂载到全局 self
+  if (typeof self !== 'undefined') {
+    self.Settings = Settings;
+  }
+
+  // CommonJS 环境（例如单测或构建脚本）通过 require 引入
+  if (typeof module !== 'undefined') {
+    module.exports = Settings;
+  }
+})();